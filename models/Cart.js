@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for a product sold in variants; each variant is its own line
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price the buyer last saw, used to flag price changes
+  price: {
+    type: Number,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A user's shopping cart, shared by every device they log in from
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+// Find the line for a product, or for one of its variants
+cartSchema.methods.getItem = function(productId, variantId) {
+  return this.items.find(
+    (item) => item.product.toString() === productId.toString() &&
+      String(item.variant || '') === String(variantId || '')
+  );
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Fields shared by categories and subcategories
+const labelFields = () => ({
+  // Stored on products, so it cannot change once created
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [SLUG_PATTERN, 'Slugs are lowercase letters, digits and dashes'],
+    maxlength: [50, 'Slug cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Swahili label
+  nameSw: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Swahili name cannot exceed 60 characters']
+  },
+  // Icon name or image path for the frontend
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Icon cannot exceed 200 characters']
+  },
+  // Lower comes first
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive entries are hidden from buyers and cannot be used for new
+  // listings; products already in them stay
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const subcategorySchema = new mongoose.Schema(labelFields(), { _id: false });
+
+// A product category in the managed taxonomy. Products store the category
+// and subcategory slugs, see services/taxonomy.js.
+const categorySchema = new mongoose.Schema({
+  ...labelFields(),
+  subcategories: {
+    type: [subcategorySchema],
+    validate: {
+      validator: (subcategories) => {
+        const slugs = subcategories.map((subcategory) => subcategory.slug);
+        return new Set(slugs).size === slugs.length;
+      },
+      message: 'Subcategory slugs must be unique within a category'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One category per slug
+categorySchema.index({ slug: 1 }, { unique: true });
+// Index for listing in display order
+categorySchema.index({ isActive: 1, sortOrder: 1 });
+
+categorySchema.statics.SLUG_PATTERN = SLUG_PATTERN;
+
+// A subcategory by slug, or null. A static so it also works on lean query
+// results.
+categorySchema.statics.findSubcategory = function(category, slug) {
+  if (!slug) return null;
+  const normalized = slug.trim().toLowerCase();
+  return (category.subcategories || []).find(
+    (subcategory) => subcategory.slug === normalized
+  ) || null;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Named sequence, e.g. 'invoice-2026'. Incremented atomically so numbers
+// handed out inside a transaction stay gap-free when it aborts.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Take the next number in a sequence, starting at 1
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// A discount code entered at checkout. Scope decides which items it applies
+// to: every item, one farmer's items or one category's. minOrderValue and
+// the discount are worked out on those items only.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off (0-100) or KSh off
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap on a percentage discount, in KSh
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  scope: {
+    type: String,
+    enum: ['platform', 'farmer', 'category'],
+    default: 'platform'
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  category: String,
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total redemptions allowed; unlimited when not set
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Who bears the discount: farmers fund their own coupons, the platform
+  // funds the ones admins create
+  fundedBy: {
+    type: String,
+    enum: ['farmer', 'platform'],
+    default: 'platform'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Scope fields must match the scope, and percentages stay within 100
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.scope === 'farmer' && !this.farmer) {
+    this.invalidate('farmer', 'A farmer coupon needs a farmer');
+  }
+  if (this.scope === 'category' && !this.category) {
+    this.invalidate('category', 'A category coupon needs a category');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+// Index for a farmer's own coupons
+couponSchema.index({ farmer: 1, createdAt: -1 });
+
+// Whether the coupon applies to an item of the given product
+couponSchema.methods.appliesTo = function(product, farmer) {
+  if (this.scope === 'farmer') return this.farmer.equals(farmer);
+  if (this.scope === 'category') return product.category === this.category;
+  return true;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const UNITS = ['kg', 'piece', 'dozen', 'litre', 'bag', 'bunch', 'head', 'other'];
+
+// Counties are compared case-insensitively
+const COLLATION = { locale: 'en', strength: 2 };
+
+// Delivery price from farmers in one county to buyers in another county or
+// sub-county. '*' matches any county; an empty sub-county matches the whole
+// county. The most specific active rate wins, see services/delivery.js.
+const deliveryRateSchema = new mongoose.Schema({
+  originCounty: {
+    type: String,
+    required: [true, 'Origin county is required'],
+    trim: true
+  },
+  destinationCounty: {
+    type: String,
+    required: [true, 'Destination county is required'],
+    trim: true
+  },
+  destinationSubCounty: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  baseFee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Extra fee per unit ordered, keyed by Product.unit (e.g. per kg, per bag)
+  unitSurcharges: {
+    type: Map,
+    of: {
+      type: Number,
+      min: 0
+    },
+    default: {}
+  },
+  estimatedDays: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A sub-county rate needs a specific destination county
+deliveryRateSchema.pre('validate', function(next) {
+  if (this.destinationSubCounty && this.destinationCounty === '*') {
+    this.invalidate('destinationSubCounty', 'A sub-county rate needs a destination county');
+  }
+  for (const unit of this.unitSurcharges.keys()) {
+    if (!UNITS.includes(unit)) {
+      this.invalidate('unitSurcharges', `Unknown unit: ${unit}`);
+    }
+  }
+  next();
+});
+
+// One rate per route
+deliveryRateSchema.index(
+  { originCounty: 1, destinationCounty: 1, destinationSubCounty: 1 },
+  { unique: true, collation: COLLATION }
+);
+
+deliveryRateSchema.statics.UNITS = UNITS;
+deliveryRateSchema.statics.COLLATION = COLLATION;
+
+module.exports = mongoose.model('DeliveryRate', deliveryRateSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const DISPUTE_REASONS = ['wrong_quantity', 'poor_quality', 'spoiled', 'sick_or_dead_animal', 'wrong_item', 'not_received', 'other'];
+
+const DISPUTE_OUTCOMES = ['refund', 'partial_refund', 'rejected'];
+
+// One post in a dispute's thread; system posts have no author
+const disputeMessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorRole: {
+    type: String,
+    enum: ['buyer', 'farmer', 'admin', 'system'],
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  images: [{
+    type: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A buyer contesting one farmer's shipped or delivered sub-order
+const disputeSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  subOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: DISPUTE_REASONS,
+    required: true
+  },
+  // What the buyer asks back, up to the sub-order's goods value
+  requestedAmount: {
+    type: Number,
+    min: 0
+  },
+  messages: [disputeMessageSchema],
+  // open -> escalated -> resolved, or withdrawn by the buyer before that
+  status: {
+    type: String,
+    enum: ['open', 'escalated', 'resolved', 'withdrawn'],
+    default: 'open'
+  },
+  // SLA: the farmer answers by responseDueAt or the dispute is escalated;
+  // an admin resolves it by resolutionDueAt
+  responseDueAt: {
+    type: Date,
+    required: true
+  },
+  resolutionDueAt: {
+    type: Date,
+    required: true
+  },
+  farmerRespondedAt: Date,
+  escalatedAt: Date,
+  // Whether opening the dispute froze the sub-order's escrow
+  escrowFrozen: {
+    type: Boolean,
+    default: false
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: DISPUTE_OUTCOMES
+    },
+    refundAmount: {
+      type: Number,
+      min: 0
+    },
+    refundReference: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Only one dispute per sub-order can be in progress at a time
+disputeSchema.index(
+  { subOrder: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'escalated'] } } }
+);
+
+// Indexes for buyer, farmer and admin queues and the SLA job
+disputeSchema.index({ buyer: 1, createdAt: -1 });
+disputeSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, resolutionDueAt: 1 });
+disputeSchema.index({ status: 1, responseDueAt: 1 });
+disputeSchema.index({ order: 1 });
+
+disputeSchema.statics.REASONS = DISPUTE_REASONS;
+disputeSchema.statics.OUTCOMES = DISPUTE_OUTCOMES;
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  phone: String,
+  email: String,
+  kraPin: String,
+  address: String
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unit: String,
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// An issued invoice or receipt. The content is a snapshot taken when the
+// document is first issued, so re-downloading it always gives the same
+// document and number.
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'receipt'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  // Set for a farmer's slice of a multi-farmer order, null for the whole order
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  shippingAddress: {
+    county: String,
+    subCounty: String,
+    ward: String,
+    specificLocation: String,
+    contactPhone: String
+  },
+  lines: [invoiceLineSchema],
+  itemsTotal: {
+    type: Number,
+    required: true
+  },
+  // Coupon discount taken off the items
+  discount: {
+    type: Number,
+    default: 0
+  },
+  couponCode: String,
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  paymentMethod: String,
+  paymentReference: String,
+  paymentStatus: String,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One document of each type per order (or per farmer slice)
+invoiceSchema.index({ order: 1, farmer: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
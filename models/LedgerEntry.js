@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One movement of money owed to a farmer. Credits are positive, debits
+// (commission, refunds, payouts, cash the farmer collected themselves)
+// negative; a farmer's balance is the sum of entries. Sales and commission
+// on prepaid orders sit in escrow (held or frozen) until released, and only
+// count towards the balance from then on.
+const ledgerEntrySchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'commission', 'refund', 'cash_collection', 'payout', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  subOrder: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  escrow: {
+    type: String,
+    enum: ['held', 'frozen', 'released']
+  },
+  releasedAt: {
+    type: Date
+  },
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // Payout batch that has claimed this entry (or, for payout entries, paid it)
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A sub-order is credited, charged commission and debited cash only once
+ledgerEntrySchema.index(
+  { order: 1, subOrder: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: { $in: ['sale', 'commission', 'cash_collection'] } } }
+);
+
+// A return or dispute is refunded from the farmer's earnings only once
+ledgerEntrySchema.index(
+  { returnRequest: 1 },
+  { unique: true, partialFilterExpression: { type: 'refund', returnRequest: { $exists: true } } }
+);
+ledgerEntrySchema.index(
+  { dispute: 1 },
+  { unique: true, partialFilterExpression: { type: 'refund', dispute: { $exists: true } } }
+);
+
+ledgerEntrySchema.index({ farmer: 1, createdAt: -1 });
+ledgerEntrySchema.index({ farmer: 1, payout: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'subscription_order', 'subscription_skipped', 'subscription_failed', 'subscription_ended',
+  'preorder_converted', 'preorder_unfulfilled', 'preorder_cancelled',
+  'offer_received', 'offer_countered', 'offer_accepted', 'offer_rejected', 'offer_withdrawn',
+  'stock_low', 'stock_out'
+];
+
+// An in-app message to one user, e.g. about an order placed on their behalf
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // What the notification is about, for linking from the app
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for a user's inbox and unread count
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
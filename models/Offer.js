@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const OPEN_STATUSES = ['pending', 'countered'];
+
+// One move in the negotiation
+const offerEventSchema = new mongoose.Schema({
+  by: {
+    type: String,
+    enum: ['buyer', 'farmer', 'system'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['proposed', 'countered', 'accepted', 'rejected', 'withdrawn', 'expired', 'used'],
+    required: true
+  },
+  price: Number,
+  quantity: Number,
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A buyer and farmer haggling over the price of a product, or of one
+// `variant` of it. The latest proposal is in price/quantity; an accepted
+// offer locks that price for the buyer's checkout until lockedUntil.
+const offerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unit price on the table
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // pending: awaiting the farmer; countered: awaiting the buyer. Then
+  // accepted (and used at checkout), rejected, withdrawn or expired.
+  status: {
+    type: String,
+    enum: ['pending', 'countered', 'accepted', 'rejected', 'withdrawn', 'expired', 'used'],
+    default: 'pending'
+  },
+  // An open offer lapses if the other side does not answer by then
+  expiresAt: Date,
+  acceptedAt: Date,
+  lockedUntil: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  usedAt: Date,
+  history: [offerEventSchema]
+}, {
+  timestamps: true
+});
+
+// A buyer negotiates one offer per product (or variant) at a time
+offerSchema.index(
+  { buyer: 1, product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+// Indexes for buyer and farmer lists and the expiry job
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+offerSchema.index({ status: 1, lockedUntil: 1 });
+
+// Whose turn it is to answer an open offer
+offerSchema.methods.getAwaitingRole = function() {
+  if (this.status === 'pending') return 'farmer';
+  if (this.status === 'countered') return 'buyer';
+  return null;
+};
+
+offerSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('Offer', offerSchema);
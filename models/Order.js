@@ -1,4 +1,153 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const ORDER_NUMBER_PREFIX = 'FCK';
+
+const ESCROW_STATUSES = ['held', 'frozen', 'released', 'cancelled'];
+
+// Who released escrowed funds, by the role that marked the sub-order
+// delivered. Farmers cannot confirm their own delivery of a prepaid order.
+const ESCROW_RELEASERS = { buyer: 'buyer', admin: 'admin', system: 'auto' };
+
+// Days after shipping before held funds are released without the buyer
+const getEscrowReleaseDays = () => {
+  const days = parseInt(process.env.ESCROW_AUTO_RELEASE_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 7;
+};
+
+// e.g. FCK-2026-000123, from a sequence that restarts each year
+const formatOrderNumber = (year, seq) =>
+  `${ORDER_NUMBER_PREFIX}-${year}-${String(seq).padStart(6, '0')}`;
+
+// Per-farmer fulfilment group: each farmer in an order ships their own items
+const subOrderSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Charged on top of the subtotal for this farmer's shipment
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  farmerNotes: {
+    type: String,
+    trim: true
+  },
+  deliveryDate: {
+    type: Date
+  },
+  // Total refunded to the buyer through approved returns
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // This farmer's share of the coupon discount, deducted from the subtotal
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Pre-order deposit the buyer already paid, deducted from what is due
+  depositPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cash on delivery: the buyer's one-time handover code, stored as an HMAC
+  deliveryCode: {
+    hash: String,
+    generatedAt: Date,
+    expiresAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Prepaid orders: the farmer's share is held until the buyer confirms
+  // delivery or releaseAfter passes, see syncEscrow
+  escrow: {
+    status: {
+      type: String,
+      enum: ESCROW_STATUSES
+    },
+    heldAt: Date,
+    releaseAfter: Date,
+    releasedAt: Date,
+    releasedBy: {
+      type: String,
+      enum: Object.values(ESCROW_RELEASERS)
+    },
+    // Why funds were released without a confirmed delivery, see syncEscrow
+    releaseNote: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    frozenAt: Date,
+    frozenReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }
+});
+
+// One status change, either of a sub-order or of the derived order status
+const statusHistorySchema = new mongoose.Schema({
+  subOrder: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  from: {
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['buyer', 'farmer', 'admin', 'system']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isOverride: {
+    type: Boolean,
+    default: false
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -17,6 +166,12 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Variant bought, with its name and SKU as they were at checkout
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: String,
+    sku: String,
     quantity: {
       type: Number,
       required: true,
@@ -31,21 +186,63 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
+    },
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Negotiated offer whose locked price this line was bought at
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer'
     }
   }],
+  // Sum of the sub-orders' delivery fees, included in totalAmount
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Coupon applied at checkout, as it stood then
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountType: String,
+    value: Number,
+    fundedBy: String
+  },
+  // Sum of the sub-orders' discounts, already taken off totalAmount
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   totalAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  // Sum of the sub-orders' refunds; totalAmount stays what was charged
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  subOrders: [subOrderSchema],
+  // Derived from subOrders, see syncStatusFromSubOrders
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -57,6 +254,113 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Cash handed over on delivery, one entry per sub-order
+  cashCollections: [{
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    farmer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    collectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }],
+  // Bank transfer slips uploaded by the buyer, verified or rejected by an admin
+  paymentProofs: [{
+    image: {
+      type: String,
+      required: true
+    },
+    transferReference: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    bankName: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'rejected'],
+      default: 'pending'
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }],
+  // Each STK Push sent for this order, reconciled by callback or status query
+  mpesaRequests: [{
+    merchantRequestId: String,
+    checkoutRequestId: {
+      type: String,
+      required: true
+    },
+    phone: String,
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      default: 'pending'
+    },
+    resultCode: Number,
+    resultDesc: String,
+    receiptNumber: String,
+    transactionDate: Date,
+    resolvedBy: {
+      type: String,
+      enum: ['callback', 'query']
+    },
+    initiatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    resolvedAt: Date
+  }],
   shippingAddress: {
     county: {
       type: String,
@@ -88,16 +392,19 @@ const orderSchema = new mongoose.Schema({
       trim: true
     }
   },
-  deliveryDate: {
-    type: Date
-  },
   deliveryNotes: {
     type: String,
     trim: true
   },
-  farmerNotes: {
-    type: String,
-    trim: true
+  // Set on orders placed automatically for a recurring subscription
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Set on orders converted from a pre-order reservation
+  preOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreOrder'
   },
   isActive: {
     type: Boolean,
@@ -107,38 +414,226 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', function(next) {
-  if (!this.orderNumber) {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    this.orderNumber = `ORD-${timestamp.slice(-6)}-${random}`;
+// Assign the next order number. This runs before validation since the
+// number is required, and uses the save's session so an aborted
+// transaction hands the number back.
+orderSchema.pre('validate', async function() {
+  if (this.orderNumber) return;
+
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`order-${year}`, this.$session());
+  this.orderNumber = formatOrderNumber(year, seq);
+});
+
+// Group order items into one sub-order per farmer
+const buildSubOrders = (items, status = 'pending') => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const farmerId = (item.farmer._id || item.farmer).toString();
+    if (!groups.has(farmerId)) {
+      groups.set(farmerId, { farmer: item.farmer._id || item.farmer, subtotal: 0, status });
+    }
+    groups.get(farmerId).subtotal += item.price * item.quantity;
+  });
+  return Array.from(groups.values());
+};
+
+// Orders saved before sub-orders existed get them built from their items
+orderSchema.pre('validate', function(next) {
+  if (this.subOrders.length === 0 && this.items.length > 0) {
+    this.subOrders = buildSubOrders(this.items, this.status);
   }
+  this.syncStatusFromSubOrders();
+  this.syncEscrow();
   next();
 });
 
 // Index for efficient queries
 orderSchema.index({ buyer: 1, createdAt: -1 });
 orderSchema.index({ 'items.farmer': 1, status: 1 });
+orderSchema.index({ 'subOrders.farmer': 1, 'subOrders.status': 1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1, paymentStatus: 1 });
+orderSchema.index({ 'mpesaRequests.checkoutRequestId': 1 });
+// Orders placed for a subscription
+orderSchema.index({ subscription: 1, createdAt: -1 }, { sparse: true });
+// One order per converted pre-order
+orderSchema.index({ preOrder: 1 }, { unique: true, sparse: true });
+// A buyer's orders with a coupon, for its per-user limit
+orderSchema.index({ 'coupon.coupon': 1, buyer: 1 }, { sparse: true });
+// Held funds due for automatic release
+orderSchema.index({ 'subOrders.escrow.status': 1, 'subOrders.escrow.releaseAfter': 1 });
+// Admin queue of bank transfer slips awaiting review
+orderSchema.index({ 'paymentProofs.status': 1, 'paymentProofs.submittedAt': 1 });
 
 // Virtual for order summary
 orderSchema.virtual('orderSummary').get(function() {
   return {
     totalItems: this.items.reduce((sum, item) => sum + item.quantity, 0),
+    deliveryFee: this.deliveryFee,
     totalAmount: this.totalAmount,
+    refundedAmount: this.refundedAmount,
+    netAmount: this.totalAmount - this.refundedAmount,
     status: this.status,
     paymentStatus: this.paymentStatus
   };
 });
 
-// Method to calculate total
+// Method to calculate total (items plus delivery)
 orderSchema.methods.calculateTotal = function() {
   this.totalAmount = this.items.reduce((total, item) => {
     return total + (item.price * item.quantity);
-  }, 0);
+  }, 0) + this.deliveryFee;
   return this.totalAmount;
 };
 
+// Find the sub-order belonging to a farmer
+orderSchema.methods.getSubOrder = function(farmerId) {
+  return this.subOrders.find(
+    (subOrder) => subOrder.farmer.toString() === farmerId.toString()
+  );
+};
+
+// Items fulfilled by a given sub-order
+orderSchema.methods.getSubOrderItems = function(subOrder) {
+  return this.items.filter(
+    (item) => (item.farmer._id || item.farmer).toString() === subOrder.farmer.toString()
+  );
+};
+
+// Move each sub-order's escrow along with payment and fulfilment. Funds are
+// held once a prepaid order is paid; the release clock starts at shipping
+// and delivery releases them. Frozen funds wait for an admin. Cash is paid
+// on handover, so cash orders are never held.
+orderSchema.methods.syncEscrow = function() {
+  if (this.paymentMethod === 'cash') return;
+
+  const isPaid = ['paid', 'partially_refunded'].includes(this.paymentStatus);
+  const now = new Date();
+
+  this.subOrders.forEach((subOrder, index) => {
+    const escrow = subOrder.escrow;
+    const isCancelled = subOrder.status === 'cancelled';
+
+    if (!escrow.status || escrow.status === 'cancelled') {
+      // Newly paid, or a cancelled sub-order reopened
+      if (!isPaid || isCancelled) return;
+      escrow.status = 'held';
+      escrow.heldAt = now;
+      escrow.releaseAfter = undefined;
+    }
+    if (escrow.status === 'released') return;
+    if (isCancelled) {
+      escrow.status = 'cancelled';
+      return;
+    }
+    if (escrow.status !== 'held') return;
+
+    if (subOrder.status === 'shipped' && !escrow.releaseAfter) {
+      escrow.releaseAfter = new Date(now.getTime() + getEscrowReleaseDays() * 24 * 60 * 60 * 1000);
+    }
+    if (subOrder.status === 'delivered') {
+      const delivery = this.statusHistory
+        .filter((entry) => entry.subOrder && entry.subOrder.equals(subOrder._id) && entry.to === 'delivered')
+        .pop();
+      const role = delivery && delivery.actorRole;
+      // Orders delivered before the status history was kept have no record
+      // of who confirmed it; they are released as before rather than left
+      // impossible to save
+      if (!role) {
+        escrow.status = 'released';
+        escrow.releasedAt = now;
+        escrow.releasedBy = 'auto';
+        escrow.releaseNote = 'Delivered before delivery confirmations were recorded';
+        return;
+      }
+      if (!Object.prototype.hasOwnProperty.call(ESCROW_RELEASERS, role)) {
+        this.invalidate(
+          `subOrders.${index}.escrow.releasedBy`,
+          `A delivery marked by ${role} cannot release escrowed funds`
+        );
+        return;
+      }
+      escrow.status = 'released';
+      escrow.releasedAt = now;
+      escrow.releasedBy = ESCROW_RELEASERS[role];
+    }
+  });
+};
+
+// Derive the order status from its sub-orders: cancelled once every
+// sub-order is cancelled, otherwise the least advanced active sub-order
+orderSchema.methods.syncStatusFromSubOrders = function() {
+  if (this.subOrders.length === 0) return this.status;
+
+  const flow = ORDER_STATUSES.filter((status) => status !== 'cancelled');
+  const active = this.subOrders.filter((subOrder) => subOrder.status !== 'cancelled');
+
+  this.status = active.length === 0
+    ? 'cancelled'
+    : flow[Math.min(...active.map((subOrder) => flow.indexOf(subOrder.status)))];
+  return this.status;
+};
+
+// A farmer's view of an order: only their own items and sub-order.
+// Works on lean objects, including orders saved before sub-orders existed.
+orderSchema.statics.toFarmerSlice = function(order, farmerId) {
+  const id = farmerId.toString();
+  const items = order.items.filter(
+    (item) => (item.farmer._id || item.farmer).toString() === id
+  );
+  const subOrders = order.subOrders && order.subOrders.length > 0
+    ? order.subOrders
+    : buildSubOrders(order.items, order.status);
+  const subOrder = subOrders.find((group) => group.farmer.toString() === id);
+
+  const statusHistory = (order.statusHistory || []).filter(
+    (entry) => !entry.farmer || entry.farmer.toString() === id
+  );
+
+  const slice = {
+    ...order,
+    items,
+    subOrder: subOrder && { ...subOrder, deliveryCode: undefined },
+    statusHistory,
+    cashCollections: (order.cashCollections || []).filter(
+      (collection) => collection.farmer.toString() === id
+    )
+  };
+  delete slice.subOrders;
+  delete slice.totalAmount;
+  delete slice.deliveryFee;
+  delete slice.refundedAmount;
+  delete slice.mpesaRequests;
+  delete slice.paymentProofs;
+  return slice;
+};
+
+// Move a year's order counter past the highest number already used, e.g.
+// after the counters collection was reset or orders were imported
+orderSchema.statics.syncOrderCounter = async function(year = new Date().getFullYear()) {
+  const prefix = `${ORDER_NUMBER_PREFIX}-${year}-`;
+  const [latest] = await this.aggregate([
+    { $match: { orderNumber: { $regex: `^${prefix}` } } },
+    { $project: { seq: { $convert: {
+      input: { $substrCP: ['$orderNumber', prefix.length, 12] },
+      to: 'int',
+      onError: 0
+    } } } },
+    { $sort: { seq: -1 } },
+    { $limit: 1 }
+  ]);
+  if (!latest) return 0;
+
+  await Counter.updateOne(
+    { _id: `order-${year}` },
+    { $max: { seq: latest.seq } },
+    { upsert: true }
+  );
+  return latest.seq;
+};
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.ESCROW_STATUSES = ESCROW_STATUSES;
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const payoutItemSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'failed'],
+    default: 'pending'
+  },
+  // Provider handle used to match asynchronous results (e.g. B2C ConversationID)
+  conversationId: String,
+  providerReference: String,
+  failureReason: String,
+  processedAt: Date,
+  paidAt: Date
+});
+
+const payoutSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'partially_failed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  items: [payoutItemSchema],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  processedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ status: 1, createdAt: -1 });
+payoutSchema.index({ 'items.farmer': 1 });
+payoutSchema.index({ 'items.conversationId': 1 });
+
+// Derive the batch status once no item is waiting on the provider
+payoutSchema.methods.syncStatus = function() {
+  const statuses = this.items.map((item) => item.status);
+  if (statuses.some((status) => status === 'pending' || status === 'processing')) {
+    return this.status;
+  }
+
+  if (statuses.every((status) => status === 'paid')) {
+    this.status = 'completed';
+  } else if (statuses.every((status) => status === 'failed')) {
+    this.status = 'failed';
+  } else {
+    this.status = 'partially_failed';
+  }
+  this.completedAt = new Date();
+  return this.status;
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const DEPOSIT_STATUSES = ['none', 'pending', 'paid', 'refund_due', 'refunded'];
+
+// A buyer's reservation of part of a product's expected harvest
+const preOrderSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Unit price agreed at reservation; the order is placed at this price
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // none: no deposit asked; pending -> paid, and refund_due -> refunded if
+  // the reservation is cancelled or cannot be filled
+  deposit: {
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: DEPOSIT_STATUSES,
+      default: 'none'
+    },
+    reference: String,
+    paidAt: Date,
+    refundReference: String,
+    refundedAt: Date,
+    mpesaRequests: [{
+      merchantRequestId: String,
+      checkoutRequestId: {
+        type: String,
+        required: true
+      },
+      phone: String,
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'success', 'failed'],
+        default: 'pending'
+      },
+      resultCode: Number,
+      resultDesc: String,
+      receiptNumber: String,
+      initiatedAt: {
+        type: Date,
+        default: Date.now
+      },
+      resolvedAt: Date
+    }]
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['mpesa', 'cash', 'bank_transfer', 'other'],
+    required: true
+  },
+  shippingAddress: {
+    county: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    subCounty: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    ward: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    specificLocation: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    contactPhone: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    additionalNotes: {
+      type: String,
+      trim: true
+    }
+  },
+  deliveryNotes: {
+    type: String,
+    trim: true
+  },
+  // reserved -> converted once the harvest is in, or unfulfilled if it fell
+  // short; cancelled by the buyer, farmer or an admin before that
+  status: {
+    type: String,
+    enum: ['reserved', 'converted', 'unfulfilled', 'cancelled'],
+    default: 'reserved'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  convertedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['buyer', 'farmer', 'admin']
+  },
+  // Why the reservation was cancelled or could not be filled
+  closeReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for buyer and farmer lists and conversion in reservation order
+preOrderSchema.index({ buyer: 1, createdAt: -1 });
+preOrderSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+preOrderSchema.index({ product: 1, status: 1, createdAt: 1 });
+// Index for matching M-Pesa deposit callbacks
+preOrderSchema.index({ 'deposit.mpesaRequests.checkoutRequestId': 1 });
+// Admin queue of deposits to pay back
+preOrderSchema.index({ 'deposit.status': 1 });
+
+// Whether the reservation can be converted as far as the deposit goes
+preOrderSchema.methods.isDepositSettled = function() {
+  return ['none', 'paid'].includes(this.deposit.status);
+};
+
+preOrderSchema.statics.DEPOSIT_STATUSES = DEPOSIT_STATUSES;
+
+module.exports = mongoose.model('PreOrder', preOrderSchema);
@@ -1,5 +1,86 @@
 const mongoose = require('mongoose');
 
+// Stock level that triggers a low-stock alert when a product sets none
+const getDefaultLowStockThreshold = () => {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : 5;
+};
+
+// One quantity break: `price` per unit from `minQuantity` units up
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: [2, 'A price tier must start at 2 or more units']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+// Checked against the category's template, see services/specifications.js.
+// Not strict, so fields a template adds beyond these are kept too.
+const specificationsSchema = new mongoose.Schema({
+  breed: String, // For livestock
+  age: String,   // For livestock
+  weight: Number, // For livestock
+  color: String,  // For various products
+  size: String,   // For various products
+  origin: String, // Where it was grown/raised
+  organic: {
+    type: Boolean,
+    default: false
+  },
+  grade: String,  // Quality grade
+  harvestDate: Date, // For crops
+  expiryDate: Date   // For perishables
+}, { _id: false, strict: false });
+
+// One version of a listing sold on its own, e.g. a breed, size or grade,
+// with its own price, stock and SKU
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot exceed 50 characters']
+  },
+  // What sets the variant apart, e.g. { breed: 'Kienyeji', age: '3 weeks' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Variant quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // Alerts for this variant, re-armed like the product's, see syncStockStatus
+  stockStatus: {
+    soldOutAlertedAt: Date,
+    lowStockAlertedAt: Date
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -13,13 +94,12 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Slugs from the managed taxonomy, see services/taxonomy.js
   category: {
     type: String,
     required: [true, 'Product category is required'],
-    enum: [
-      'livestock', 'poultry', 'dairy', 'vegetables', 'fruits', 
-      'cereals', 'legumes', 'herbs', 'seeds', 'other'
-    ]
+    trim: true,
+    lowercase: true
   },
   subcategory: {
     type: String,
@@ -31,6 +111,32 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Quantity-break prices for bulk buyers, by ascending minQuantity. Each
+  // tier's price applies from its minQuantity up; below the first tier the
+  // base price applies.
+  priceTiers: {
+    type: [priceTierSchema],
+    validate: {
+      validator: (tiers) => tiers.every((tier, i) =>
+        i === 0 || (tier.minQuantity > tiers[i - 1].minQuantity && tier.price <= tiers[i - 1].price)
+      ),
+      message: 'Price tiers must start at increasing quantities with prices that do not go up'
+    }
+  },
+  // Versions of the product bought separately. With variants, price is the
+  // lowest variant price and quantity the variants' total stock, and price
+  // tiers do not apply.
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: (variants) => {
+        const names = variants.map((variant) => variant.name.toLowerCase());
+        const skus = variants.map((variant) => variant.sku);
+        return new Set(names).size === names.length && new Set(skus).size === skus.length;
+      },
+      message: 'Variants must have different names and SKUs'
+    }
+  },
   unit: {
     type: String,
     required: [true, 'Unit is required'],
@@ -41,6 +147,20 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Quantity is required'],
     min: [0, 'Quantity cannot be negative']
   },
+  // The farmer is alerted once stock falls to this level; LOW_STOCK_THRESHOLD
+  // when not set
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative']
+  },
+  // Kept in step with quantity, see syncStockStatus
+  stockStatus: {
+    // Set while the listing is hidden because it sold out
+    soldOutAt: Date,
+    soldOutAlertedAt: Date,
+    // Cleared once stock is back above the threshold, re-arming the alert
+    lowStockAlertedAt: Date
+  },
   images: [{
     type: String,
     required: true
@@ -72,19 +192,35 @@ const productSchema = new mongoose.Schema({
   },
   tags: [String],
   specifications: {
-    breed: String, // For livestock
-    age: String,   // For livestock
-    weight: Number, // For livestock
-    color: String,  // For various products
-    size: String,   // For various products
-    origin: String, // Where it was grown/raised
-    organic: {
+    type: specificationsSchema,
+    default: () => ({})
+  },
+  // Pre-order mode for crops not yet harvested: buyers reserve part of the
+  // expected harvest and their reservations become orders once it is in
+  preOrder: {
+    isEnabled: {
       type: Boolean,
       default: false
     },
-    grade: String,  // Quality grade
-    harvestDate: Date, // For crops
-    expiryDate: Date   // For perishables
+    expectedQuantity: {
+      type: Number,
+      min: [0, 'Expected quantity cannot be negative']
+    },
+    expectedHarvestDate: Date,
+    // Sum of open reservations; never more than expectedQuantity
+    reservedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Share of the goods value buyers pay upfront to reserve
+    depositPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    harvestedAt: Date
   },
   rating: {
     average: {
@@ -123,12 +259,106 @@ productSchema.index({
 productSchema.index({ category: 1, isAvailable: 1, isApproved: 1 });
 productSchema.index({ farmer: 1, isActive: 1 });
 productSchema.index({ 'location.county': 1, 'location.subCounty': 1 });
+// A farmer's SKUs are unique across their listings
+productSchema.index(
+  { farmer: 1, 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+// Index for listing products open for pre-order
+productSchema.index({ 'preOrder.isEnabled': 1, 'preOrder.expectedHarvestDate': 1 });
+
+// Keep price and stock in step with the variants before every save
+productSchema.pre('validate', function(next) {
+  this.syncVariantTotals();
+  next();
+});
 
 // Virtual for formatted price
 productSchema.virtual('formattedPrice').get(function() {
   return `KSh ${this.price.toLocaleString()}`;
 });
 
+// A product's variant by id, or null. A static so it also works on lean
+// query results.
+productSchema.statics.findVariant = function(product, variantId) {
+  if (!variantId) return null;
+  return (product.variants || []).find(
+    (variant) => variant._id.toString() === variantId.toString()
+  ) || null;
+};
+
+// Name of an order line: the product, and the variant if there is one
+productSchema.statics.getItemName = function(product, variant) {
+  return variant ? `${product.name} (${variant.name})` : product.name;
+};
+
+// Unit price for buying `quantity` units of a product or one of its
+// variants, honouring price tiers. A static so it also works on lean query
+// results.
+productSchema.statics.getUnitPrice = function(product, quantity, variantId) {
+  const variant = this.findVariant(product, variantId);
+  if (variant) {
+    return variant.price;
+  }
+  const tier = (product.priceTiers || [])
+    .filter((candidate) => candidate.minQuantity <= quantity)
+    .pop();
+  return tier ? tier.price : product.price;
+};
+
+productSchema.statics.getDefaultLowStockThreshold = getDefaultLowStockThreshold;
+
+// Low-stock threshold in effect for a product; a static so it also works
+// on lean query results
+productSchema.statics.getLowStockThreshold = function(product) {
+  return product.lowStockThreshold !== undefined && product.lowStockThreshold !== null
+    ? product.lowStockThreshold
+    : getDefaultLowStockThreshold();
+};
+
+// Price and stock of a product with variants follow its variants. Stock
+// changes made with $inc update both sides, see services/inventory.js.
+productSchema.methods.syncVariantTotals = function() {
+  if (this.variants && this.variants.length > 0) {
+    this.price = Math.min(...this.variants.map((variant) => variant.price));
+    this.quantity = this.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+  }
+};
+
+// Hide a sold-out listing from buyers and show it again once restocked,
+// unless the farmer hid it themselves meanwhile; re-arm the low-stock alert
+// once stock is back above the threshold, and each variant's alerts once
+// its own stock recovers. Returns whether anything changed.
+productSchema.methods.syncStockStatus = function() {
+  const status = this.stockStatus || {};
+
+  if (this.quantity <= 0 && this.isAvailable) {
+    this.isAvailable = false;
+    this.set('stockStatus.soldOutAt', new Date());
+  } else if (this.quantity > 0 && status.soldOutAt) {
+    this.isAvailable = true;
+    this.set('stockStatus.soldOutAt', undefined);
+    this.set('stockStatus.soldOutAlertedAt', undefined);
+  }
+
+  const threshold = this.constructor.getLowStockThreshold(this);
+  if (status.lowStockAlertedAt && this.quantity > threshold) {
+    this.set('stockStatus.lowStockAlertedAt', undefined);
+  }
+
+  (this.variants || []).forEach((variant) => {
+    const variantStatus = variant.stockStatus || {};
+    if (variantStatus.soldOutAlertedAt && variant.quantity > 0) {
+      variant.set('stockStatus.soldOutAlertedAt', undefined);
+    }
+    if (variantStatus.lowStockAlertedAt && variant.quantity > threshold) {
+      variant.set('stockStatus.lowStockAlertedAt', undefined);
+    }
+  });
+
+  return this.isModified();
+};
+
 // Method to increment views
 productSchema.methods.incrementViews = function() {
   this.views += 1;
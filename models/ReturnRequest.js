@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = ['damaged', 'spoiled', 'wrong_item', 'not_as_described', 'missing_items', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the item on the order being returned
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// A buyer's request to return items of one farmer's delivered sub-order
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  subOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [(items) => items.length > 0, 'At least one item is required']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  images: [{
+    type: String
+  }],
+  // requested -> approved -> refunded, or requested -> rejected/cancelled
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded', 'cancelled'],
+    default: 'requested'
+  },
+  // Value of the returned items at the price paid
+  requestedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Set on approval; may be less than requestedAmount for a partial refund
+  refundAmount: {
+    type: Number,
+    min: 0
+  },
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  reviewedAt: Date,
+  refundReference: {
+    type: String,
+    trim: true
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for buyer, farmer and admin queues
+returnRequestSchema.index({ buyer: 1, createdAt: -1 });
+returnRequestSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1, subOrder: 1, status: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+returnRequestSchema.statics.REASONS = RETURN_REASONS;
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+
+// Subcategories are compared case-insensitively
+const COLLATION = { locale: 'en', strength: 2 };
+
+// One specification a product of the category must (or may) describe,
+// stored under Product.specifications[key]
+const specificationFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9]{0,39}$/, 'Field keys must be camelCase letters and digits']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [60, 'Field label cannot exceed 60 characters']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Allowed values of a select field
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Shown next to the value, e.g. kg or %
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Bounds of a number field
+  min: Number,
+  max: Number,
+  // Offered as a filter on product listings
+  filterable: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Help text cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+// The specifications products of a category, or of one subcategory of it,
+// describe. An empty subcategory covers the whole category; a subcategory
+// template adds fields to it and overrides fields with the same key, see
+// services/specifications.js.
+const specificationTemplateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true
+  },
+  subcategory: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  fields: [specificationFieldSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Field keys are unique within a template; select fields need options and
+// number bounds must be in order
+specificationTemplateSchema.pre('validate', function(next) {
+  const keys = new Set();
+  this.fields.forEach((field) => {
+    if (keys.has(field.key)) {
+      this.invalidate('fields', `Duplicate field key: ${field.key}`);
+    }
+    keys.add(field.key);
+    if (field.type === 'select' && field.options.length === 0) {
+      this.invalidate('fields', `Select field ${field.key} needs options`);
+    }
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      this.invalidate('fields', `Field ${field.key} has min above max`);
+    }
+  });
+  next();
+});
+
+// One template per category and subcategory
+specificationTemplateSchema.index(
+  { category: 1, subcategory: 1 },
+  { unique: true, collation: COLLATION }
+);
+
+specificationTemplateSchema.statics.FIELD_TYPES = FIELD_TYPES;
+specificationTemplateSchema.statics.COLLATION = COLLATION;
+
+module.exports = mongoose.model('SpecificationTemplate', specificationTemplateSchema);
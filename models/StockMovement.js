@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'initial', 'order', 'cancellation', 'return', 'harvest',
+  'intake', 'spoilage', 'adjustment', 'count'
+];
+
+// Types a farmer records by hand, see services/inventory.js adjustStock
+const MANUAL_TYPES = ['intake', 'spoilage', 'adjustment', 'count'];
+
+// One change to a product's stock. Additions are positive, removals
+// negative; quantityAfter is the stock right after the change. For a
+// product with variants the change is to one `variant`, and
+// variantQuantityAfter is that variant's stock.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  quantityAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantQuantityAfter: {
+    type: Number,
+    min: 0
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for a product's history and a farmer's stock report
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ farmer: 1, createdAt: 1 });
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+stockMovementSchema.statics.MANUAL_TYPES = MANUAL_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
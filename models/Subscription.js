@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+// Kenya has no daylight saving, so local times are a fixed UTC+3
+const TIMEZONE_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs kept on the subscription; older ones remain visible as orders
+const MAX_RUN_HISTORY = 52;
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// One scheduled cycle and what came of it
+const subscriptionRunSchema = new mongoose.Schema({
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  ranAt: {
+    type: Date,
+    default: Date.now
+  },
+  // created: every item ordered; partial: some items skipped;
+  // skipped: nothing could be ordered; failed: the order could not be placed
+  status: {
+    type: String,
+    enum: ['created', 'partial', 'skipped', 'failed'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  skippedItems: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    available: Number,
+    reason: {
+      type: String,
+      enum: ['unavailable', 'insufficient_stock']
+    }
+  }],
+  message: String
+});
+
+// A buyer's standing order, placed automatically on a daily or weekly schedule
+const subscriptionSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    default: 'Regular order'
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [(items) => items.length > 0, 'At least one item is required']
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    // Weekly only: 0 = Sunday ... 6 = Saturday
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Local (East Africa Time) hour the order is placed
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 6
+    }
+  },
+  startDate: Date,
+  endDate: Date,
+  paymentMethod: {
+    type: String,
+    enum: ['mpesa', 'cash', 'bank_transfer', 'other'],
+    required: true
+  },
+  shippingAddress: {
+    county: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    subCounty: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    ward: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    specificLocation: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    contactPhone: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    additionalNotes: {
+      type: String,
+      trim: true
+    }
+  },
+  deliveryNotes: {
+    type: String,
+    trim: true
+  },
+  // active -> paused -> active, until cancelled or past endDate (ended)
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'ended'],
+    default: 'active'
+  },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  runs: [subscriptionRunSchema]
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.pre('validate', function(next) {
+  if (this.schedule.frequency === 'weekly' && this.schedule.daysOfWeek.length === 0) {
+    this.invalidate('schedule.daysOfWeek', 'Pick at least one day for a weekly schedule');
+  }
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Index for the scheduler and the buyer's list
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+subscriptionSchema.index({ buyer: 1, createdAt: -1 });
+
+// First scheduled time strictly after `after` (and not before startDate)
+subscriptionSchema.methods.getNextRunAfter = function(after = new Date()) {
+  const from = this.startDate && this.startDate > after ? new Date(this.startDate.getTime() - 1) : after;
+  const local = new Date(from.getTime() + TIMEZONE_OFFSET_MS);
+  const { frequency, daysOfWeek, hour } = this.schedule;
+
+  for (let day = 0; day <= 7; day += 1) {
+    const localRun = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + day, hour);
+    const runAt = new Date(localRun - TIMEZONE_OFFSET_MS);
+    const weekday = new Date(localRun).getUTCDay();
+    if (runAt > from && (frequency === 'daily' || daysOfWeek.includes(weekday))) {
+      return runAt;
+    }
+  }
+  return new Date(from.getTime() + DAY_MS);
+};
+
+// Schedule the next run, ending the subscription once past its end date
+subscriptionSchema.methods.scheduleNextRun = function(after = new Date()) {
+  const next = this.getNextRunAfter(after);
+  if (this.endDate && next > this.endDate) {
+    this.status = 'ended';
+    this.nextRunAt = null;
+  } else {
+    this.nextRunAt = next;
+  }
+  return this.nextRunAt;
+};
+
+subscriptionSchema.statics.MAX_RUN_HISTORY = MAX_RUN_HISTORY;
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -17,6 +17,7 @@ document.addEventListener("DOMContentLoaded", function () {
 // Initialize application
 function initializeApp() {
   checkAuthStatus();
+  loadCategories();
   loadProducts();
   loadFarmers();
   loadStats();
@@ -39,6 +40,7 @@ function checkAuthStatus() {
         if (data.user) {
           currentUser = data.user;
           showUserMenu();
+          syncCart();
         } else {
           localStorage.removeItem("token");
           showAuthButtons();
@@ -130,6 +132,7 @@ async function handleLogin(e) {
       localStorage.setItem("token", data.token);
       currentUser = data.user;
       showUserMenu();
+      syncCart();
       hideModal("loginModal");
       showAlert("Login successful!", "success");
 
@@ -179,6 +182,7 @@ async function handleRegister(e) {
       localStorage.setItem("token", data.token);
       currentUser = data.user;
       showUserMenu();
+      syncCart();
       hideModal("registerModal");
       showAlert(
         "Registration successful! Welcome to FarmConnect Kenya!",
@@ -302,6 +306,30 @@ function displayProducts(products) {
   }
 }
 
+// Load categories into the product filter, keeping "All Categories"
+async function loadCategories() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/categories`);
+    const data = await response.json();
+
+    if (response.ok) {
+      const select = document.getElementById("categoryFilter");
+      const selected = select.value;
+      select.innerHTML =
+        '<option value="">All Categories</option>' +
+        data.categories
+          .map(
+            (category) =>
+              `<option value="${category.slug}">${category.name} (${category.productCount})</option>`
+          )
+          .join("");
+      select.value = selected;
+    }
+  } catch (error) {
+    console.error("Load categories error:", error);
+  }
+}
+
 // Load farmers
 async function loadFarmers() {
   try {
@@ -400,8 +428,94 @@ function loadMoreProducts() {
   );
 }
 
+// Save the cart locally and refresh the cart button
+function saveCart() {
+  localStorage.setItem("cart", JSON.stringify(cart));
+  updateCartUI();
+}
+
+// Replace the local cart with the server's re-priced cart
+function applyServerCart(serverCart) {
+  cart = serverCart.items.map((line) => ({
+    productId: line.productId,
+    productName: line.name,
+    price: line.price,
+    previousPrice: line.previousPrice,
+    quantity: line.quantity,
+    image: line.image,
+    availableQuantity: line.availableQuantity,
+    issues: line.issues,
+  }));
+  saveCart();
+}
+
+// Send a cart change to the server and adopt its cart. The local cart is
+// kept as is when the request fails, and synced again on the next login.
+async function cartRequest(method, path, body) {
+  const token = localStorage.getItem("token");
+  if (!token) return null;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/cart${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      showAlert(data.message || "Could not update cart", "warning");
+      return null;
+    }
+
+    applyServerCart(data.cart);
+    return data.cart;
+  } catch (error) {
+    console.error("Cart sync error:", error);
+    return null;
+  }
+}
+
+// Merge the local cart into the user's saved cart after login
+async function syncCart() {
+  const serverCart = await cartRequest("POST", "/merge", {
+    items: cart.map((item) => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      price: item.price === null ? undefined : item.price,
+    })),
+  });
+
+  if (serverCart && (serverCart.hasIssues || serverCart.hasPriceChanges)) {
+    showAlert(
+      "Some items in your cart have changed price or are low on stock. Please review your cart.",
+      "warning"
+    );
+  }
+}
+
+// Describe a cart line's problems for display
+function describeCartIssues(item) {
+  const issues = item.issues || [];
+  const notes = [];
+
+  if (issues.includes("unavailable")) {
+    notes.push("No longer available");
+  }
+  if (issues.includes("insufficient_stock")) {
+    notes.push(`Only ${item.availableQuantity} left in stock`);
+  }
+  if (issues.includes("price_changed")) {
+    notes.push(`Price changed from KSh ${item.previousPrice.toLocaleString()}`);
+  }
+  return notes;
+}
+
 // Add to cart
-function addToCart(productId, productName, price) {
+async function addToCart(productId, productName, price) {
   if (!currentUser) {
     showAlert("Please login to add items to cart", "warning");
     showLoginModal();
@@ -421,9 +535,9 @@ function addToCart(productId, productName, price) {
     });
   }
 
-  localStorage.setItem("cart", JSON.stringify(cart));
-  updateCartUI();
+  saveCart();
   showAlert(`${productName} added to cart!`, "success");
+  await cartRequest("POST", "/items", { productId, quantity: 1 });
 }
 
 // Update cart UI
@@ -437,7 +551,7 @@ function updateCartUI() {
 }
 
 // Show cart modal
-function showCartModal() {
+async function showCartModal() {
   if (!currentUser) {
     showAlert("Please login to view cart", "warning");
     showLoginModal();
@@ -447,6 +561,11 @@ function showCartModal() {
   displayCartItems();
   const modal = new bootstrap.Modal(document.getElementById("cartModal"));
   modal.show();
+
+  // Re-price against current products while the modal is open
+  if (await cartRequest("GET", "")) {
+    displayCartItems();
+  }
 }
 
 // Display cart items
@@ -468,12 +587,22 @@ function displayCartItems() {
     .map(
       (item) => `
         <div class="cart-item">
-            <img src="/images/placeholder.jpg" alt="${
-              item.productName
-            }" class="cart-item-image">
+            <img src="${item.image || "/images/placeholder.jpg"}" alt="${
+        item.productName
+      }" class="cart-item-image">
             <div class="cart-item-info">
                 <div class="cart-item-name">${item.productName}</div>
-                <div class="cart-item-price">KSh ${item.price.toLocaleString()}</div>
+                ${
+                  item.price === null || item.price === undefined
+                    ? ""
+                    : `<div class="cart-item-price">KSh ${item.price.toLocaleString()}</div>`
+                }
+                ${describeCartIssues(item)
+                  .map(
+                    (note) =>
+                      `<div class="small text-danger"><i class="fas fa-exclamation-circle me-1"></i>${note}</div>`
+                  )
+                  .join("")}
             </div>
             <div class="cart-item-controls">
                 <button class="quantity-btn" onclick="updateQuantity('${
@@ -494,7 +623,14 @@ function displayCartItems() {
     )
     .join("");
 
-  const total = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const total = cart
+    .filter(
+      (item) =>
+        typeof item.price === "number" &&
+        !(item.issues || []).includes("unavailable") &&
+        !(item.issues || []).includes("insufficient_stock")
+    )
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
 
   container.innerHTML =
     cartHTML +
@@ -509,27 +645,35 @@ function displayCartItems() {
 }
 
 // Update quantity
-function updateQuantity(productId, change) {
+async function updateQuantity(productId, change) {
   const item = cart.find((item) => item.productId === productId);
   if (item) {
     item.quantity += change;
     if (item.quantity <= 0) {
       removeFromCart(productId);
     } else {
-      localStorage.setItem("cart", JSON.stringify(cart));
-      updateCartUI();
+      saveCart();
       displayCartItems();
+      if (
+        await cartRequest("PUT", `/items/${productId}`, {
+          quantity: item.quantity,
+        })
+      ) {
+        displayCartItems();
+      }
     }
   }
 }
 
 // Remove from cart
-function removeFromCart(productId) {
+async function removeFromCart(productId) {
   cart = cart.filter((item) => item.productId !== productId);
-  localStorage.setItem("cart", JSON.stringify(cart));
-  updateCartUI();
+  saveCart();
   displayCartItems();
   showAlert("Item removed from cart", "info");
+  if (await cartRequest("DELETE", `/items/${productId}`)) {
+    displayCartItems();
+  }
 }
 
 // Proceed to checkout
@@ -638,6 +782,9 @@ function showOrders() {
 function logout() {
   localStorage.removeItem("token");
   currentUser = null;
+  // The cart is saved on the server; don't leave it for the next user
+  cart = [];
+  saveCart();
   showAuthButtons();
   showAlert("Logged out successfully", "success");
 }
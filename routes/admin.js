@@ -4,6 +4,11 @@ const User = require("../models/User");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const {
+  verifyPaymentProof,
+  rejectPaymentProof,
+} = require("../services/payments");
+const { sendServiceError } = require("../utils/errors");
 
 const router = express.Router();
 
@@ -312,6 +317,137 @@ router.get("/orders", authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/payment-proofs
+// @desc    Bank transfer slips to review, oldest first (pending by default)
+// @access  Private (Admin only)
+router.get(
+  "/payment-proofs",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status = "pending" } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const match = { "paymentProofs.status": status };
+      const pipeline = [
+        { $match: { isActive: true, ...match } },
+        { $unwind: "$paymentProofs" },
+        { $match: match },
+      ];
+
+      const proofs = await Order.aggregate([
+        ...pipeline,
+        { $sort: { "paymentProofs.submittedAt": 1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        {
+          $project: {
+            _id: 0,
+            order: {
+              _id: "$_id",
+              orderNumber: "$orderNumber",
+              totalAmount: "$totalAmount",
+              amountDue: { $subtract: ["$totalAmount", "$refundedAmount"] },
+              paymentStatus: "$paymentStatus",
+              buyer: "$buyer",
+              createdAt: "$createdAt",
+            },
+            proof: "$paymentProofs",
+          },
+        },
+      ]);
+      await User.populate(proofs, {
+        path: "order.buyer",
+        select: "firstName lastName email phone",
+      });
+
+      const [{ totalProofs = 0 } = {}] = await Order.aggregate([
+        ...pipeline,
+        { $count: "totalProofs" },
+      ]);
+
+      res.json({
+        proofs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalProofs / parseInt(limit)),
+          totalProofs,
+        },
+      });
+    } catch (error) {
+      console.error("Get payment proofs error:", error);
+      res.status(500).json({
+        message: "Server error while fetching payment proofs",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/payment-proofs/:orderId/:proofId
+// @desc    Verify a bank transfer slip (marks the order paid) or reject it
+// @access  Private (Admin only)
+router.put(
+  "/payment-proofs/:orderId/:proofId",
+  authenticateToken,
+  requireAdmin,
+  [
+    body("action")
+      .isIn(["verify", "reject"])
+      .withMessage("Action must be verify or reject"),
+    body("paymentReference").optional().trim().notEmpty(),
+    body("notes")
+      .if(body("action").equals("reject"))
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required to reject a transfer slip"),
+    body("notes").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { action, paymentReference, notes } = req.body;
+      const params = {
+        orderId: req.params.orderId,
+        proofId: req.params.proofId,
+        user: req.user,
+        note: notes,
+      };
+
+      const { order, proof } =
+        action === "verify"
+          ? await verifyPaymentProof({ ...params, reference: paymentReference })
+          : await rejectPaymentProof(params);
+
+      res.json({
+        message: `Transfer slip ${
+          action === "verify" ? "verified" : "rejected"
+        } successfully`,
+        proof,
+        order: {
+          id: order._id,
+          orderNumber: order.orderNumber,
+          paymentStatus: order.paymentStatus,
+          paymentReference: order.paymentReference,
+        },
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Review payment proof error:", error);
+      res.status(500).json({
+        message: "Server error while reviewing payment proof",
+      });
+    }
+  }
+);
+
 // @route   GET /api/admin/users
 // @desc    Get all users for admin
 // @access  Private (Admin only)
@@ -0,0 +1,231 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  getCart,
+  priceCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+} = require("../services/cart");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// @route   GET /api/cart
+// @desc    Get the user's cart, re-priced against current products
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const cart = await getCart(req.user._id);
+
+    res.json({ cart: await priceCart(cart) });
+  } catch (error) {
+    console.error("Get cart error:", error);
+    res.status(500).json({
+      message: "Server error while fetching cart",
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product to the cart
+// @access  Private
+router.post(
+  "/items",
+  authenticateToken,
+  [
+    body("productId").isMongoId().withMessage("Valid product ID is required"),
+    body("variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { productId, variantId, quantity = 1 } = req.body;
+      const cart = await addCartItem(
+        req.user._id,
+        productId,
+        parseInt(quantity),
+        variantId
+      );
+
+      res.json({
+        message: "Item added to cart",
+        cart: await priceCart(cart),
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Add cart item error:", error);
+      res.status(500).json({
+        message: "Server error while adding item to cart",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/cart/items/:productId
+// @desc    Set the quantity of a cart line (0 removes it); ?variantId=
+//          picks the line of a product sold in variants
+// @access  Private
+router.put(
+  "/items/:productId",
+  authenticateToken,
+  [
+    param("productId").isMongoId().withMessage("Invalid product ID"),
+    query("variantId").optional().isMongoId().withMessage("Invalid variant ID"),
+    body("quantity")
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a non-negative integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cart = await setCartItemQuantity(
+        req.user._id,
+        req.params.productId,
+        parseInt(req.body.quantity),
+        req.query.variantId
+      );
+
+      res.json({
+        message: "Cart updated",
+        cart: await priceCart(cart),
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update cart item error:", error);
+      res.status(500).json({
+        message: "Server error while updating cart",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/cart/items/:productId
+// @desc    Remove a product (or with ?variantId= one of its variants) from
+//          the cart
+// @access  Private
+router.delete(
+  "/items/:productId",
+  authenticateToken,
+  [
+    param("productId").isMongoId().withMessage("Invalid product ID"),
+    query("variantId").optional().isMongoId().withMessage("Invalid variant ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cart = await removeCartItem(
+        req.user._id,
+        req.params.productId,
+        req.query.variantId
+      );
+
+      res.json({
+        message: "Item removed from cart",
+        cart: await priceCart(cart),
+      });
+    } catch (error) {
+      console.error("Remove cart item error:", error);
+      res.status(500).json({
+        message: "Server error while removing item from cart",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Private
+router.delete("/", authenticateToken, async (req, res) => {
+  try {
+    const cart = await clearCart(req.user._id);
+
+    res.json({
+      message: "Cart cleared",
+      cart: await priceCart(cart),
+    });
+  } catch (error) {
+    console.error("Clear cart error:", error);
+    res.status(500).json({
+      message: "Server error while clearing cart",
+    });
+  }
+});
+
+// @route   POST /api/cart/merge
+// @desc    Merge the browser's local cart into the saved cart after login
+// @access  Private
+router.post(
+  "/merge",
+  authenticateToken,
+  [
+    body("items").isArray().withMessage("Items must be an array"),
+    body("items.*.productId")
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("items.*.variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.price").optional().isFloat({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cart = await mergeCart(req.user._id, req.body.items);
+
+      res.json({
+        message: "Cart synchronised",
+        cart: await priceCart(cart),
+      });
+    } catch (error) {
+      console.error("Merge cart error:", error);
+      res.status(500).json({
+        message: "Server error while synchronising cart",
+      });
+    }
+  }
+);
+
+module.exports = router;
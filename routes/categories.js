@@ -0,0 +1,352 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Category = require("../models/Category");
+const {
+  authenticateToken,
+  requireAdmin,
+  optionalAuth,
+} = require("../middleware/auth");
+const {
+  listCategories,
+  deleteCategory,
+  deleteSubcategory,
+} = require("../services/taxonomy");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Every field is optional when updating, and slugs cannot change. Used for
+// categories and subcategories alike.
+const labelValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    isUpdate
+      ? body("slug").not().exists().withMessage("Slugs cannot be changed")
+      : body("slug")
+          .trim()
+          .toLowerCase()
+          .matches(Category.SLUG_PATTERN)
+          .withMessage("Slugs are lowercase letters, digits and dashes"),
+    field("name")
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage("Name must be 1-60 characters"),
+    body("nameSw").optional().trim().isLength({ max: 60 }),
+    body("icon").optional().trim().isLength({ max: 200 }),
+    body("sortOrder").optional().isInt().toInt(),
+    body("isActive").optional().isBoolean().toBoolean(),
+  ];
+};
+
+const pickLabelFields = (body) => {
+  const fields = {};
+  ["slug", "name", "nameSw", "icon", "sortOrder", "isActive"].forEach(
+    (field) => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    }
+  );
+  return fields;
+};
+
+// Admins also see inactive categories and subcategories
+const isAdmin = (user) => Boolean(user && user.role === "admin");
+
+const sendCategoryError = (res, error) => {
+  if (error.code === 11000) {
+    res.status(409).json({
+      message: "A category with this slug already exists",
+    });
+    return true;
+  }
+  if (error.name === "ValidationError") {
+    res.status(400).json({
+      message: error.message,
+    });
+    return true;
+  }
+  return false;
+};
+
+// @route   GET /api/categories
+// @desc    Categories and their subcategories in display order, with listed
+//          product counts. Admins can add ?includeInactive=true.
+// @access  Public
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    const categories = await listCategories({
+      includeInactive:
+        req.query.includeInactive === "true" && isAdmin(req.user),
+    });
+
+    res.json({ categories });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({
+      message: "Server error while fetching categories",
+    });
+  }
+});
+
+// @route   GET /api/categories/:slug
+// @desc    Get a category with its subcategories and product counts
+// @access  Public
+router.get("/:slug", optionalAuth, async (req, res) => {
+  try {
+    const categories = await listCategories({
+      includeInactive: isAdmin(req.user),
+    });
+    const category = categories.find(
+      (candidate) => candidate.slug === req.params.slug.toLowerCase()
+    );
+    if (!category) {
+      return res.status(404).json({
+        message: "Category not found",
+      });
+    }
+
+    res.json({ category });
+  } catch (error) {
+    console.error("Get category error:", error);
+    res.status(500).json({
+      message: "Server error while fetching category",
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category, optionally with its subcategories
+// @access  Private (Admin only)
+router.post(
+  "/",
+  authenticateToken,
+  requireAdmin,
+  [
+    ...labelValidators(),
+    body("subcategories").optional().isArray(),
+    body("subcategories.*.slug")
+      .trim()
+      .toLowerCase()
+      .matches(Category.SLUG_PATTERN)
+      .withMessage(
+        "Subcategory slugs are lowercase letters, digits and dashes"
+      ),
+    body("subcategories.*.name")
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage("Subcategory names must be 1-60 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const category = new Category({
+        ...pickLabelFields(req.body),
+        subcategories: (req.body.subcategories || []).map(pickLabelFields),
+        createdBy: req.user._id,
+      });
+      await category.save();
+
+      res.status(201).json({
+        message: "Category created successfully",
+        category,
+      });
+    } catch (error) {
+      if (sendCategoryError(res, error)) return;
+      console.error("Create category error:", error);
+      res.status(500).json({
+        message: "Server error while creating category",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/categories/:slug
+// @desc    Update a category's labels, order or availability. Products keep
+//          the slug, so renaming does not touch them.
+// @access  Private (Admin only)
+router.put(
+  "/:slug",
+  authenticateToken,
+  requireAdmin,
+  labelValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const category = await Category.findOne({ slug: req.params.slug });
+      if (!category) {
+        return res.status(404).json({
+          message: "Category not found",
+        });
+      }
+
+      category.set(pickLabelFields(req.body));
+      await category.save();
+
+      res.json({
+        message: "Category updated successfully",
+        category,
+      });
+    } catch (error) {
+      if (sendCategoryError(res, error)) return;
+      console.error("Update category error:", error);
+      res.status(500).json({
+        message: "Server error while updating category",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/categories/:slug
+// @desc    Delete a category no product or coupon uses
+// @access  Private (Admin only)
+router.delete("/:slug", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await deleteCategory(req.params.slug);
+
+    res.json({
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Delete category error:", error);
+    res.status(500).json({
+      message: "Server error while deleting category",
+    });
+  }
+});
+
+// @route   POST /api/categories/:slug/subcategories
+// @desc    Add a subcategory to a category
+// @access  Private (Admin only)
+router.post(
+  "/:slug/subcategories",
+  authenticateToken,
+  requireAdmin,
+  labelValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const category = await Category.findOne({ slug: req.params.slug });
+      if (!category) {
+        return res.status(404).json({
+          message: "Category not found",
+        });
+      }
+      if (Category.findSubcategory(category, req.body.slug)) {
+        return res.status(409).json({
+          message: "A subcategory with this slug already exists",
+        });
+      }
+
+      category.subcategories.push(pickLabelFields(req.body));
+      await category.save();
+
+      res.status(201).json({
+        message: "Subcategory added successfully",
+        category,
+      });
+    } catch (error) {
+      if (sendCategoryError(res, error)) return;
+      console.error("Add subcategory error:", error);
+      res.status(500).json({
+        message: "Server error while adding subcategory",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/categories/:slug/subcategories/:subcategorySlug
+// @desc    Update a subcategory's labels, order or availability
+// @access  Private (Admin only)
+router.put(
+  "/:slug/subcategories/:subcategorySlug",
+  authenticateToken,
+  requireAdmin,
+  labelValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const category = await Category.findOne({ slug: req.params.slug });
+      const subcategory =
+        category &&
+        Category.findSubcategory(category, req.params.subcategorySlug);
+      if (!subcategory) {
+        return res.status(404).json({
+          message: "Subcategory not found",
+        });
+      }
+
+      subcategory.set(pickLabelFields(req.body));
+      await category.save();
+
+      res.json({
+        message: "Subcategory updated successfully",
+        category,
+      });
+    } catch (error) {
+      if (sendCategoryError(res, error)) return;
+      console.error("Update subcategory error:", error);
+      res.status(500).json({
+        message: "Server error while updating subcategory",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/categories/:slug/subcategories/:subcategorySlug
+// @desc    Delete a subcategory no product is listed under
+// @access  Private (Admin only)
+router.delete(
+  "/:slug/subcategories/:subcategorySlug",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const category = await deleteSubcategory(
+        req.params.slug,
+        req.params.subcategorySlug
+      );
+
+      res.json({
+        message: "Subcategory deleted successfully",
+        category,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Delete subcategory error:", error);
+      res.status(500).json({
+        message: "Server error while deleting subcategory",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Coupon = require("../models/Coupon");
+const {
+  authenticateToken,
+  requireApprovedFarmer,
+} = require("../middleware/auth");
+const {
+  previewCoupon,
+  findManagedCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require("../services/coupons");
+const { usesCart, getCart } = require("../services/cart");
+const { categoryExists } = require("../services/taxonomy");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Items are only required when not checking the saved cart
+const itemsRequired = (value, { req }) => !usesCart(req);
+
+// Admins run platform promotions; approved farmers discount their products
+const requireCouponManager = (req, res, next) => {
+  if (req.user.role === "admin") return next();
+  return requireApprovedFarmer(req, res, next);
+};
+
+// Every field is optional when updating a coupon
+const couponValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("code")
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage("Code must be 3-30 letters, digits, dashes or underscores"),
+    body("description").optional().trim().isLength({ max: 200 }),
+    field("discountType")
+      .isIn(["percentage", "fixed"])
+      .withMessage("Discount type must be percentage or fixed"),
+    field("value")
+      .isFloat({ gt: 0 })
+      .withMessage("Discount value must be a positive number"),
+    body("maxDiscount").optional().isFloat({ gt: 0 }),
+    body("scope")
+      .optional()
+      .isIn(["platform", "farmer", "category"])
+      .withMessage("Scope must be platform, farmer or category"),
+    body("farmer").optional().isMongoId(),
+    body("category").optional().trim().toLowerCase().custom(categoryExists),
+    body("minOrderValue").optional().isFloat({ min: 0 }),
+    body("usageLimit").optional().isInt({ min: 1 }),
+    body("perUserLimit").optional().isInt({ min: 1 }),
+    body("startsAt").optional().isISO8601().toDate(),
+    body("expiresAt").optional().isISO8601().toDate(),
+    body("isActive").optional().isBoolean(),
+  ];
+};
+
+const pickCouponFields = (body) => {
+  const fields = {};
+  [
+    "code",
+    "description",
+    "discountType",
+    "value",
+    "maxDiscount",
+    "scope",
+    "farmer",
+    "category",
+    "minOrderValue",
+    "usageLimit",
+    "perUserLimit",
+    "startsAt",
+    "expiresAt",
+    "isActive",
+  ].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @route   POST /api/coupons/validate
+// @desc    Check a coupon code against items (or the cart with useCart:
+//          true) and preview the discount, without using it
+// @access  Private
+router.post(
+  "/validate",
+  authenticateToken,
+  [
+    body("code").trim().notEmpty().withMessage("Coupon code is required"),
+    body("useCart").optional().isBoolean(),
+    body("items")
+      .if(itemsRequired)
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId")
+      .if(itemsRequired)
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("items.*.variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("items.*.quantity")
+      .if(itemsRequired)
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let { items } = req.body;
+      if (usesCart(req)) {
+        const cart = await getCart(req.user._id);
+        if (cart.items.length === 0) {
+          return res.status(400).json({
+            message: "Your cart is empty",
+          });
+        }
+        items = cart.items.map((item) => ({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: item.quantity,
+        }));
+      }
+
+      const coupon = await previewCoupon({
+        code: req.body.code,
+        buyer: req.user._id,
+        items,
+      });
+
+      res.json({ coupon });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Validate coupon error:", error);
+      res.status(500).json({
+        message: "Server error while checking coupon",
+      });
+    }
+  }
+);
+
+// @route   GET /api/coupons
+// @desc    List coupons: admins see all, farmers their own
+// @access  Private (Admin or Farmer)
+router.get("/", authenticateToken, requireCouponManager, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, scope, isActive, farmerId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (req.user.role === "admin") {
+      if (farmerId) filter.farmer = farmerId;
+    } else {
+      filter.farmer = req.user._id;
+      filter.fundedBy = "farmer";
+    }
+    if (scope) filter.scope = scope;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const coupons = await Coupon.find(filter)
+      .populate("farmer", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalCoupons = await Coupon.countDocuments(filter);
+
+    res.json({
+      coupons,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCoupons / parseInt(limit)),
+        totalCoupons,
+      },
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    res.status(500).json({
+      message: "Server error while fetching coupons",
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get a coupon
+// @access  Private (Admin or owning Farmer)
+router.get(
+  "/:id",
+  authenticateToken,
+  requireCouponManager,
+  async (req, res) => {
+    try {
+      const coupon = await findManagedCoupon(req.params.id, req.user);
+      res.json({ coupon });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get coupon error:", error);
+      res.status(500).json({
+        message: "Server error while fetching coupon",
+      });
+    }
+  }
+);
+
+// @route   POST /api/coupons
+// @desc    Create a coupon. Farmers' coupons cover their own products only.
+// @access  Private (Admin or Farmer)
+router.post(
+  "/",
+  authenticateToken,
+  requireCouponManager,
+  couponValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await createCoupon({
+        user: req.user,
+        fields: pickCouponFields(req.body),
+      });
+
+      res.status(201).json({
+        message: "Coupon created successfully",
+        coupon,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Create coupon error:", error);
+      res.status(500).json({
+        message: "Server error while creating coupon",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon, e.g. isActive: false to switch it off
+// @access  Private (Admin or owning Farmer)
+router.put(
+  "/:id",
+  authenticateToken,
+  requireCouponManager,
+  couponValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await updateCoupon({
+        couponId: req.params.id,
+        user: req.user,
+        fields: pickCouponFields(req.body),
+      });
+
+      res.json({
+        message: "Coupon updated successfully",
+        coupon,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Update coupon error:", error);
+      res.status(500).json({
+        message: "Server error while updating coupon",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon that has not been used yet
+// @access  Private (Admin or owning Farmer)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requireCouponManager,
+  async (req, res) => {
+    try {
+      await deleteCoupon({ couponId: req.params.id, user: req.user });
+
+      res.json({
+        message: "Coupon deleted successfully",
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Delete coupon error:", error);
+      res.status(500).json({
+        message: "Server error while deleting coupon",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const DeliveryRate = require("../models/DeliveryRate");
+const {
+  authenticateToken,
+  requireAdmin,
+  optionalAuth,
+} = require("../middleware/auth");
+const { quoteDelivery } = require("../services/delivery");
+const { usesCart, getCart } = require("../services/cart");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Items are only required when not quoting the saved cart
+const itemsRequired = (value, { req }) => !usesCart(req);
+
+// Every field is optional when updating a rate
+const rateValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("originCounty")
+      .trim()
+      .notEmpty()
+      .withMessage("Origin county is required ('*' for any county)"),
+    field("destinationCounty")
+      .trim()
+      .notEmpty()
+      .withMessage("Destination county is required ('*' for any county)"),
+    body("destinationSubCounty").optional().trim(),
+    field("baseFee")
+      .isFloat({ min: 0 })
+      .withMessage("Base fee must be a positive number"),
+    body("unitSurcharges")
+      .optional()
+      .isObject()
+      .withMessage("Unit surcharges must be an object keyed by unit"),
+    body("unitSurcharges.*")
+      .isFloat({ min: 0 })
+      .withMessage("Unit surcharges must be positive numbers"),
+    body("estimatedDays").optional().isInt({ min: 0 }),
+    body("isActive").optional().isBoolean(),
+  ];
+};
+
+const pickRateFields = (body) => {
+  const fields = {};
+  [
+    "originCounty",
+    "destinationCounty",
+    "destinationSubCounty",
+    "baseFee",
+    "unitSurcharges",
+    "estimatedDays",
+    "isActive",
+  ].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @route   POST /api/delivery/quote
+// @desc    Quote the delivery fee for items (or the logged-in user's cart
+//          with useCart: true) to a shipping address
+// @access  Public
+router.post(
+  "/quote",
+  optionalAuth,
+  [
+    body("useCart").optional().isBoolean(),
+    body("items")
+      .if(itemsRequired)
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId")
+      .if(itemsRequired)
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("items.*.variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("items.*.quantity")
+      .if(itemsRequired)
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("shippingAddress.county")
+      .trim()
+      .notEmpty()
+      .withMessage("County is required"),
+    body("shippingAddress.subCounty").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let { items } = req.body;
+      if (usesCart(req)) {
+        if (!req.user) {
+          return res.status(401).json({
+            message: "Login to quote delivery for your cart",
+          });
+        }
+        const cart = await getCart(req.user._id);
+        if (cart.items.length === 0) {
+          return res.status(400).json({
+            message: "Your cart is empty",
+          });
+        }
+        items = cart.items.map((item) => ({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: item.quantity,
+        }));
+      }
+
+      const quote = await quoteDelivery({
+        items,
+        shippingAddress: req.body.shippingAddress,
+      });
+
+      res.json({ quote });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Delivery quote error:", error);
+      res.status(500).json({
+        message: "Server error while quoting delivery",
+      });
+    }
+  }
+);
+
+// @route   GET /api/delivery/rates
+// @desc    List delivery rate tables
+// @access  Private (Admin only)
+router.get("/rates", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { originCounty, destinationCounty, isActive } = req.query;
+
+    const filter = {};
+    if (originCounty) filter.originCounty = originCounty;
+    if (destinationCounty) filter.destinationCounty = destinationCounty;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const rates = await DeliveryRate.find(filter)
+      .collation(DeliveryRate.COLLATION)
+      .sort({ originCounty: 1, destinationCounty: 1, destinationSubCounty: 1 })
+      .lean();
+
+    res.json({ rates });
+  } catch (error) {
+    console.error("Get delivery rates error:", error);
+    res.status(500).json({
+      message: "Server error while fetching delivery rates",
+    });
+  }
+});
+
+// @route   POST /api/delivery/rates
+// @desc    Create a delivery rate
+// @access  Private (Admin only)
+router.post(
+  "/rates",
+  authenticateToken,
+  requireAdmin,
+  rateValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const rate = new DeliveryRate({
+        ...pickRateFields(req.body),
+        createdBy: req.user._id,
+      });
+      await rate.save();
+
+      res.status(201).json({
+        message: "Delivery rate created successfully",
+        rate,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "A delivery rate for this route already exists",
+        });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Create delivery rate error:", error);
+      res.status(500).json({
+        message: "Server error while creating delivery rate",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/delivery/rates/:id
+// @desc    Update a delivery rate
+// @access  Private (Admin only)
+router.put(
+  "/rates/:id",
+  authenticateToken,
+  requireAdmin,
+  rateValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const rate = await DeliveryRate.findById(req.params.id);
+      if (!rate) {
+        return res.status(404).json({
+          message: "Delivery rate not found",
+        });
+      }
+
+      rate.set(pickRateFields(req.body));
+      await rate.save();
+
+      res.json({
+        message: "Delivery rate updated successfully",
+        rate,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "A delivery rate for this route already exists",
+        });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Update delivery rate error:", error);
+      res.status(500).json({
+        message: "Server error while updating delivery rate",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/delivery/rates/:id
+// @desc    Delete a delivery rate
+// @access  Private (Admin only)
+router.delete(
+  "/rates/:id",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const rate = await DeliveryRate.findByIdAndDelete(req.params.id);
+      if (!rate) {
+        return res.status(404).json({
+          message: "Delivery rate not found",
+        });
+      }
+
+      res.json({
+        message: "Delivery rate deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete delivery rate error:", error);
+      res.status(500).json({
+        message: "Server error while deleting delivery rate",
+      });
+    }
+  }
+);
+
+module.exports = router;
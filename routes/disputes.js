@@ -0,0 +1,374 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const Dispute = require("../models/Dispute");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { uploadMultiple, handleUploadError } = require("../middleware/upload");
+const {
+  getDisputeRole,
+  createDispute,
+  addDisputeMessage,
+  escalateDispute,
+  withdrawDispute,
+  resolveDispute,
+} = require("../services/disputes");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+const disputeIdValidator = param("id")
+  .isMongoId()
+  .withMessage("Invalid dispute ID");
+
+const uploadedImages = (req) =>
+  (req.files || []).map((file) => `/uploads/${file.filename}`);
+
+// @route   POST /api/disputes
+// @desc    Dispute a shipped or delivered order, with optional photos
+//          (multipart field "images")
+// @access  Private (Buyer)
+router.post(
+  "/",
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  [
+    body("orderId").isMongoId().withMessage("Valid order ID is required"),
+    body("subOrderId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid sub-order ID is required"),
+    body("reason").isIn(Dispute.REASONS).withMessage("Invalid dispute reason"),
+    body("description")
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage("Describe the problem (up to 2000 characters)"),
+    body("requestedAmount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Requested amount must be a positive number"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { orderId, subOrderId, reason, description, requestedAmount } =
+        req.body;
+
+      const dispute = await createDispute({
+        orderId,
+        subOrderId,
+        user: req.user,
+        reason,
+        description,
+        requestedAmount:
+          requestedAmount !== undefined
+            ? parseFloat(requestedAmount)
+            : undefined,
+        images: uploadedImages(req),
+      });
+
+      res.status(201).json({
+        message: "Dispute opened successfully",
+        dispute,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Create dispute error:", error);
+      res.status(500).json({
+        message: "Server error while opening dispute",
+      });
+    }
+  }
+);
+
+// @route   GET /api/disputes
+// @desc    List disputes: buyers see their own, farmers those on their
+//          sub-orders, admins all (overdue=true for those past their
+//          resolution deadline, most urgent first)
+// @access  Private
+router.get(
+  "/",
+  authenticateToken,
+  [query("orderId").optional().isMongoId().withMessage("Invalid order ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 10, status, orderId, overdue } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = {};
+      if (req.user.role === "farmer") {
+        filter.farmer = req.user._id;
+      } else if (req.user.role !== "admin") {
+        filter.buyer = req.user._id;
+      }
+      if (status) filter.status = status;
+      if (orderId) filter.order = orderId;
+      if (overdue === "true") {
+        filter.status = { $in: ["open", "escalated"] };
+        filter.resolutionDueAt = { $lt: new Date() };
+      }
+
+      const disputes = await Dispute.find(filter)
+        .select("-messages")
+        .populate("order", "orderNumber")
+        .populate("buyer", "firstName lastName phone")
+        .populate("farmer", "firstName lastName phone")
+        .sort(overdue === "true" ? { resolutionDueAt: 1 } : { createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
+
+      const totalDisputes = await Dispute.countDocuments(filter);
+
+      res.json({
+        disputes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalDisputes / parseInt(limit)),
+          totalDisputes,
+        },
+      });
+    } catch (error) {
+      console.error("Get disputes error:", error);
+      res.status(500).json({
+        message: "Server error while fetching disputes",
+      });
+    }
+  }
+);
+
+// @route   GET /api/disputes/:id
+// @desc    Get a dispute with its message thread
+// @access  Private (Buyer, Farmer or Admin)
+router.get(
+  "/:id",
+  authenticateToken,
+  [disputeIdValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const dispute = await Dispute.findById(req.params.id);
+      if (!dispute) {
+        return res.status(404).json({
+          message: "Dispute not found",
+        });
+      }
+
+      // Checked before populating, as a deleted user populates as null
+      if (!getDisputeRole(dispute, req.user)) {
+        return res.status(403).json({
+          message: "Access denied. You can only view your own disputes.",
+        });
+      }
+
+      await dispute.populate([
+        {
+          path: "order",
+          select: "orderNumber createdAt totalAmount paymentStatus",
+        },
+        { path: "buyer", select: "firstName lastName phone" },
+        { path: "farmer", select: "firstName lastName phone" },
+        { path: "messages.author", select: "firstName lastName role" },
+        { path: "resolution.resolvedBy", select: "firstName lastName" },
+      ]);
+
+      res.json({ dispute });
+    } catch (error) {
+      console.error("Get dispute error:", error);
+      res.status(500).json({
+        message: "Server error while fetching dispute",
+      });
+    }
+  }
+);
+
+// @route   POST /api/disputes/:id/messages
+// @desc    Reply in a dispute's thread, with optional evidence photos
+//          (multipart field "images")
+// @access  Private (Buyer, Farmer or Admin)
+router.post(
+  "/:id/messages",
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  [disputeIdValidator, body("body").optional().trim().isLength({ max: 2000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const dispute = await addDisputeMessage({
+        disputeId: req.params.id,
+        user: req.user,
+        body: req.body.body,
+        images: uploadedImages(req),
+      });
+
+      res.status(201).json({
+        message: "Message added",
+        dispute,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Add dispute message error:", error);
+      res.status(500).json({
+        message: "Server error while adding message",
+      });
+    }
+  }
+);
+
+// @route   POST /api/disputes/:id/escalate
+// @desc    Ask an admin to step in
+// @access  Private (Buyer or Farmer)
+router.post(
+  "/:id/escalate",
+  authenticateToken,
+  [disputeIdValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const dispute = await escalateDispute({
+        disputeId: req.params.id,
+        user: req.user,
+      });
+
+      res.json({
+        message: "Dispute escalated to an admin",
+        dispute,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Escalate dispute error:", error);
+      res.status(500).json({
+        message: "Server error while escalating dispute",
+      });
+    }
+  }
+);
+
+// @route   POST /api/disputes/:id/withdraw
+// @desc    Withdraw a dispute that has not been resolved
+// @access  Private (Buyer)
+router.post(
+  "/:id/withdraw",
+  authenticateToken,
+  [disputeIdValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const dispute = await withdrawDispute({
+        disputeId: req.params.id,
+        user: req.user,
+      });
+
+      res.json({
+        message: "Dispute withdrawn",
+        dispute,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Withdraw dispute error:", error);
+      res.status(500).json({
+        message: "Server error while withdrawing dispute",
+      });
+    }
+  }
+);
+
+// @route   POST /api/disputes/:id/resolve
+// @desc    Resolve a dispute with a refund, a partial refund or a rejection
+// @access  Private (Admin only)
+router.post(
+  "/:id/resolve",
+  authenticateToken,
+  requireAdmin,
+  [
+    disputeIdValidator,
+    body("outcome")
+      .isIn(Dispute.OUTCOMES)
+      .withMessage("Outcome must be refund, partial_refund or rejected"),
+    body("refundAmount")
+      .if(body("outcome").equals("partial_refund"))
+      .isFloat({ gt: 0 })
+      .withMessage("Refund amount is required for a partial refund"),
+    body("refundReference").optional().trim().isLength({ max: 100 }),
+    body("note").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { outcome, refundAmount, refundReference, note } = req.body;
+
+      const dispute = await resolveDispute({
+        disputeId: req.params.id,
+        user: req.user,
+        outcome,
+        refundAmount:
+          refundAmount !== undefined ? parseFloat(refundAmount) : undefined,
+        refundReference,
+        note,
+      });
+
+      res.json({
+        message: "Dispute resolved",
+        dispute,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Resolve dispute error:", error);
+      res.status(500).json({
+        message: "Server error while resolving dispute",
+      });
+    }
+  }
+);
+
+module.exports = router;
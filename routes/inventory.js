@@ -0,0 +1,223 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const {
+  authenticateToken,
+  requireFarmer,
+  requireApprovedFarmer,
+} = require("../middleware/auth");
+const { adjustStock, getStockReport } = require("../services/inventory");
+const { toCsv } = require("../utils/csv");
+const { parsePeriodEnd } = require("../utils/dates");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+const periodValidators = [
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+// @route   GET /api/inventory/report
+// @desc    Opening stock, movements by type and closing stock of each of the
+//          farmer's products for a period (JSON or CSV)
+// @access  Private (Farmers only)
+router.get(
+  "/report",
+  authenticateToken,
+  requireFarmer,
+  [...periodValidators, query("format").optional().isIn(["json", "csv"])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { from, to, format } = req.query;
+      const report = await getStockReport(req.user._id, {
+        from: from ? new Date(from) : undefined,
+        to: to ? parsePeriodEnd(to) : undefined,
+      });
+
+      if (format !== "csv") {
+        return res.json({ report });
+      }
+
+      const csv = toCsv(report, [
+        { header: "Product", value: (row) => row.name },
+        { header: "Unit", value: (row) => row.unit },
+        { header: "Opening", value: (row) => row.openingQuantity },
+        ...StockMovement.TYPES.map((type) => ({
+          header: type,
+          value: (row) => row.movements[type] || 0,
+        })),
+        { header: "Closing", value: (row) => row.closingQuantity },
+      ]);
+
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", 'attachment; filename="stock-report.csv"');
+      res.send(csv);
+    } catch (error) {
+      console.error("Get stock report error:", error);
+      res.status(500).json({
+        message: "Server error while generating stock report",
+      });
+    }
+  }
+);
+
+// @route   GET /api/inventory/products/:productId/movements
+// @desc    A product's stock movements, newest first; ?variantId= narrows
+//          them to one variant
+// @access  Private (Product owner or Admin)
+router.get(
+  "/products/:productId/movements",
+  authenticateToken,
+  [
+    ...periodValidators,
+    query("variantId").optional().isMongoId().withMessage("Invalid variant ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const product = await Product.findById(req.params.productId).select(
+        "name unit quantity variants farmer"
+      );
+      if (!product) {
+        return res.status(404).json({
+          message: "Product not found",
+        });
+      }
+      if (req.user.role !== "admin" && !product.farmer.equals(req.user._id)) {
+        return res.status(403).json({
+          message: "Access denied. You can only view your own stock.",
+        });
+      }
+
+      const { page = 1, limit = 20, type, variantId, from, to } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { product: product._id };
+      if (type) filter.type = type;
+      if (variantId) filter.variant = variantId;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = parsePeriodEnd(to);
+      }
+
+      const movements = await StockMovement.find(filter)
+        .populate("order", "orderNumber")
+        .populate("createdBy", "firstName lastName role")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
+
+      const totalMovements = await StockMovement.countDocuments(filter);
+
+      res.json({
+        product,
+        movements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalMovements / parseInt(limit)),
+          totalMovements,
+        },
+      });
+    } catch (error) {
+      console.error("Get stock movements error:", error);
+      res.status(500).json({
+        message: "Server error while fetching stock movements",
+      });
+    }
+  }
+);
+
+// @route   POST /api/inventory/products/:productId/adjustments
+// @desc    Record stock taken in, spoiled, adjusted, or counted on the ground;
+//          products sold in variants need the variantId
+// @access  Private (Product owner)
+router.post(
+  "/products/:productId/adjustments",
+  authenticateToken,
+  requireApprovedFarmer,
+  [
+    body("type")
+      .isIn(StockMovement.MANUAL_TYPES)
+      .withMessage(
+        `Type must be one of ${StockMovement.MANUAL_TYPES.join(", ")}`
+      ),
+    body("variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("quantity")
+      .isInt()
+      .withMessage("Quantity must be a whole number")
+      .custom((value, { req }) => {
+        const quantity = parseInt(value);
+        if (req.body.type === "count" && quantity < 0) {
+          throw new Error("A stock count cannot be negative");
+        }
+        if (["intake", "spoilage"].includes(req.body.type) && quantity < 1) {
+          throw new Error("Quantity must be at least 1");
+        }
+        return true;
+      }),
+    body("reason")
+      .if(body("type").equals("adjustment"))
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required for an adjustment"),
+    body("reason").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { product, movement } = await adjustStock({
+        productId: req.params.productId,
+        variantId: req.body.variantId,
+        user: req.user,
+        type: req.body.type,
+        quantity: parseInt(req.body.quantity),
+        reason: req.body.reason,
+      });
+
+      res.status(201).json({
+        message: "Stock updated",
+        quantity: product.quantity,
+        variantQuantity: movement.variantQuantityAfter,
+        isAvailable: product.isAvailable,
+        movement,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Adjust stock error:", error);
+      res.status(500).json({
+        message: "Server error while adjusting stock",
+      });
+    }
+  }
+);
+
+module.exports = router;
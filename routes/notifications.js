@@ -0,0 +1,102 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const { authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+//          (unread=true for unread only)
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { user: req.user._id };
+    if (unread === "true") filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const [totalNotifications, unreadCount] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalNotifications / parseInt(limit)),
+        totalNotifications,
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      message: "Server error while fetching notifications",
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put("/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Mark notifications read error:", error);
+    res.status(500).json({
+      message: "Server error while updating notifications",
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: "Notification marked as read",
+      notification,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      message: "Server error while updating notification",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Offer = require("../models/Offer");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  getOfferRole,
+  createOffer,
+  counterOffer,
+  acceptOffer,
+  closeOffer,
+} = require("../services/offers");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+const messageValidator = body("message").optional().trim().isLength({
+  max: 500,
+});
+
+// @route   POST /api/offers
+// @desc    Propose a unit price and quantity on a product (or on the
+//          variantId of a product sold in variants)
+// @access  Private
+router.post(
+  "/",
+  authenticateToken,
+  [
+    body("productId").isMongoId().withMessage("Valid product ID is required"),
+    body("variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("price")
+      .isFloat({ gt: 0 })
+      .withMessage("Price must be a positive number"),
+    messageValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const offer = await createOffer({
+        productId: req.body.productId,
+        variantId: req.body.variantId,
+        user: req.user,
+        price: parseFloat(req.body.price),
+        quantity: parseInt(req.body.quantity),
+        message: req.body.message,
+      });
+
+      res.status(201).json({
+        message: "Offer sent to the farmer",
+        offer,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Create offer error:", error);
+      res.status(500).json({
+        message: "Server error while creating offer",
+      });
+    }
+  }
+);
+
+// @route   GET /api/offers
+// @desc    List offers: buyers see their own, farmers those on their
+//          products, admins all
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, productId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (req.user.role === "farmer") {
+      filter.farmer = req.user._id;
+    } else if (req.user.role !== "admin") {
+      filter.buyer = req.user._id;
+    }
+    if (status) filter.status = status;
+    if (productId) filter.product = productId;
+
+    const offers = await Offer.find(filter)
+      .select("-history")
+      .populate("product", "name images unit price")
+      .populate("buyer", "firstName lastName")
+      .populate("order", "orderNumber status")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalOffers = await Offer.countDocuments(filter);
+
+    res.json({
+      offers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalOffers / parseInt(limit)),
+        totalOffers,
+      },
+    });
+  } catch (error) {
+    console.error("Get offers error:", error);
+    res.status(500).json({
+      message: "Server error while fetching offers",
+    });
+  }
+});
+
+// @route   GET /api/offers/:id
+// @desc    Get an offer with its negotiation history
+// @access  Private (Buyer, Farmer or Admin)
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.id)
+      .populate("product", "name images unit price priceTiers quantity")
+      .populate("buyer", "firstName lastName phone")
+      .populate("farmer", "firstName lastName phone")
+      .populate("order", "orderNumber status totalAmount");
+
+    if (!offer) {
+      return res.status(404).json({
+        message: "Offer not found",
+      });
+    }
+
+    const access = { buyer: offer.buyer._id, farmer: offer.farmer._id };
+    if (!getOfferRole(access, req.user)) {
+      return res.status(403).json({
+        message: "Access denied. You can only view your own offers.",
+      });
+    }
+
+    res.json({ offer, awaiting: offer.getAwaitingRole() });
+  } catch (error) {
+    console.error("Get offer error:", error);
+    res.status(500).json({
+      message: "Server error while fetching offer",
+    });
+  }
+});
+
+// @route   POST /api/offers/:id/counter
+// @desc    Answer with a new price, and optionally a new quantity
+// @access  Private (Buyer or Farmer, on their turn)
+router.post(
+  "/:id/counter",
+  authenticateToken,
+  [
+    body("price")
+      .isFloat({ gt: 0 })
+      .withMessage("Price must be a positive number"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    messageValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const offer = await counterOffer({
+        offerId: req.params.id,
+        user: req.user,
+        price: parseFloat(req.body.price),
+        quantity:
+          req.body.quantity !== undefined
+            ? parseInt(req.body.quantity)
+            : undefined,
+        message: req.body.message,
+      });
+
+      res.json({
+        message: "Counter-offer sent",
+        offer,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Counter offer error:", error);
+      res.status(500).json({
+        message: "Server error while countering offer",
+      });
+    }
+  }
+);
+
+// @route   POST /api/offers/:id/accept
+// @desc    Accept the terms on the table; the price is locked for checkout
+// @access  Private (Buyer or Farmer, on their turn)
+router.post(
+  "/:id/accept",
+  authenticateToken,
+  [messageValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const offer = await acceptOffer({
+        offerId: req.params.id,
+        user: req.user,
+        message: req.body.message,
+      });
+
+      res.json({
+        message: `Offer accepted. The price is held until ${offer.lockedUntil.toISOString()}.`,
+        offer,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Accept offer error:", error);
+      res.status(500).json({
+        message: "Server error while accepting offer",
+      });
+    }
+  }
+);
+
+// Reject and withdraw differ only in who may do it
+const closeOfferHandler = (action, label) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const offer = await closeOffer({
+      offerId: req.params.id,
+      user: req.user,
+      action,
+      message: req.body.message,
+    });
+
+    res.json({
+      message: `Offer ${action}`,
+      offer,
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error(`${label} offer error:`, error);
+    res.status(500).json({
+      message: "Server error while updating offer",
+    });
+  }
+};
+
+// @route   POST /api/offers/:id/reject
+// @desc    Turn down the terms on the table
+// @access  Private (Buyer or Farmer, on their turn)
+router.post(
+  "/:id/reject",
+  authenticateToken,
+  [messageValidator],
+  closeOfferHandler("rejected", "Reject")
+);
+
+// @route   POST /api/offers/:id/withdraw
+// @desc    Withdraw an open offer
+// @access  Private (Buyer)
+router.post(
+  "/:id/withdraw",
+  authenticateToken,
+  [messageValidator],
+  closeOfferHandler("withdrawn", "Withdraw")
+);
+
+module.exports = router;
@@ -1,27 +1,66 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const Order = require("../models/Order");
-const Product = require("../models/Product");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { createOrder } = require("../services/orders");
+const { usesCart, getCheckoutItems, clearCart } = require("../services/cart");
+const {
+  transitionOrder,
+  getOrderTimeline,
+} = require("../services/orderLifecycle");
+const { recordOrderEarnings } = require("../services/ledger");
+const { issueDocument } = require("../services/invoices");
+const { renderInvoicePdf } = require("../services/invoicePdf");
+const { submitPaymentProof } = require("../services/payments");
+const { updateEscrow } = require("../services/escrow");
+const { uploadSingle, handleUploadError } = require("../middleware/upload");
+const {
+  generateDeliveryCodes,
+  confirmCashDelivery,
+} = require("../services/cashOnDelivery");
+const { sendServiceError } = require("../utils/errors");
 
 const router = express.Router();
 
+// Items are only required when not ordering from the saved cart
+const itemsRequired = (value, { req }) => !usesCart(req);
+
 // @route   POST /api/orders
-// @desc    Create new order
+// @desc    Create new order from the given items, or from the saved cart
+//          with useCart: true (the cart is emptied once the order is placed).
+//          An item with an offerId is bought at that accepted offer's price,
+//          and an optional couponCode discounts the order.
 // @access  Private
 router.post(
   "/",
   authenticateToken,
   [
+    body("useCart").optional().isBoolean(),
     body("items")
+      .if(itemsRequired)
       .isArray({ min: 1 })
       .withMessage("At least one item is required"),
     body("items.*.productId")
+      .if(itemsRequired)
       .isMongoId()
       .withMessage("Valid product ID is required"),
     body("items.*.quantity")
+      .if(itemsRequired)
       .isInt({ min: 1 })
       .withMessage("Quantity must be at least 1"),
+    body("items.*.variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("items.*.offerId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid offer ID is required"),
+    body("couponCode")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Coupon code cannot be empty"),
     body("paymentMethod")
       .isIn(["mpesa", "cash", "bank_transfer", "other"])
       .withMessage("Invalid payment method"),
@@ -55,60 +94,32 @@ router.post(
         });
       }
 
-      const { items, paymentMethod, shippingAddress, deliveryNotes } = req.body;
-
-      // Validate products and calculate totals
-      const orderItems = [];
-      let totalAmount = 0;
-
-      for (const item of items) {
-        const product = await Product.findById(item.productId);
-
-        if (
-          !product ||
-          !product.isActive ||
-          !product.isApproved ||
-          !product.isAvailable
-        ) {
-          return res.status(400).json({
-            message: `Product ${item.productId} is not available`,
-          });
-        }
-
-        if (product.quantity < item.quantity) {
-          return res.status(400).json({
-            message: `Insufficient quantity for product: ${product.name}`,
-          });
-        }
-
-        const itemTotal = product.price * item.quantity;
-        totalAmount += itemTotal;
-
-        orderItems.push({
-          product: product._id,
-          quantity: item.quantity,
-          price: product.price,
-          farmer: product.farmer,
-        });
-      }
-
-      // Create order
-      const order = new Order({
+      const { paymentMethod, shippingAddress, deliveryNotes, couponCode } =
+        req.body;
+      const useCart = usesCart(req);
+
+      // Cart lines are re-checked against current price and stock first
+      const items = useCart
+        ? await getCheckoutItems(req.user._id)
+        : req.body.items.map(({ productId, variantId, quantity, offerId }) => ({
+            productId,
+            variantId,
+            quantity,
+            offerId,
+          }));
+
+      // Reserve stock and save the order atomically
+      const order = await createOrder({
         buyer: req.user._id,
-        items: orderItems,
-        totalAmount,
+        items,
         paymentMethod,
         shippingAddress,
         deliveryNotes,
+        couponCode,
       });
 
-      await order.save();
-
-      // Update product quantities
-      for (const item of orderItems) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { quantity: -item.quantity },
-        });
+      if (useCart) {
+        await clearCart(req.user._id);
       }
 
       // Populate order details
@@ -122,6 +133,7 @@ router.post(
         order: populatedOrder,
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Create order error:", error);
       res.status(500).json({
         message: "Server error while creating order",
@@ -196,9 +208,133 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/timeline
+// @desc    Get the status history of an order and the actions open to the user
+// @access  Private (Buyer, involved Farmer or Admin)
+router.get("/:id/timeline", authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      isActive: true,
+    }).populate("statusHistory.actor", "firstName lastName role");
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Order not found",
+      });
+    }
+
+    const isBuyer = order.buyer.toString() === req.user._id.toString();
+    const isFarmer = Boolean(order.getSubOrder(req.user._id));
+
+    if (!isBuyer && !isFarmer && req.user.role !== "admin") {
+      return res.status(403).json({
+        message: "Access denied. You can only view orders you are involved in.",
+      });
+    }
+
+    res.json({ timeline: getOrderTimeline(order, req.user) });
+  } catch (error) {
+    console.error("Get order timeline error:", error);
+    res.status(500).json({
+      message: "Server error while fetching order timeline",
+    });
+  }
+});
+
+// Issue and stream an order's invoice or receipt as a PDF. Buyers and
+// admins get the whole order, or one farmer's slice with ?farmerId=;
+// farmers always get their own slice.
+const sendOrderDocument = (type) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      isActive: true,
+    }).select("buyer subOrders.farmer");
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Order not found",
+      });
+    }
+
+    const isBuyer = order.buyer.toString() === req.user._id.toString();
+    const isFarmer = Boolean(order.getSubOrder(req.user._id));
+
+    if (!isBuyer && !isFarmer && req.user.role !== "admin") {
+      return res.status(403).json({
+        message: "Access denied. You can only view orders you are involved in.",
+      });
+    }
+
+    const farmerId =
+      isFarmer && !isBuyer && req.user.role !== "admin"
+        ? req.user._id
+        : req.query.farmerId || null;
+
+    const invoice = await issueDocument({
+      orderId: order._id,
+      type,
+      farmerId,
+      user: req.user,
+    });
+
+    res.set("Content-Type", "application/pdf");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="${invoice.number}.pdf"`
+    );
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error(`Get order ${type} error:`, error);
+    res.status(500).json({
+      message: `Server error while generating ${type}`,
+    });
+  }
+};
+
+const documentValidators = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+  query("farmerId").optional().isMongoId().withMessage("Invalid farmer ID"),
+];
+
+// @route   GET /api/orders/:id/invoice
+// @desc    Download the order's invoice as a PDF (?farmerId= for one
+//          farmer's slice of a multi-farmer order)
+// @access  Private (Buyer, involved Farmer or Admin)
+router.get(
+  "/:id/invoice",
+  authenticateToken,
+  documentValidators,
+  sendOrderDocument("invoice")
+);
+
+// @route   GET /api/orders/:id/receipt
+// @desc    Download the receipt for a paid order as a PDF (?farmerId= for
+//          one farmer's slice of a multi-farmer order)
+// @access  Private (Buyer, involved Farmer or Admin)
+router.get(
+  "/:id/receipt",
+  authenticateToken,
+  documentValidators,
+  sendOrderDocument("receipt")
+);
+
 // @route   PUT /api/orders/:id/status
-// @desc    Update order status
-// @access  Private (Buyer or Farmer)
+// @desc    Move sub-orders to a new status. Farmers confirm, process and ship
+//          their own sub-order; the buyer confirms delivery or cancels; admins
+//          may override. Buyers and admins target one sub-order via
+//          subOrderId, otherwise every open one.
+// @access  Private (Buyer, Farmer or Admin)
 router.put(
   "/:id/status",
   authenticateToken,
@@ -214,6 +350,14 @@ router.put(
       ])
       .withMessage("Invalid status"),
     body("notes").optional().trim().isLength({ max: 500 }),
+    body("deliveryDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Delivery date must be a valid date"),
+    body("subOrderId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid sub-order ID is required"),
   ],
   async (req, res) => {
     try {
@@ -225,74 +369,206 @@ router.put(
         });
       }
 
-      const { status, notes } = req.body;
+      const { status, notes, deliveryDate, subOrderId } = req.body;
 
-      const order = await Order.findById(req.params.id).populate(
-        "items.farmer"
-      );
+      const order = await transitionOrder({
+        orderId: req.params.id,
+        user: req.user,
+        status,
+        note: notes,
+        deliveryDate,
+        subOrderId,
+      });
 
-      if (!order || !order.isActive) {
-        return res.status(404).json({
-          message: "Order not found",
+      const isFarmerView =
+        req.user.role !== "admin" &&
+        order.buyer.toString() !== req.user._id.toString();
+
+      res.json({
+        message: "Order status updated successfully",
+        order: isFarmerView
+          ? Order.toFarmerSlice(order.toObject(), req.user._id)
+          : order,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update order status error:", error);
+      res.status(500).json({
+        message: "Server error while updating order status",
+      });
+    }
+  }
+);
+
+// @route   POST /api/orders/:id/delivery-code
+// @desc    Generate the handover code(s) for a cash on delivery order. The
+//          buyer gives the code to the farmer or rider when the goods and
+//          cash change hands; generating again replaces the old code.
+// @access  Private (Buyer only)
+router.post(
+  "/:id/delivery-code",
+  authenticateToken,
+  [
+    body("subOrderId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid sub-order ID is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
         });
       }
 
-      // Check if user is buyer or farmer involved in the order
-      const isBuyer = order.buyer.toString() === req.user._id.toString();
-      const isFarmer = order.items.some(
-        (item) => item.farmer._id.toString() === req.user._id.toString()
-      );
+      const codes = await generateDeliveryCodes({
+        orderId: req.params.id,
+        user: req.user,
+        subOrderId: req.body.subOrderId,
+      });
+
+      res.json({
+        message: "Share each code only when you receive your goods",
+        codes,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Generate delivery code error:", error);
+      res.status(500).json({
+        message: "Server error while generating delivery code",
+      });
+    }
+  }
+);
+
+// @route   POST /api/orders/:id/confirm-delivery
+// @desc    Enter the buyer's handover code to mark a cash on delivery
+//          sub-order delivered and record the cash collected. Admins must
+//          pass subOrderId.
+// @access  Private (Farmer or Admin)
+router.post(
+  "/:id/confirm-delivery",
+  authenticateToken,
+  [
+    body("code")
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage("A 6-digit delivery code is required"),
+    body("amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a positive number"),
+    body("note").optional().trim().isLength({ max: 500 }),
+    body("subOrderId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid sub-order ID is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-      if (!isBuyer && !isFarmer) {
+      if (!["farmer", "admin"].includes(req.user.role)) {
         return res.status(403).json({
-          message:
-            "Access denied. You can only update orders you are involved in.",
+          message: "Access denied. Only farmers can confirm deliveries.",
         });
       }
 
-      // Validate status transitions
-      const validTransitions = {
-        pending: ["confirmed", "cancelled"],
-        confirmed: ["processing", "cancelled"],
-        processing: ["shipped", "cancelled"],
-        shipped: ["delivered"],
-        delivered: [],
-        cancelled: [],
-      };
-
-      if (!validTransitions[order.status].includes(status)) {
+      const { code, amount, note, subOrderId } = req.body;
+
+      const order = await confirmCashDelivery({
+        orderId: req.params.id,
+        user: req.user,
+        code,
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        note,
+        subOrderId,
+      });
+
+      res.json({
+        message: "Delivery confirmed and cash collection recorded",
+        order:
+          req.user.role === "admin"
+            ? order
+            : Order.toFarmerSlice(order.toObject(), req.user._id),
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Confirm cash delivery error:", error);
+      res.status(500).json({
+        message: "Server error while confirming delivery",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/orders/:id/escrow
+// @desc    Freeze, unfreeze or release the funds held for a sub-order of a
+//          prepaid order
+// @access  Private (Admin only)
+router.put(
+  "/:id/escrow",
+  authenticateToken,
+  requireAdmin,
+  [
+    body("subOrderId")
+      .isMongoId()
+      .withMessage("Valid sub-order ID is required"),
+    body("action")
+      .isIn(["freeze", "unfreeze", "release"])
+      .withMessage("Action must be freeze, unfreeze or release"),
+    body("reason")
+      .if(body("action").equals("freeze"))
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required to freeze funds"),
+    body("reason").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
-          message: `Cannot change status from ${order.status} to ${status}`,
+          message: "Validation failed",
+          errors: errors.array(),
         });
       }
 
-      // Update order
-      order.status = status;
-      if (notes) {
-        if (isFarmer) {
-          order.farmerNotes = notes;
-        } else {
-          order.deliveryNotes = notes;
-        }
-      }
+      const { subOrderId, action, reason } = req.body;
 
-      await order.save();
+      const order = await updateEscrow({
+        orderId: req.params.id,
+        subOrderId,
+        action,
+        reason,
+      });
 
       res.json({
-        message: "Order status updated successfully",
+        message: "Escrow updated successfully",
+        escrow: order.subOrders.id(subOrderId).escrow,
         order,
       });
     } catch (error) {
-      console.error("Update order status error:", error);
+      if (sendServiceError(res, error)) return;
+      console.error("Update escrow error:", error);
       res.status(500).json({
-        message: "Server error while updating order status",
+        message: "Server error while updating escrow",
       });
     }
   }
 );
 
 // @route   GET /api/orders/farmer/orders
-// @desc    Get orders for farmer's products
+// @desc    Get the farmer's slice (own items and sub-order) of their orders
 // @access  Private (Farmers only)
 router.get("/farmer/orders", authenticateToken, async (req, res) => {
   try {
@@ -303,7 +579,9 @@ router.get("/farmer/orders", authenticateToken, async (req, res) => {
       "items.farmer": req.user._id,
       isActive: true,
     };
-    if (status) filter.status = status;
+    if (status) {
+      filter.subOrders = { $elemMatch: { farmer: req.user._id, status } };
+    }
 
     const orders = await Order.find(filter)
       .populate("buyer", "firstName lastName phone email location")
@@ -316,7 +594,7 @@ router.get("/farmer/orders", authenticateToken, async (req, res) => {
     const totalOrders = await Order.countDocuments(filter);
 
     res.json({
-      orders,
+      orders: orders.map((order) => Order.toFarmerSlice(order, req.user._id)),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalOrders / parseInt(limit)),
@@ -331,15 +609,80 @@ router.get("/farmer/orders", authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/orders/:id/payment-proof
+// @desc    Upload a bank transfer slip (multipart field "image") for an
+//          admin to verify
+// @access  Private (Buyer only)
+router.post(
+  "/:id/payment-proof",
+  authenticateToken,
+  uploadSingle,
+  handleUploadError,
+  [
+    body("transferReference")
+      .trim()
+      .notEmpty()
+      .withMessage("Transfer reference is required"),
+    body("amount")
+      .isFloat({ min: 0.01 })
+      .withMessage("Amount transferred is required"),
+    body("bankName").optional().trim().isLength({ max: 100 }),
+    body("note").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          message: "A photo of the transfer slip is required",
+        });
+      }
+
+      const { transferReference, amount, bankName, note } = req.body;
+
+      const { proof } = await submitPaymentProof({
+        orderId: req.params.id,
+        user: req.user,
+        image: `/uploads/${req.file.filename}`,
+        transferReference,
+        amount: parseFloat(amount),
+        bankName,
+        note,
+      });
+
+      res.status(201).json({
+        message:
+          "Transfer slip received. Your order will be marked paid once verified.",
+        proof,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Upload payment proof error:", error);
+      res.status(500).json({
+        message: "Server error while uploading payment proof",
+      });
+    }
+  }
+);
+
 // @route   POST /api/orders/:id/payment
-// @desc    Update payment status
-// @access  Private
+// @desc    Manually reconcile payment status (M-Pesa is settled via
+//          /api/payments, bank transfers via /api/admin/payment-proofs)
+// @access  Private (Admin only)
 router.post(
   "/:id/payment",
   authenticateToken,
+  requireAdmin,
   [
     body("paymentStatus")
-      .isIn(["pending", "paid", "failed", "refunded"])
+      .isIn(["pending", "paid", "failed"])
       .withMessage("Invalid payment status"),
     body("paymentReference").optional().trim().notEmpty(),
   ],
@@ -357,7 +700,6 @@ router.post(
 
       const order = await Order.findOne({
         _id: req.params.id,
-        buyer: req.user._id,
         isActive: true,
       });
 
@@ -367,12 +709,20 @@ router.post(
         });
       }
 
+      if (order.paymentMethod === "bank_transfer") {
+        return res.status(400).json({
+          message:
+            "Bank transfers are settled by verifying the buyer's transfer slip",
+        });
+      }
+
       order.paymentStatus = paymentStatus;
       if (paymentReference) {
         order.paymentReference = paymentReference;
       }
 
       await order.save();
+      await recordOrderEarnings(order);
 
       res.json({
         message: "Payment status updated successfully",
@@ -0,0 +1,211 @@
+const express = require("express");
+const crypto = require("crypto");
+const { body, param, validationResult } = require("express-validator");
+const Order = require("../models/Order");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  initiateMpesaPayment,
+  handleStkCallback,
+  reconcileMpesaPayment,
+} = require("../services/payments");
+const { handleB2CResult } = require("../services/payouts");
+const { ServiceError, sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Compare the callback token without leaking timing information. Without
+// MPESA_CALLBACK_SECRET anyone could post a payment result, so every
+// callback is refused until it is set.
+const isValidCallbackToken = (token) => {
+  const secret = process.env.MPESA_CALLBACK_SECRET;
+  if (!secret) {
+    console.error(
+      "MPESA_CALLBACK_SECRET is not set; rejecting M-Pesa callback"
+    );
+    return false;
+  }
+  if (typeof token !== "string") return false;
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+// Summary of an order's payment state returned to the buyer
+const paymentSummary = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  totalAmount: order.totalAmount,
+  paymentStatus: order.paymentStatus,
+  paymentReference: order.paymentReference,
+  requests: order.mpesaRequests.map((request) => ({
+    checkoutRequestId: request.checkoutRequestId,
+    status: request.status,
+    resultDesc: request.resultDesc,
+    receiptNumber: request.receiptNumber,
+    initiatedAt: request.initiatedAt,
+    resolvedAt: request.resolvedAt,
+  })),
+});
+
+// @route   POST /api/payments/mpesa/stk-push
+// @desc    Send an M-Pesa STK Push prompt for an order
+// @access  Private (Order buyer)
+router.post(
+  "/mpesa/stk-push",
+  authenticateToken,
+  [
+    body("orderId").isMongoId().withMessage("Valid order ID is required"),
+    body("phone")
+      .optional()
+      .matches(/^(\+?254|0)[17][0-9]{8}$/)
+      .withMessage("Valid Safaricom phone number is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const order = await Order.findOne({
+        _id: req.body.orderId,
+        buyer: req.user._id,
+        isActive: true,
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          message: "Order not found",
+        });
+      }
+
+      const phone = req.body.phone || order.shippingAddress.contactPhone;
+      const { request, customerMessage } = await initiateMpesaPayment(
+        order,
+        phone
+      );
+
+      res.status(202).json({
+        message: customerMessage || "Payment prompt sent to your phone",
+        checkoutRequestId: request.checkoutRequestId,
+        payment: paymentSummary(order),
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("STK push error:", error);
+      res.status(500).json({
+        message: "Server error while initiating M-Pesa payment",
+      });
+    }
+  }
+);
+
+// @route   POST /api/payments/mpesa/callback
+// @desc    Receive STK Push results from Safaricom Daraja
+// @access  Public (secured by callback token)
+router.post("/mpesa/callback", async (req, res) => {
+  if (!isValidCallbackToken(req.query.token)) {
+    return res.status(403).json({
+      ResultCode: 1,
+      ResultDesc: "Invalid callback token",
+    });
+  }
+
+  try {
+    await handleStkCallback(req.body);
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      console.warn("Rejected M-Pesa callback:", error.message);
+      return res.status(error.statusCode).json({
+        ResultCode: 1,
+        ResultDesc: error.message,
+      });
+    }
+    console.error("M-Pesa callback error:", error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: "Server error while processing callback",
+    });
+  }
+});
+
+// @route   POST /api/payments/mpesa/b2c/result
+// @desc    Receive B2C payout results from Safaricom Daraja
+// @access  Public (secured by callback token)
+router.post("/mpesa/b2c/result", async (req, res) => {
+  if (!isValidCallbackToken(req.query.token)) {
+    return res.status(403).json({
+      ResultCode: 1,
+      ResultDesc: "Invalid callback token",
+    });
+  }
+
+  try {
+    await handleB2CResult(req.body);
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      console.warn("Rejected M-Pesa B2C result:", error.message);
+      return res.status(error.statusCode).json({
+        ResultCode: 1,
+        ResultDesc: error.message,
+      });
+    }
+    console.error("M-Pesa B2C result error:", error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: "Server error while processing result",
+    });
+  }
+});
+
+// @route   GET /api/payments/mpesa/:orderId/status
+// @desc    Get payment status, querying Daraja if the callback is overdue
+// @access  Private (Order buyer or Admin)
+router.get(
+  "/mpesa/:orderId/status",
+  authenticateToken,
+  [param("orderId").isMongoId().withMessage("Valid order ID is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = { _id: req.params.orderId, isActive: true };
+      if (req.user.role !== "admin") filter.buyer = req.user._id;
+
+      const order = await Order.findOne(filter);
+
+      if (!order) {
+        return res.status(404).json({
+          message: "Order not found",
+        });
+      }
+
+      await reconcileMpesaPayment(order);
+
+      res.json({ payment: paymentSummary(order) });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("M-Pesa status error:", error);
+      res.status(500).json({
+        message: "Server error while checking payment status",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,417 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const Payout = require("../models/Payout");
+const LedgerEntry = require("../models/LedgerEntry");
+const {
+  authenticateToken,
+  requireFarmer,
+  requireAdmin,
+} = require("../middleware/auth");
+const {
+  getCommissionRate,
+  getFarmerBalance,
+  getStatement,
+} = require("../services/ledger");
+const {
+  getPayoutProviderNames,
+  createPayoutBatch,
+  processPayoutBatch,
+  settlePayoutItem,
+  cancelPayoutBatch,
+} = require("../services/payouts");
+const { toCsv } = require("../utils/csv");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+const sendStatement = (res, statement, format, filename) => {
+  if (format !== "csv") {
+    return res.json({ statement });
+  }
+
+  const csv = toCsv(statement.lines, [
+    { header: "Date", value: (line) => line.date },
+    { header: "Type", value: (line) => line.type },
+    { header: "Description", value: (line) => line.description },
+    { header: "Order", value: (line) => line.orderNumber },
+    { header: "Amount (KSh)", value: (line) => line.amount.toFixed(2) },
+    { header: "Balance (KSh)", value: (line) => line.balance.toFixed(2) },
+  ]);
+
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(csv);
+};
+
+const statementValidators = [
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+  query("format").optional().isIn(["json", "csv"]),
+];
+
+// @route   GET /api/payouts/balance
+// @desc    Get the farmer's earnings, commission and payout balance
+// @access  Private (Farmers only)
+router.get("/balance", authenticateToken, requireFarmer, async (req, res) => {
+  try {
+    const balance = await getFarmerBalance(req.user._id);
+
+    res.json({
+      balance,
+      commissionRate: getCommissionRate(),
+    });
+  } catch (error) {
+    console.error("Get balance error:", error);
+    res.status(500).json({
+      message: "Server error while fetching balance",
+    });
+  }
+});
+
+// @route   GET /api/payouts/ledger
+// @desc    Get the farmer's ledger entries
+// @access  Private (Farmers only)
+router.get("/ledger", authenticateToken, requireFarmer, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { farmer: req.user._id };
+    if (type) filter.type = type;
+
+    const entries = await LedgerEntry.find(filter)
+      .populate("order", "orderNumber")
+      .populate("payout", "reference status")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalEntries = await LedgerEntry.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEntries / parseInt(limit)),
+        totalEntries,
+      },
+    });
+  } catch (error) {
+    console.error("Get ledger error:", error);
+    res.status(500).json({
+      message: "Server error while fetching ledger",
+    });
+  }
+});
+
+// @route   GET /api/payouts/statement
+// @desc    Get the farmer's statement for a period (JSON or CSV)
+// @access  Private (Farmers only)
+router.get(
+  "/statement",
+  authenticateToken,
+  requireFarmer,
+  statementValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { from, to, format } = req.query;
+      const statement = await getStatement(req.user._id, {
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      });
+
+      sendStatement(res, statement, format, "statement.csv");
+    } catch (error) {
+      console.error("Get statement error:", error);
+      res.status(500).json({
+        message: "Server error while generating statement",
+      });
+    }
+  }
+);
+
+// @route   GET /api/payouts/farmers/:farmerId/statement
+// @desc    Get any farmer's balance and statement (JSON or CSV)
+// @access  Private (Admin only)
+router.get(
+  "/farmers/:farmerId/statement",
+  authenticateToken,
+  requireAdmin,
+  [
+    param("farmerId").isMongoId().withMessage("Invalid farmer ID"),
+    ...statementValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { from, to, format } = req.query;
+      const statement = await getStatement(req.params.farmerId, {
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      });
+      statement.balance = await getFarmerBalance(req.params.farmerId);
+
+      sendStatement(
+        res,
+        statement,
+        format,
+        `statement-${req.params.farmerId}.csv`
+      );
+    } catch (error) {
+      console.error("Get farmer statement error:", error);
+      res.status(500).json({
+        message: "Server error while generating statement",
+      });
+    }
+  }
+);
+
+// @route   GET /api/payouts
+// @desc    List payout batches
+// @access  Private (Admin only)
+router.get("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const payouts = await Payout.find(filter)
+      .select("-items")
+      .populate("createdBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalPayouts = await Payout.countDocuments(filter);
+
+    res.json({
+      payouts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalPayouts / parseInt(limit)),
+        totalPayouts,
+      },
+    });
+  } catch (error) {
+    console.error("Get payouts error:", error);
+    res.status(500).json({
+      message: "Server error while fetching payouts",
+    });
+  }
+});
+
+// @route   POST /api/payouts
+// @desc    Create a payout batch from farmers' available balances
+// @access  Private (Admin only)
+router.post(
+  "/",
+  authenticateToken,
+  requireAdmin,
+  [
+    body("provider")
+      .custom((value) => getPayoutProviderNames().includes(value))
+      .withMessage("Invalid payout provider"),
+    body("farmerIds").optional().isArray(),
+    body("farmerIds.*").isMongoId().withMessage("Invalid farmer ID"),
+    body("minimumAmount").optional().isFloat({ min: 0 }),
+    body("notes").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { provider, farmerIds, minimumAmount, notes } = req.body;
+
+      const payout = await createPayoutBatch({
+        admin: req.user,
+        provider,
+        farmerIds,
+        minimumAmount: minimumAmount ? parseFloat(minimumAmount) : 0,
+        notes,
+      });
+
+      res.status(201).json({
+        message: "Payout batch created successfully",
+        payout,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Create payout error:", error);
+      res.status(500).json({
+        message: "Server error while creating payout batch",
+      });
+    }
+  }
+);
+
+// @route   GET /api/payouts/:id
+// @desc    Get a payout batch (add ?format=csv to export it)
+// @access  Private (Admin only)
+router.get("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id)
+      .populate("items.farmer", "firstName lastName phone email")
+      .populate("createdBy", "firstName lastName")
+      .lean();
+
+    if (!payout) {
+      return res.status(404).json({
+        message: "Payout batch not found",
+      });
+    }
+
+    if (req.query.format !== "csv") {
+      return res.json({ payout });
+    }
+
+    const csv = toCsv(payout.items, [
+      { header: "Batch", value: () => payout.reference },
+      {
+        header: "Farmer",
+        value: (item) =>
+          item.farmer ? `${item.farmer.firstName} ${item.farmer.lastName}` : "",
+      },
+      { header: "Phone", value: (item) => item.phone },
+      { header: "Amount (KSh)", value: (item) => item.amount.toFixed(2) },
+      { header: "Status", value: (item) => item.status },
+      { header: "Reference", value: (item) => item.providerReference },
+      { header: "Failure reason", value: (item) => item.failureReason },
+      { header: "Paid at", value: (item) => item.paidAt },
+    ]);
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="${payout.reference}.csv"`
+    );
+    res.send(csv);
+  } catch (error) {
+    console.error("Get payout error:", error);
+    res.status(500).json({
+      message: "Server error while fetching payout batch",
+    });
+  }
+});
+
+// @route   POST /api/payouts/:id/process
+// @desc    Send a pending payout batch through its provider
+// @access  Private (Admin only)
+router.post(
+  "/:id/process",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const payout = await processPayoutBatch(req.params.id);
+
+      res.json({
+        message: "Payout batch sent for processing",
+        payout,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Process payout error:", error);
+      res.status(500).json({
+        message: "Server error while processing payout batch",
+      });
+    }
+  }
+);
+
+// @route   POST /api/payouts/:id/cancel
+// @desc    Cancel a pending payout batch and release the farmers' balances
+// @access  Private (Admin only)
+router.post(
+  "/:id/cancel",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const payout = await cancelPayoutBatch(req.params.id);
+
+      res.json({
+        message: "Payout batch cancelled",
+        payout,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Cancel payout error:", error);
+      res.status(500).json({
+        message: "Server error while cancelling payout batch",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/payouts/:id/items/:itemId
+// @desc    Confirm a payout item as paid or failed (e.g. manual payouts)
+// @access  Private (Admin only)
+router.put(
+  "/:id/items/:itemId",
+  authenticateToken,
+  requireAdmin,
+  [
+    body("status")
+      .isIn(["paid", "failed"])
+      .withMessage("Status must be paid or failed"),
+    body("reference").optional().trim().isLength({ max: 100 }),
+    body("reason").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { status, reference, reason } = req.body;
+
+      const payout = await settlePayoutItem(req.params.id, req.params.itemId, {
+        success: status === "paid",
+        reference,
+        reason: reason || "Marked as failed by admin",
+      });
+
+      res.json({
+        message: `Payout item marked as ${status}`,
+        payout,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update payout item error:", error);
+      res.status(500).json({
+        message: "Server error while updating payout item",
+      });
+    }
+  }
+);
+
+module.exports = router;
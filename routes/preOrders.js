@@ -0,0 +1,481 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const PreOrder = require("../models/PreOrder");
+const Product = require("../models/Product");
+const {
+  authenticateToken,
+  requireAdmin,
+  requireApprovedFarmer,
+} = require("../middleware/auth");
+const {
+  getPreOrderRole,
+  updatePreOrderSettings,
+  reservePreOrder,
+  cancelPreOrder,
+  recordDepositRefund,
+  recordHarvest,
+} = require("../services/preOrders");
+const { initiateDepositPayment } = require("../services/payments");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// @route   GET /api/preorders/products
+// @desc    Products open for pre-order, soonest harvest first
+// @access  Public
+router.get("/products", async (req, res) => {
+  try {
+    const { page = 1, limit = 12, category, county } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {
+      isActive: true,
+      isApproved: true,
+      "preOrder.isEnabled": true,
+    };
+    if (category) filter.category = category;
+    if (county) filter["location.county"] = county;
+
+    const products = await Product.find(filter)
+      .populate("farmer", "firstName lastName location")
+      .sort({ "preOrder.expectedHarvestDate": 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalProducts = await Product.countDocuments(filter);
+
+    res.json({
+      products: products.map((product) => ({
+        ...product,
+        availableToReserve:
+          product.preOrder.expectedQuantity - product.preOrder.reservedQuantity,
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalProducts / parseInt(limit)),
+        totalProducts,
+      },
+    });
+  } catch (error) {
+    console.error("Get pre-order products error:", error);
+    res.status(500).json({
+      message: "Server error while fetching pre-order products",
+    });
+  }
+});
+
+// @route   PUT /api/preorders/products/:productId
+// @desc    Open, adjust or close pre-orders for a product not yet harvested
+// @access  Private (Product owner)
+router.put(
+  "/products/:productId",
+  authenticateToken,
+  requireApprovedFarmer,
+  [
+    body("isEnabled").optional().isBoolean(),
+    body("expectedQuantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Expected quantity must be at least 1"),
+    body("expectedHarvestDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Valid expected harvest date is required")
+      .toDate(),
+    body("depositPercent")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Deposit must be between 0 and 100 percent"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        isEnabled,
+        expectedQuantity,
+        expectedHarvestDate,
+        depositPercent,
+      } = req.body;
+
+      const product = await updatePreOrderSettings({
+        productId: req.params.productId,
+        user: req.user,
+        isEnabled:
+          isEnabled !== undefined
+            ? isEnabled === true || isEnabled === "true"
+            : undefined,
+        expectedQuantity:
+          expectedQuantity !== undefined
+            ? parseInt(expectedQuantity)
+            : undefined,
+        expectedHarvestDate,
+        depositPercent:
+          depositPercent !== undefined ? parseFloat(depositPercent) : undefined,
+      });
+
+      res.json({
+        message: "Pre-order settings updated",
+        product,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update pre-order settings error:", error);
+      res.status(500).json({
+        message: "Server error while updating pre-order settings",
+      });
+    }
+  }
+);
+
+// @route   POST /api/preorders/products/:productId/harvest
+// @desc    Record the harvest: add it to stock and convert reservations into
+//          orders
+// @access  Private (Product owner)
+router.post(
+  "/products/:productId/harvest",
+  authenticateToken,
+  requireApprovedFarmer,
+  [
+    body("harvestedQuantity")
+      .isInt({ min: 0 })
+      .withMessage("Harvested quantity must be a non-negative integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const summary = await recordHarvest({
+        productId: req.params.productId,
+        user: req.user,
+        harvestedQuantity: parseInt(req.body.harvestedQuantity),
+      });
+
+      res.json({
+        message: "Harvest recorded",
+        summary,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Record harvest error:", error);
+      res.status(500).json({
+        message: "Server error while recording harvest",
+      });
+    }
+  }
+);
+
+// @route   POST /api/preorders
+// @desc    Reserve part of a product's expected harvest
+// @access  Private
+router.post(
+  "/",
+  authenticateToken,
+  [
+    body("productId").isMongoId().withMessage("Valid product ID is required"),
+    body("quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("paymentMethod")
+      .isIn(["mpesa", "cash", "bank_transfer", "other"])
+      .withMessage("Invalid payment method"),
+    body("shippingAddress.county")
+      .trim()
+      .notEmpty()
+      .withMessage("County is required"),
+    body("shippingAddress.subCounty")
+      .trim()
+      .notEmpty()
+      .withMessage("Sub-county is required"),
+    body("shippingAddress.ward")
+      .trim()
+      .notEmpty()
+      .withMessage("Ward is required"),
+    body("shippingAddress.specificLocation")
+      .trim()
+      .notEmpty()
+      .withMessage("Specific location is required"),
+    body("shippingAddress.contactPhone")
+      .matches(/^(\+254|0)[0-9]{9}$/)
+      .withMessage("Valid phone number is required"),
+    body("deliveryNotes").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        productId,
+        quantity,
+        paymentMethod,
+        shippingAddress,
+        deliveryNotes,
+      } = req.body;
+
+      const preOrder = await reservePreOrder({
+        productId,
+        user: req.user,
+        quantity: parseInt(quantity),
+        paymentMethod,
+        shippingAddress,
+        deliveryNotes,
+      });
+
+      res.status(201).json({
+        message:
+          preOrder.deposit.status === "pending"
+            ? `Reserved. Pay the KSh ${preOrder.deposit.amount} deposit to secure it.`
+            : "Reserved successfully",
+        preOrder,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Create pre-order error:", error);
+      res.status(500).json({
+        message: "Server error while creating pre-order",
+      });
+    }
+  }
+);
+
+// @route   GET /api/preorders
+// @desc    List pre-orders: buyers see their own, farmers those on their
+//          products, admins all (depositStatus=refund_due for refunds owed)
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      productId,
+      depositStatus,
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (req.user.role === "farmer") {
+      filter.farmer = req.user._id;
+    } else if (req.user.role !== "admin") {
+      filter.buyer = req.user._id;
+    }
+    if (status) filter.status = status;
+    if (productId) filter.product = productId;
+    if (depositStatus) filter["deposit.status"] = depositStatus;
+
+    const preOrders = await PreOrder.find(filter)
+      .select("-deposit.mpesaRequests")
+      .populate("product", "name images unit preOrder.expectedHarvestDate")
+      .populate("buyer", "firstName lastName phone")
+      .populate("order", "orderNumber status paymentStatus")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalPreOrders = await PreOrder.countDocuments(filter);
+
+    res.json({
+      preOrders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalPreOrders / parseInt(limit)),
+        totalPreOrders,
+      },
+    });
+  } catch (error) {
+    console.error("Get pre-orders error:", error);
+    res.status(500).json({
+      message: "Server error while fetching pre-orders",
+    });
+  }
+});
+
+// @route   GET /api/preorders/:id
+// @desc    Get a pre-order
+// @access  Private (Buyer, Farmer or Admin)
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const preOrder = await PreOrder.findById(req.params.id)
+      .populate("product", "name images unit price preOrder")
+      .populate("buyer", "firstName lastName phone")
+      .populate("farmer", "firstName lastName phone")
+      .populate("order", "orderNumber status paymentStatus totalAmount");
+
+    if (!preOrder) {
+      return res.status(404).json({
+        message: "Pre-order not found",
+      });
+    }
+
+    const access = { buyer: preOrder.buyer._id, farmer: preOrder.farmer._id };
+    if (!getPreOrderRole(access, req.user)) {
+      return res.status(403).json({
+        message: "Access denied. You can only view your own pre-orders.",
+      });
+    }
+
+    res.json({ preOrder });
+  } catch (error) {
+    console.error("Get pre-order error:", error);
+    res.status(500).json({
+      message: "Server error while fetching pre-order",
+    });
+  }
+});
+
+// @route   POST /api/preorders/:id/deposit
+// @desc    Send an M-Pesa STK Push prompt for the deposit
+// @access  Private (Buyer)
+router.post(
+  "/:id/deposit",
+  authenticateToken,
+  [
+    body("phone")
+      .optional()
+      .matches(/^(\+?254|0)[17][0-9]{8}$/)
+      .withMessage("Valid Safaricom phone number is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const preOrder = await PreOrder.findById(req.params.id);
+      if (!preOrder) {
+        return res.status(404).json({
+          message: "Pre-order not found",
+        });
+      }
+      if (!preOrder.buyer.equals(req.user._id)) {
+        return res.status(403).json({
+          message: "Access denied. You can only pay for your own pre-orders.",
+        });
+      }
+
+      const phone = req.body.phone || preOrder.shippingAddress.contactPhone;
+      const { request, customerMessage } = await initiateDepositPayment(
+        preOrder,
+        phone
+      );
+
+      res.status(202).json({
+        message: customerMessage || "Payment prompt sent to your phone",
+        checkoutRequestId: request.checkoutRequestId,
+        amount: request.amount,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Pre-order deposit error:", error);
+      res.status(500).json({
+        message: "Server error while requesting deposit payment",
+      });
+    }
+  }
+);
+
+// @route   POST /api/preorders/:id/cancel
+// @desc    Cancel a reservation before the harvest is in; a paid deposit
+//          becomes due for refund
+// @access  Private (Buyer, Farmer or Admin)
+router.post(
+  "/:id/cancel",
+  authenticateToken,
+  [body("reason").optional().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const preOrder = await cancelPreOrder({
+        preOrderId: req.params.id,
+        user: req.user,
+        reason: req.body.reason,
+      });
+
+      res.json({
+        message: "Pre-order cancelled",
+        preOrder,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Cancel pre-order error:", error);
+      res.status(500).json({
+        message: "Server error while cancelling pre-order",
+      });
+    }
+  }
+);
+
+// @route   POST /api/preorders/:id/deposit-refund
+// @desc    Record that a deposit was paid back to the buyer
+// @access  Private (Admin only)
+router.post(
+  "/:id/deposit-refund",
+  authenticateToken,
+  requireAdmin,
+  [
+    body("reference")
+      .trim()
+      .notEmpty()
+      .withMessage("Refund reference is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const preOrder = await recordDepositRefund({
+        preOrderId: req.params.id,
+        reference: req.body.reference,
+      });
+
+      res.json({
+        message: "Deposit refund recorded",
+        preOrder,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Deposit refund error:", error);
+      res.status(500).json({
+        message: "Server error while recording deposit refund",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,5 +1,11 @@
 const express = require("express");
-const { body, validationResult, query } = require("express-validator");
+const {
+  body,
+  param,
+  validationResult,
+  query,
+  matchedData,
+} = require("express-validator");
 const Product = require("../models/Product");
 const User = require("../models/User");
 const {
@@ -8,11 +14,155 @@ const {
   optionalAuth,
 } = require("../middleware/auth");
 const { uploadMultiple, handleUploadError } = require("../middleware/upload");
+const { roundAmount } = require("../services/ledger");
+const {
+  recordStockMovement,
+  adjustStock,
+  saveStockStatus,
+} = require("../services/inventory");
+const {
+  addVariant,
+  updateVariant,
+  deleteVariant,
+} = require("../services/variants");
+const { validateSpecifications } = require("../services/specifications");
+const { searchProducts, SORT_FIELDS } = require("../services/search");
+const {
+  listCategories,
+  categoryExists,
+  resolveCategory,
+} = require("../services/taxonomy");
+const { withTransaction } = require("../utils/transaction");
+const { sendServiceError } = require("../utils/errors");
 
 const router = express.Router();
 
+// Price tiers arrive as JSON in multipart requests; stored by quantity
+const parsePriceTiers = (value) =>
+  (typeof value === "string" ? JSON.parse(value) : value)
+    .map((tier) => ({
+      minQuantity: parseInt(tier.minQuantity),
+      price: parseFloat(tier.price),
+    }))
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+// Tiers are discounts for buying more, so none may cost more than the
+// base price; as tier prices never go up, checking the first is enough
+const tiersAbovePrice = (tiers, price) =>
+  tiers.length > 0 && tiers[0].price > price;
+const TIERS_ABOVE_PRICE = "Price tiers cannot be priced above the base price";
+
+const priceTiersValidator = body("priceTiers")
+  .optional()
+  .custom((value) => {
+    const tiers = parsePriceTiers(value);
+    return tiers.every(
+      (tier, i) =>
+        Number.isInteger(tier.minQuantity) &&
+        tier.minQuantity >= 2 &&
+        tier.price >= 0 &&
+        (i === 0 ||
+          (tier.minQuantity > tiers[i - 1].minQuantity &&
+            tier.price <= tiers[i - 1].price))
+    );
+  })
+  .withMessage(
+    "Price tiers must be a list of { minQuantity (2 or more), price }, with prices that do not go up as quantity rises"
+  )
+  .bail()
+  .custom((value, { req }) =>
+    req.body.price === undefined
+      ? true
+      : !tiersAbovePrice(parsePriceTiers(value), parseFloat(req.body.price))
+  )
+  .withMessage(TIERS_ABOVE_PRICE);
+
+const SKU_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// Variant attributes are free-form labels, e.g. { breed: "Kienyeji" }
+const isAttributeMap = (value) =>
+  Boolean(value) &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.values(value).every((attribute) => typeof attribute === "string");
+
+// Variants arrive as JSON in multipart requests
+const parseVariants = (value) =>
+  (typeof value === "string" ? JSON.parse(value) : value).map((variant) => ({
+    name: variant.name,
+    sku: variant.sku,
+    attributes: variant.attributes || {},
+    price: parseFloat(variant.price),
+    quantity: parseInt(variant.quantity),
+    isAvailable: variant.isAvailable !== false,
+  }));
+
+const variantsValidator = body("variants")
+  .optional()
+  .custom((value) => {
+    const variants = parseVariants(value);
+    return (
+      variants.length > 0 &&
+      variants.every(
+        (variant) =>
+          typeof variant.name === "string" &&
+          variant.name.trim().length > 0 &&
+          typeof variant.sku === "string" &&
+          SKU_PATTERN.test(variant.sku.trim()) &&
+          isAttributeMap(variant.attributes) &&
+          variant.price >= 0 &&
+          Number.isInteger(variant.quantity) &&
+          variant.quantity >= 0
+      )
+    );
+  })
+  .withMessage(
+    "Variants must be a list of { name, sku, attributes, price, quantity }"
+  );
+
+// Every field is optional when updating a variant
+const variantValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Variant name must be 1-100 characters"),
+    field("sku")
+      .trim()
+      .matches(SKU_PATTERN)
+      .withMessage(
+        "SKU must be up to 50 letters, digits, dashes or underscores"
+      ),
+    body("attributes")
+      .optional()
+      .custom(isAttributeMap)
+      .withMessage("Attributes must be an object of text values"),
+    field("price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a positive number"),
+    field("quantity")
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a non-negative integer"),
+    body("isAvailable").optional().isBoolean(),
+    body("stockReason").optional().trim().isLength({ max: 500 }),
+  ];
+};
+
+const pickVariantFields = (body) => {
+  const fields = {};
+  ["name", "sku", "attributes", "isAvailable"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.price !== undefined) fields.price = parseFloat(body.price);
+  return fields;
+};
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Search products with filters, facet counts and pagination, ranked
+//          by relevance when searching. With a category, ?specs[key]=value
+//          filters by its filterable specifications.
 // @access  Public
 router.get(
   "/",
@@ -25,25 +175,28 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 50 })
       .withMessage("Limit must be between 1 and 50"),
-    query("category")
-      .optional()
-      .isIn([
-        "livestock",
-        "poultry",
-        "dairy",
-        "vegetables",
-        "fruits",
-        "cereals",
-        "legumes",
-        "herbs",
-        "seeds",
-        "other",
-      ]),
+    query("category").optional().trim().toLowerCase().custom(categoryExists),
+    query("subcategory").optional().trim().notEmpty(),
     query("county").optional().trim().notEmpty(),
     query("subCounty").optional().trim().notEmpty(),
-    query("minPrice").optional().isFloat({ min: 0 }),
-    query("maxPrice").optional().isFloat({ min: 0 }),
-    query("search").optional().trim().notEmpty(),
+    query("minPrice").optional().isFloat({ min: 0 }).toFloat(),
+    query("maxPrice").optional().isFloat({ min: 0 }).toFloat(),
+    query("organic").optional().isBoolean().toBoolean(),
+    query("minRating").optional().isFloat({ min: 0, max: 5 }).toFloat(),
+    query("search")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Search must be 1-100 characters"),
+    query("sortBy")
+      .optional()
+      .isIn(Object.keys(SORT_FIELDS))
+      .withMessage(`Sort by one of ${Object.keys(SORT_FIELDS).join(", ")}`),
+    query("sortOrder").optional().isIn(["asc", "desc"]),
+    query("specs")
+      .optional()
+      .isObject()
+      .withMessage("Specification filters must be given as specs[key]=value"),
   ],
   optionalAuth,
   async (req, res) => {
@@ -56,72 +209,30 @@ router.get(
         });
       }
 
-      const {
-        page = 1,
-        limit = 12,
-        category,
-        county,
-        subCounty,
-        minPrice,
-        maxPrice,
-        search,
-        sortBy = "createdAt",
-        sortOrder = "desc",
-      } = req.query;
-
-      // Build filter object
-      const filter = {
-        isActive: true,
-        isApproved: true,
-        isAvailable: true,
-      };
-
-      if (category) filter.category = category;
-      if (county) filter["location.county"] = new RegExp(county, "i");
-      if (subCounty) filter["location.subCounty"] = new RegExp(subCounty, "i");
-
-      if (minPrice || maxPrice) {
-        filter.price = {};
-        if (minPrice) filter.price.$gte = parseFloat(minPrice);
-        if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-      }
-
-      if (search) {
-        filter.$text = { $search: search };
-      }
-
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-      // Execute query with pagination
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      const products = await Product.find(filter)
-        .populate("farmer", "firstName lastName phone location")
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean();
-
-      const totalProducts = await Product.countDocuments(filter);
-      const totalPages = Math.ceil(totalProducts / parseInt(limit));
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 12;
+      const { products, totalProducts, facets, matchMode } =
+        await searchProducts({
+          ...matchedData(req, { locations: ["query"] }),
+          page,
+          limit,
+        });
+      const totalPages = Math.ceil(totalProducts / limit);
 
-      // Get categories for filter
-      const categories = await Product.distinct("category", {
-        isActive: true,
-        isApproved: true,
-      });
+      // Categories with listed product counts for the filter
+      const categories = await listCategories();
 
       res.json({
         products,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages,
           totalProducts,
-          hasNext: parseInt(page) < totalPages,
-          hasPrev: parseInt(page) > 1,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
         },
+        facets,
+        matchMode,
         filters: {
           categories,
           availableCounties: await Product.distinct("location.county", {
@@ -131,6 +242,7 @@ router.get(
         },
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Get products error:", error);
       res.status(500).json({
         message: "Server error while fetching products",
@@ -140,7 +252,8 @@ router.get(
 );
 
 // @route   GET /api/products/:id
-// @desc    Get single product by ID
+// @desc    Get single product by ID, with the unit price that applies to
+//          ?quantity= (default 1) under its price tiers, or of ?variantId=
 // @access  Public
 router.get("/:id", optionalAuth, async (req, res) => {
   try {
@@ -163,7 +276,28 @@ router.get("/:id", optionalAuth, async (req, res) => {
     // Increment view count
     await product.incrementViews();
 
-    res.json({ product });
+    const quantity = Math.max(parseInt(req.query.quantity) || 1, 1);
+    const variant = Product.findVariant(product, req.query.variantId);
+    if (req.query.variantId && !variant) {
+      return res.status(404).json({
+        message: "Variant not found",
+      });
+    }
+    const unitPrice = Product.getUnitPrice(
+      product,
+      quantity,
+      variant && variant._id
+    );
+
+    res.json({
+      product,
+      pricing: {
+        variantId: variant ? variant._id : undefined,
+        quantity,
+        unitPrice,
+        lineTotal: roundAmount(unitPrice * quantity),
+      },
+    });
   } catch (error) {
     console.error("Get product error:", error);
     res.status(500).json({
@@ -173,7 +307,8 @@ router.get("/:id", optionalAuth, async (req, res) => {
 });
 
 // @route   POST /api/products
-// @desc    Create new product
+// @desc    Create new product. With `variants` (JSON list of { name, sku,
+//          attributes, price, quantity }) price and quantity come from them.
 // @access  Private (Approved Farmers only)
 router.post(
   "/",
@@ -190,33 +325,28 @@ router.post(
       .trim()
       .isLength({ min: 10, max: 1000 })
       .withMessage("Description must be 10-1000 characters"),
-    body("category")
-      .isIn([
-        "livestock",
-        "poultry",
-        "dairy",
-        "vegetables",
-        "fruits",
-        "cereals",
-        "legumes",
-        "herbs",
-        "seeds",
-        "other",
-      ])
-      .withMessage("Invalid category"),
+    body("category").trim().custom(categoryExists),
     body("subcategory")
       .trim()
       .notEmpty()
       .withMessage("Subcategory is required"),
     body("price")
+      .if(body("variants").not().exists())
       .isFloat({ min: 0 })
       .withMessage("Price must be a positive number"),
     body("unit")
       .isIn(["kg", "piece", "dozen", "litre", "bag", "bunch", "head", "other"])
       .withMessage("Invalid unit"),
     body("quantity")
+      .if(body("variants").not().exists())
       .isInt({ min: 0 })
       .withMessage("Quantity must be a non-negative integer"),
+    body("lowStockThreshold")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Low-stock threshold must be a non-negative integer"),
+    priceTiersValidator,
+    variantsValidator,
   ],
   async (req, res) => {
     try {
@@ -237,14 +367,21 @@ router.post(
       const {
         name,
         description,
-        category,
-        subcategory,
         price,
         unit,
         quantity,
+        lowStockThreshold,
+        priceTiers,
+        variants,
         tags,
         specifications,
       } = req.body;
+      const { category, subcategory } = await resolveCategory(
+        req.body.category,
+        req.body.subcategory
+      );
+      const parsedVariants = variants ? parseVariants(variants) : [];
+      const hasVariants = parsedVariants.length > 0;
 
       // Process uploaded images
       const images = req.files.map((file) => `/uploads/${file.filename}`);
@@ -252,19 +389,28 @@ router.post(
       // Parse tags and specifications if they're strings
       const parsedTags =
         typeof tags === "string" ? JSON.parse(tags) : tags || [];
-      const parsedSpecs =
+      const parsedSpecs = await validateSpecifications(
         typeof specifications === "string"
           ? JSON.parse(specifications)
-          : specifications || {};
+          : specifications || {},
+        { category, subcategory }
+      );
 
-      const product = new Product({
+      const fields = {
         name,
         description,
         category,
         subcategory,
-        price: parseFloat(price),
+        price: hasVariants ? undefined : parseFloat(price),
+        priceTiers:
+          priceTiers && !hasVariants ? parsePriceTiers(priceTiers) : [],
+        variants: parsedVariants,
         unit,
-        quantity: parseInt(quantity),
+        quantity: hasVariants ? undefined : parseInt(quantity),
+        lowStockThreshold:
+          lowStockThreshold !== undefined
+            ? parseInt(lowStockThreshold)
+            : undefined,
         images,
         farmer: req.user._id,
         location: {
@@ -274,15 +420,68 @@ router.post(
         },
         tags: parsedTags,
         specifications: parsedSpecs,
-      });
+      };
 
-      await product.save();
+      // The listing and its opening stock movements are saved together, so
+      // the stock history always adds up to the quantity
+      const product = await withTransaction(async (session) => {
+        const created = new Product(fields);
+        // A listing with no stock yet starts out hidden
+        created.syncVariantTotals();
+        created.syncStockStatus();
+        await created.save({ session });
+        if (hasVariants) {
+          // One opening movement per variant, with the running total after it
+          let total = 0;
+          for (const variant of created.variants) {
+            if (variant.quantity === 0) continue;
+            total += variant.quantity;
+            await recordStockMovement(
+              {
+                _id: created._id,
+                farmer: created.farmer,
+                variants: created.variants,
+                quantity: total,
+              },
+              {
+                type: "initial",
+                change: variant.quantity,
+                variant: variant._id,
+                user: req.user,
+              },
+              session
+            );
+          }
+        } else if (created.quantity > 0) {
+          await recordStockMovement(
+            created,
+            {
+              type: "initial",
+              change: created.quantity,
+              user: req.user,
+            },
+            session
+          );
+        }
+        return created;
+      });
 
       res.status(201).json({
         message: "Product created successfully",
         product,
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "A SKU is already used on another of your products",
+        });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
       console.error("Create product error:", error);
       res.status(500).json({
         message: "Server error while creating product",
@@ -305,7 +504,10 @@ router.put(
     body("description").optional().trim().isLength({ min: 10, max: 1000 }),
     body("price").optional().isFloat({ min: 0 }),
     body("quantity").optional().isInt({ min: 0 }),
+    body("lowStockThreshold").optional().isInt({ min: 0 }),
+    body("stockReason").optional().trim().isLength({ max: 500 }),
     body("isAvailable").optional().isBoolean(),
+    priceTiersValidator,
   ],
   async (req, res) => {
     try {
@@ -332,12 +534,28 @@ router.put(
         });
       }
 
+      // Price and stock of a product sold in variants are set per variant
+      if (
+        product.variants.length > 0 &&
+        [req.body.price, req.body.priceTiers, req.body.quantity].some(
+          (value) => value !== undefined
+        )
+      ) {
+        return res.status(400).json({
+          message:
+            "This product is sold in variants. Set price and stock on its variants.",
+        });
+      }
+
       const updateData = {};
       const {
         name,
         description,
         price,
+        priceTiers,
         quantity,
+        lowStockThreshold,
+        stockReason,
         isAvailable,
         tags,
         specifications,
@@ -346,15 +564,42 @@ router.put(
       if (name) updateData.name = name;
       if (description) updateData.description = description;
       if (price !== undefined) updateData.price = parseFloat(price);
-      if (quantity !== undefined) updateData.quantity = parseInt(quantity);
-      if (isAvailable !== undefined) updateData.isAvailable = isAvailable;
+      if (priceTiers !== undefined) {
+        updateData.priceTiers = parsePriceTiers(priceTiers);
+      }
+      // A new price is checked against the tiers kept, and new tiers
+      // against the price kept
+      if (
+        (price !== undefined || priceTiers !== undefined) &&
+        tiersAbovePrice(
+          updateData.priceTiers || product.priceTiers,
+          updateData.price !== undefined ? updateData.price : product.price
+        )
+      ) {
+        return res.status(400).json({
+          message: TIERS_ABOVE_PRICE,
+        });
+      }
+      if (lowStockThreshold !== undefined) {
+        updateData.lowStockThreshold = parseInt(lowStockThreshold);
+      }
+      // The farmer's own choice replaces automatic sold-out hiding
+      if (isAvailable !== undefined) {
+        updateData.isAvailable = isAvailable;
+        updateData.$unset = {
+          "stockStatus.soldOutAt": 1,
+          "stockStatus.soldOutAlertedAt": 1,
+        };
+      }
       if (tags)
         updateData.tags = typeof tags === "string" ? JSON.parse(tags) : tags;
       if (specifications)
-        updateData.specifications =
+        updateData.specifications = await validateSpecifications(
           typeof specifications === "string"
             ? JSON.parse(specifications)
-            : specifications;
+            : specifications,
+          product
+        );
 
       // Handle new images if uploaded
       if (req.files && req.files.length > 0) {
@@ -362,17 +607,45 @@ router.put(
         updateData.images = [...product.images, ...newImages];
       }
 
-      const updatedProduct = await Product.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate("farmer", "firstName lastName phone location");
+      // A new quantity is recorded as a stock count, saved together with
+      // the other changes so a failed update leaves stock as it was
+      const updatedProduct = await withTransaction(async (session) => {
+        if (quantity !== undefined && parseInt(quantity) !== product.quantity) {
+          await adjustStock(
+            {
+              productId: product._id,
+              user: req.user,
+              type: "count",
+              quantity: parseInt(quantity),
+              reason: stockReason || "Set on listing update",
+            },
+            session
+          );
+        }
+
+        const updated = await Product.findByIdAndUpdate(
+          req.params.id,
+          updateData,
+          { new: true, runValidators: true, session }
+        );
+        return saveStockStatus(updated, session);
+      });
+      await updatedProduct.populate(
+        "farmer",
+        "firstName lastName phone location"
+      );
 
       res.json({
         message: "Product updated successfully",
         product: updatedProduct,
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
       console.error("Update product error:", error);
       res.status(500).json({
         message: "Server error while updating product",
@@ -421,6 +694,144 @@ router.delete(
   }
 );
 
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant (e.g. a breed, size or grade) with its own price,
+//          stock and SKU
+// @access  Private (Product owner only)
+router.post(
+  "/:id/variants",
+  authenticateToken,
+  requireApprovedFarmer,
+  variantValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { product, variant } = await addVariant({
+        productId: req.params.id,
+        user: req.user,
+        fields: pickVariantFields(req.body),
+        quantity: parseInt(req.body.quantity),
+      });
+
+      res.status(201).json({
+        message: "Variant added successfully",
+        variant,
+        product,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Add variant error:", error);
+      res.status(500).json({
+        message: "Server error while adding variant",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a variant; a new quantity is recorded as a stock count and
+//          isAvailable: false stops selling it
+// @access  Private (Product owner only)
+router.put(
+  "/:id/variants/:variantId",
+  authenticateToken,
+  requireApprovedFarmer,
+  [
+    param("variantId").isMongoId().withMessage("Invalid variant ID"),
+    ...variantValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { product, variant } = await updateVariant({
+        productId: req.params.id,
+        variantId: req.params.variantId,
+        user: req.user,
+        fields: pickVariantFields(req.body),
+        quantity:
+          req.body.quantity !== undefined
+            ? parseInt(req.body.quantity)
+            : undefined,
+        reason: req.body.stockReason,
+      });
+
+      res.json({
+        message: "Variant updated successfully",
+        variant,
+        product,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Update variant error:", error);
+      res.status(500).json({
+        message: "Server error while updating variant",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Remove a variant whose stock is 0
+// @access  Private (Product owner only)
+router.delete(
+  "/:id/variants/:variantId",
+  authenticateToken,
+  requireApprovedFarmer,
+  [param("variantId").isMongoId().withMessage("Invalid variant ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const product = await deleteVariant({
+        productId: req.params.id,
+        variantId: req.params.variantId,
+        user: req.user,
+      });
+
+      res.json({
+        message: "Variant removed successfully",
+        product,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Delete variant error:", error);
+      res.status(500).json({
+        message: "Server error while removing variant",
+      });
+    }
+  }
+);
+
 // @route   GET /api/products/farmer/:farmerId
 // @desc    Get products by farmer
 // @access  Public
@@ -0,0 +1,338 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const ReturnRequest = require("../models/ReturnRequest");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { uploadMultiple, handleUploadError } = require("../middleware/upload");
+const {
+  createReturnRequest,
+  approveReturnRequest,
+  rejectReturnRequest,
+  cancelReturnRequest,
+  markReturnRefunded,
+} = require("../services/returns");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Multipart forms send the item list as a JSON string
+const parseItems = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// @route   POST /api/returns
+// @desc    Request a return of items from a delivered order, with photos
+// @access  Private (Buyer)
+router.post(
+  "/",
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  [
+    body("orderId").isMongoId().withMessage("Valid order ID is required"),
+    body("items")
+      .customSanitizer(parseItems)
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.itemId").isMongoId().withMessage("Invalid order item ID"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("reason")
+      .isIn(ReturnRequest.REASONS)
+      .withMessage("Invalid return reason"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description cannot exceed 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          message: "At least one photo of the items is required",
+        });
+      }
+
+      const { orderId, items, reason, description } = req.body;
+
+      const returnRequest = await createReturnRequest({
+        orderId,
+        buyer: req.user,
+        items,
+        reason,
+        description,
+        images: req.files.map((file) => `/uploads/${file.filename}`),
+      });
+
+      res.status(201).json({
+        message: "Return request submitted successfully",
+        returnRequest,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Create return error:", error);
+      res.status(500).json({
+        message: "Server error while creating return request",
+      });
+    }
+  }
+);
+
+// @route   GET /api/returns
+// @desc    List return requests: buyers see their own, farmers those on
+//          their sub-orders, admins all
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, orderId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (req.user.role === "farmer") {
+      filter.farmer = req.user._id;
+    } else if (req.user.role !== "admin") {
+      filter.buyer = req.user._id;
+    }
+    if (status) filter.status = status;
+    if (orderId) filter.order = orderId;
+
+    const returnRequests = await ReturnRequest.find(filter)
+      .populate("order", "orderNumber")
+      .populate("buyer", "firstName lastName phone")
+      .populate("farmer", "firstName lastName phone")
+      .populate("items.product", "name images unit")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalReturns = await ReturnRequest.countDocuments(filter);
+
+    res.json({
+      returnRequests,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReturns / parseInt(limit)),
+        totalReturns,
+      },
+    });
+  } catch (error) {
+    console.error("Get returns error:", error);
+    res.status(500).json({
+      message: "Server error while fetching return requests",
+    });
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get a single return request
+// @access  Private (Buyer, Farmer or Admin)
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate("order", "orderNumber createdAt")
+      .populate("buyer", "firstName lastName phone")
+      .populate("farmer", "firstName lastName phone")
+      .populate("items.product", "name images unit")
+      .populate("reviewedBy", "firstName lastName role")
+      .lean();
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        message: "Return request not found",
+      });
+    }
+
+    const userId = req.user._id.toString();
+    if (
+      req.user.role !== "admin" &&
+      returnRequest.buyer._id.toString() !== userId &&
+      returnRequest.farmer._id.toString() !== userId
+    ) {
+      return res.status(403).json({
+        message: "Access denied. You can only view your own return requests.",
+      });
+    }
+
+    res.json({ returnRequest });
+  } catch (error) {
+    console.error("Get return error:", error);
+    res.status(500).json({
+      message: "Server error while fetching return request",
+    });
+  }
+});
+
+// @route   POST /api/returns/:id/approve
+// @desc    Approve a return, optionally for a partial refund and restocking
+//          the returned items
+// @access  Private (Farmer of the sub-order or Admin)
+router.post(
+  "/:id/approve",
+  authenticateToken,
+  [
+    body("refundAmount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Refund amount must be a positive number"),
+    body("restock").optional().isBoolean(),
+    body("note").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { refundAmount, restock, note } = req.body;
+
+      const returnRequest = await approveReturnRequest({
+        returnId: req.params.id,
+        user: req.user,
+        refundAmount:
+          refundAmount !== undefined ? parseFloat(refundAmount) : undefined,
+        restock: restock === true || restock === "true",
+        note,
+      });
+
+      res.json({
+        message: "Return request approved",
+        returnRequest,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Approve return error:", error);
+      res.status(500).json({
+        message: "Server error while approving return request",
+      });
+    }
+  }
+);
+
+// @route   POST /api/returns/:id/reject
+// @desc    Reject a return request
+// @access  Private (Farmer of the sub-order or Admin)
+router.post(
+  "/:id/reject",
+  authenticateToken,
+  [
+    body("note")
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("A reason for rejecting the return is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const returnRequest = await rejectReturnRequest({
+        returnId: req.params.id,
+        user: req.user,
+        note: req.body.note,
+      });
+
+      res.json({
+        message: "Return request rejected",
+        returnRequest,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Reject return error:", error);
+      res.status(500).json({
+        message: "Server error while rejecting return request",
+      });
+    }
+  }
+);
+
+// @route   POST /api/returns/:id/cancel
+// @desc    Withdraw a return request that has not been reviewed
+// @access  Private (Buyer)
+router.post("/:id/cancel", authenticateToken, async (req, res) => {
+  try {
+    const returnRequest = await cancelReturnRequest({
+      returnId: req.params.id,
+      user: req.user,
+    });
+
+    res.json({
+      message: "Return request cancelled",
+      returnRequest,
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Cancel return error:", error);
+    res.status(500).json({
+      message: "Server error while cancelling return request",
+    });
+  }
+});
+
+// @route   POST /api/returns/:id/refund
+// @desc    Record that an approved refund was paid back to the buyer
+// @access  Private (Admin only)
+router.post(
+  "/:id/refund",
+  authenticateToken,
+  requireAdmin,
+  [
+    body("reference")
+      .trim()
+      .notEmpty()
+      .withMessage("Refund reference is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const returnRequest = await markReturnRefunded({
+        returnId: req.params.id,
+        user: req.user,
+        reference: req.body.reference,
+      });
+
+      res.json({
+        message: "Refund recorded successfully",
+        returnRequest,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Record refund error:", error);
+      res.status(500).json({
+        message: "Server error while recording refund",
+      });
+    }
+  }
+);
+
+module.exports = router;
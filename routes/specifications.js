@@ -0,0 +1,238 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const SpecificationTemplate = require("../models/SpecificationTemplate");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { getSpecificationFields } = require("../services/specifications");
+const { categoryExists } = require("../services/taxonomy");
+
+const router = express.Router();
+
+// Every field is optional when updating a template
+const templateValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("category").trim().toLowerCase().custom(categoryExists),
+    body("subcategory").optional().trim().isLength({ max: 100 }),
+    field("fields").isArray().withMessage("Fields must be a list"),
+    body("fields.*.key")
+      .matches(/^[a-zA-Z][a-zA-Z0-9]{0,39}$/)
+      .withMessage("Field keys must be camelCase letters and digits"),
+    body("fields.*.label")
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage("Field labels must be 1-60 characters"),
+    body("fields.*.type")
+      .optional()
+      .isIn(SpecificationTemplate.FIELD_TYPES)
+      .withMessage(
+        `Field type must be one of ${SpecificationTemplate.FIELD_TYPES.join(
+          ", "
+        )}`
+      ),
+    body("fields.*.required").optional().isBoolean(),
+    body("fields.*.filterable").optional().isBoolean(),
+    body("fields.*.options").optional().isArray(),
+    body("fields.*.min").optional().isFloat(),
+    body("fields.*.max").optional().isFloat(),
+    body("isActive").optional().isBoolean(),
+  ];
+};
+
+const pickTemplateFields = (body) => {
+  const fields = {};
+  ["category", "subcategory", "fields", "isActive"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const sendTemplateError = (res, error) => {
+  if (error.code === 11000) {
+    res.status(409).json({
+      message: "A template for this category and subcategory already exists",
+    });
+    return true;
+  }
+  if (error.name === "ValidationError") {
+    res.status(400).json({
+      message: error.message,
+    });
+    return true;
+  }
+  return false;
+};
+
+// @route   GET /api/specifications
+// @desc    The specification fields a product of ?category= (and
+//          ?subcategory=) describes, for rendering product forms and filters
+// @access  Public
+router.get(
+  "/",
+  [
+    query("category").trim().toLowerCase().custom(categoryExists),
+    query("subcategory").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { category, subcategory = "" } = req.query;
+      const fields = await getSpecificationFields(category, subcategory);
+
+      res.json({ category, subcategory, fields });
+    } catch (error) {
+      console.error("Get specification fields error:", error);
+      res.status(500).json({
+        message: "Server error while fetching specification fields",
+      });
+    }
+  }
+);
+
+// @route   GET /api/specifications/templates
+// @desc    List specification templates
+// @access  Private (Admin only)
+router.get("/templates", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { category, isActive } = req.query;
+
+    const filter = {};
+    if (category) filter.category = category;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const templates = await SpecificationTemplate.find(filter)
+      .collation(SpecificationTemplate.COLLATION)
+      .sort({ category: 1, subcategory: 1 })
+      .lean();
+
+    res.json({ templates });
+  } catch (error) {
+    console.error("Get specification templates error:", error);
+    res.status(500).json({
+      message: "Server error while fetching specification templates",
+    });
+  }
+});
+
+// @route   POST /api/specifications/templates
+// @desc    Create a specification template for a category or subcategory
+// @access  Private (Admin only)
+router.post(
+  "/templates",
+  authenticateToken,
+  requireAdmin,
+  templateValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const template = new SpecificationTemplate({
+        ...pickTemplateFields(req.body),
+        updatedBy: req.user._id,
+      });
+      await template.save();
+
+      res.status(201).json({
+        message: "Specification template created successfully",
+        template,
+      });
+    } catch (error) {
+      if (sendTemplateError(res, error)) return;
+      console.error("Create specification template error:", error);
+      res.status(500).json({
+        message: "Server error while creating specification template",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/specifications/templates/:id
+// @desc    Update a specification template. Products already listed keep
+//          their specifications until they are next edited.
+// @access  Private (Admin only)
+router.put(
+  "/templates/:id",
+  authenticateToken,
+  requireAdmin,
+  templateValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const template = await SpecificationTemplate.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          message: "Specification template not found",
+        });
+      }
+
+      template.set({
+        ...pickTemplateFields(req.body),
+        updatedBy: req.user._id,
+      });
+      await template.save();
+
+      res.json({
+        message: "Specification template updated successfully",
+        template,
+      });
+    } catch (error) {
+      if (sendTemplateError(res, error)) return;
+      console.error("Update specification template error:", error);
+      res.status(500).json({
+        message: "Server error while updating specification template",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/specifications/templates/:id
+// @desc    Delete a specification template
+// @access  Private (Admin only)
+router.delete(
+  "/templates/:id",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const template = await SpecificationTemplate.findByIdAndDelete(
+        req.params.id
+      );
+      if (!template) {
+        return res.status(404).json({
+          message: "Specification template not found",
+        });
+      }
+
+      res.json({
+        message: "Specification template deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete specification template error:", error);
+      res.status(500).json({
+        message: "Server error while deleting specification template",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Subscription = require("../models/Subscription");
+const Order = require("../models/Order");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  findSubscription,
+  createSubscription,
+  updateSubscription,
+  setSubscriptionStatus,
+} = require("../services/subscriptions");
+const { sendServiceError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Validators shared by create (everything required) and update (optional)
+const subscriptionValidators = (optional) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  const scheduleGiven = (value, { req }) =>
+    !optional || req.body.schedule !== undefined;
+  const addressGiven = (value, { req }) =>
+    !optional || req.body.shippingAddress !== undefined;
+
+  return [
+    body("name").optional().trim().isLength({ min: 1, max: 100 }),
+    field("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId")
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("items.*.variantId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid variant ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("schedule.frequency")
+      .if(scheduleGiven)
+      .isIn(["daily", "weekly"])
+      .withMessage("Frequency must be daily or weekly"),
+    body("schedule.daysOfWeek")
+      .if(body("schedule.frequency").equals("weekly"))
+      .isArray({ min: 1 })
+      .withMessage("Pick at least one day for a weekly schedule"),
+    body("schedule.daysOfWeek.*")
+      .isInt({ min: 0, max: 6 })
+      .withMessage("Days of the week run from 0 (Sunday) to 6 (Saturday)"),
+    body("schedule.hour")
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage("Hour must be between 0 and 23"),
+    body("startDate").optional().isISO8601().toDate(),
+    body("endDate").optional().isISO8601().toDate(),
+    field("paymentMethod")
+      .isIn(["mpesa", "cash", "bank_transfer", "other"])
+      .withMessage("Invalid payment method"),
+    body("shippingAddress.county")
+      .if(addressGiven)
+      .trim()
+      .notEmpty()
+      .withMessage("County is required"),
+    body("shippingAddress.subCounty")
+      .if(addressGiven)
+      .trim()
+      .notEmpty()
+      .withMessage("Sub-county is required"),
+    body("shippingAddress.ward")
+      .if(addressGiven)
+      .trim()
+      .notEmpty()
+      .withMessage("Ward is required"),
+    body("shippingAddress.specificLocation")
+      .if(addressGiven)
+      .trim()
+      .notEmpty()
+      .withMessage("Specific location is required"),
+    body("shippingAddress.contactPhone")
+      .if(addressGiven)
+      .matches(/^(\+254|0)[0-9]{9}$/)
+      .withMessage("Valid phone number is required"),
+    body("deliveryNotes").optional().trim().isLength({ max: 500 }),
+  ];
+};
+
+// The schedule as stored: days only apply to weekly schedules
+const normaliseSchedule = (schedule) =>
+  schedule && {
+    frequency: schedule.frequency,
+    daysOfWeek:
+      schedule.frequency === "weekly"
+        ? [...new Set(schedule.daysOfWeek.map(Number))].sort((a, b) => a - b)
+        : [],
+    hour: schedule.hour !== undefined ? parseInt(schedule.hour) : 6,
+  };
+
+// @route   POST /api/subscriptions
+// @desc    Set up a recurring order placed automatically every day or on
+//          chosen days of the week
+// @access  Private
+router.post(
+  "/",
+  authenticateToken,
+  subscriptionValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        name,
+        items,
+        schedule,
+        startDate,
+        endDate,
+        paymentMethod,
+        shippingAddress,
+        deliveryNotes,
+      } = req.body;
+
+      const subscription = await createSubscription({
+        buyer: req.user._id,
+        name,
+        items,
+        schedule: normaliseSchedule(schedule),
+        startDate,
+        endDate,
+        paymentMethod,
+        shippingAddress,
+        deliveryNotes,
+      });
+
+      res.status(201).json({
+        message: "Subscription created successfully",
+        subscription,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Create subscription error:", error);
+      res.status(500).json({
+        message: "Server error while creating subscription",
+      });
+    }
+  }
+);
+
+// @route   GET /api/subscriptions
+// @desc    Get the current user's subscriptions (admins see all)
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (req.user.role !== "admin") filter.buyer = req.user._id;
+    if (status) filter.status = status;
+
+    const subscriptions = await Subscription.find(filter)
+      .select("-runs")
+      .populate("items.product", "name images unit price")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalSubscriptions = await Subscription.countDocuments(filter);
+
+    res.json({
+      subscriptions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalSubscriptions / parseInt(limit)),
+        totalSubscriptions,
+      },
+    });
+  } catch (error) {
+    console.error("Get subscriptions error:", error);
+    res.status(500).json({
+      message: "Server error while fetching subscriptions",
+    });
+  }
+});
+
+// @route   GET /api/subscriptions/:id
+// @desc    Get a subscription with its recent runs
+// @access  Private (Owner or Admin)
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id, req.user);
+    await subscription.populate([
+      { path: "items.product", select: "name images unit price quantity" },
+      { path: "runs.order", select: "orderNumber totalAmount status" },
+    ]);
+
+    res.json({ subscription });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get subscription error:", error);
+    res.status(500).json({
+      message: "Server error while fetching subscription",
+    });
+  }
+});
+
+// @route   GET /api/subscriptions/:id/orders
+// @desc    Get the orders placed for a subscription
+// @access  Private (Owner or Admin)
+router.get("/:id/orders", authenticateToken, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id, req.user);
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { subscription: subscription._id, isActive: true };
+    const orders = await Order.find(filter)
+      .select("orderNumber items totalAmount status paymentStatus createdAt")
+      .populate("items.product", "name images")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalOrders = await Order.countDocuments(filter);
+
+    res.json({
+      orders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalOrders / parseInt(limit)),
+        totalOrders,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get subscription orders error:", error);
+    res.status(500).json({
+      message: "Server error while fetching subscription orders",
+    });
+  }
+});
+
+// @route   PUT /api/subscriptions/:id
+// @desc    Change a subscription's items, schedule or delivery details
+// @access  Private (Owner or Admin)
+router.put(
+  "/:id",
+  authenticateToken,
+  subscriptionValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { items, schedule, ...updates } = req.body;
+
+      const subscription = await updateSubscription({
+        subscriptionId: req.params.id,
+        user: req.user,
+        items,
+        updates: { ...updates, schedule: normaliseSchedule(schedule) },
+      });
+
+      res.json({
+        message: "Subscription updated successfully",
+        subscription,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+      console.error("Update subscription error:", error);
+      res.status(500).json({
+        message: "Server error while updating subscription",
+      });
+    }
+  }
+);
+
+// @route   POST /api/subscriptions/:id/pause
+// @route   POST /api/subscriptions/:id/resume
+// @route   POST /api/subscriptions/:id/cancel
+// @desc    Pause, resume or cancel a subscription
+// @access  Private (Owner or Admin)
+["pause", "resume", "cancel"].forEach((action) => {
+  router.post(`/:id/${action}`, authenticateToken, async (req, res) => {
+    try {
+      const subscription = await setSubscriptionStatus({
+        subscriptionId: req.params.id,
+        user: req.user,
+        action,
+      });
+
+      res.json({
+        message: `Subscription ${subscription.status}`,
+        subscription,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error(`Subscription ${action} error:`, error);
+      res.status(500).json({
+        message: "Server error while updating subscription",
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const User = require("../models/User");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { containsText } = require("../utils/regex");
 
 const router = express.Router();
 
@@ -118,8 +119,8 @@ router.get("/farmers", async (req, res) => {
       isApproved: true,
     };
 
-    if (county) filter["location.county"] = new RegExp(county, "i");
-    if (subCounty) filter["location.subCounty"] = new RegExp(subCounty, "i");
+    if (county) filter["location.county"] = containsText(county);
+    if (subCounty) filter["location.subCounty"] = containsText(subCounty);
 
     const farmers = await User.find(filter)
       .select("firstName lastName phone location profileImage")
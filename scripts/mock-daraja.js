@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock of the Safaricom Daraja API
+ * Point MPESA_BASE_URL at it to exercise the STK Push flow without Safaricom.
+ *
+ * Outcomes are picked from the last digits of the paying phone number:
+ *   ...000  customer cancels (ResultCode 1032)
+ *   ...111  insufficient funds (ResultCode 1)
+ *   ...222  no callback is sent, only the status query answers
+ *   other   payment succeeds
+ *
+ * B2C payouts to a number ending in 111 fail; all others succeed.
+ */
+
+const express = require("express");
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+
+const PORT = process.env.MOCK_DARAJA_PORT || 4010;
+const CALLBACK_DELAY_MS = parseInt(process.env.MOCK_DARAJA_DELAY_MS) || 3000;
+
+const app = express();
+app.use(express.json());
+
+const pushes = new Map();
+let sequence = 0;
+
+const outcomeFor = (phone) => {
+  if (phone.endsWith("000")) {
+    return { ResultCode: 1032, ResultDesc: "Request cancelled by user" };
+  }
+  if (phone.endsWith("111")) {
+    return {
+      ResultCode: 1,
+      ResultDesc: "The balance is insufficient for the transaction",
+    };
+  }
+  return {
+    ResultCode: 0,
+    ResultDesc: "The service request is processed successfully.",
+  };
+};
+
+const postJson = (url, body) => {
+  const target = new URL(url);
+  const transport = target.protocol === "https:" ? https : http;
+  const payload = JSON.stringify(body);
+  const req = transport.request(target, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+    },
+  });
+  req.on("error", (error) =>
+    console.error(`Callback to ${url} failed:`, error.message)
+  );
+  req.end(payload);
+};
+
+const requireBearer = (req, res, next) => {
+  if (!/^Bearer mock-token-/.test(req.headers.authorization || "")) {
+    return res.status(401).json({
+      errorCode: "404.001.03",
+      errorMessage: "Invalid Access Token",
+    });
+  }
+  next();
+};
+
+app.get("/oauth/v1/generate", (req, res) => {
+  if (!/^Basic /.test(req.headers.authorization || "")) {
+    return res.status(400).json({ errorMessage: "Missing credentials" });
+  }
+  res.json({ access_token: `mock-token-${Date.now()}`, expires_in: "3599" });
+});
+
+app.post("/mpesa/stkpush/v1/processrequest", requireBearer, (req, res) => {
+  const { PhoneNumber, Amount, CallBackURL, AccountReference } = req.body;
+
+  if (!PhoneNumber || !Amount || !CallBackURL) {
+    return res.status(400).json({
+      errorCode: "400.002.02",
+      errorMessage: "Bad Request - Invalid request body",
+    });
+  }
+
+  sequence += 1;
+  const merchantRequestId = `mock-${process.pid}-${sequence}`;
+  const checkoutRequestId = `ws_CO_${Date.now()}${sequence}`;
+  const outcome = outcomeFor(String(PhoneNumber));
+  pushes.set(checkoutRequestId, { merchantRequestId, outcome, settled: false });
+
+  console.log(
+    `STK push ${checkoutRequestId}: KSh ${Amount} from ${PhoneNumber} for ${AccountReference}`
+  );
+
+  setTimeout(() => {
+    pushes.get(checkoutRequestId).settled = true;
+    if (String(PhoneNumber).endsWith("222")) return;
+
+    const stkCallback = {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ...outcome,
+    };
+    if (outcome.ResultCode === 0) {
+      const now = new Date(Date.now() + 3 * 60 * 60 * 1000);
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: "Amount", Value: Number(Amount) },
+          {
+            Name: "MpesaReceiptNumber",
+            Value: `MCK${String(sequence).padStart(7, "0")}`,
+          },
+          {
+            Name: "TransactionDate",
+            Value: Number(
+              now
+                .toISOString()
+                .replace(/[^0-9]/g, "")
+                .slice(0, 14)
+            ),
+          },
+          { Name: "PhoneNumber", Value: Number(PhoneNumber) },
+        ],
+      };
+    }
+    postJson(CallBackURL, { Body: { stkCallback } });
+  }, CALLBACK_DELAY_MS);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: "0",
+    ResponseDescription: "Success. Request accepted for processing",
+    CustomerMessage: "Success. Request accepted for processing",
+  });
+});
+
+app.post("/mpesa/stkpushquery/v1/query", requireBearer, (req, res) => {
+  const push = pushes.get(req.body.CheckoutRequestID);
+
+  if (!push) {
+    return res.status(400).json({
+      errorCode: "400.002.02",
+      errorMessage: "Bad Request - Invalid CheckoutRequestID",
+    });
+  }
+  if (!push.settled) {
+    return res.status(500).json({
+      errorCode: "500.001.1001",
+      errorMessage: "The transaction is being processed",
+    });
+  }
+
+  res.json({
+    ResponseCode: "0",
+    ResponseDescription: "The service request has been accepted successsfully",
+    MerchantRequestID: push.merchantRequestId,
+    CheckoutRequestID: req.body.CheckoutRequestID,
+    ResultCode: String(push.outcome.ResultCode),
+    ResultDesc: push.outcome.ResultDesc,
+  });
+});
+
+app.post("/mpesa/b2c/v3/paymentrequest", requireBearer, (req, res) => {
+  const { PartyB, Amount, ResultURL, OriginatorConversationID } = req.body;
+
+  if (!PartyB || !Amount || !ResultURL) {
+    return res.status(400).json({
+      errorCode: "400.002.02",
+      errorMessage: "Bad Request - Invalid request body",
+    });
+  }
+
+  sequence += 1;
+  const conversationId = `AG_${Date.now()}_${sequence}`;
+  const failed = String(PartyB).endsWith("111");
+
+  console.log(`B2C ${conversationId}: KSh ${Amount} to ${PartyB}`);
+
+  setTimeout(() => {
+    const result = {
+      ResultType: 0,
+      ResultCode: failed ? 2001 : 0,
+      ResultDesc: failed
+        ? "The initiator information is invalid."
+        : "The service request is processed successfully.",
+      OriginatorConversationID: OriginatorConversationID,
+      ConversationID: conversationId,
+      TransactionID: `MCB${String(sequence).padStart(7, "0")}`,
+    };
+    if (!failed) {
+      result.ResultParameters = {
+        ResultParameter: [
+          { Key: "TransactionAmount", Value: Number(Amount) },
+          { Key: "TransactionReceipt", Value: result.TransactionID },
+        ],
+      };
+    }
+    postJson(ResultURL, { Result: result });
+  }, CALLBACK_DELAY_MS);
+
+  res.json({
+    ConversationID: conversationId,
+    OriginatorConversationID: OriginatorConversationID,
+    ResponseCode: "0",
+    ResponseDescription: "Accept the service request successfully.",
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Daraja listening on http://localhost:${PORT}`);
+});
@@ -6,6 +6,18 @@ const compression = require("compression");
 const rateLimit = require("express-rate-limit");
 const path = require("path");
 require("dotenv").config();
+const { registerJob, startScheduler } = require("./services/scheduler");
+const { releaseDueEscrow } = require("./services/escrow");
+const { escalateOverdueDisputes } = require("./services/disputes");
+const { runDueSubscriptions } = require("./services/subscriptions");
+const { expireOffers } = require("./services/offers");
+const { sendStockAlerts } = require("./services/inventory");
+const { installDefaultTemplates } = require("./services/specifications");
+const {
+  installDefaultCategories,
+  migrateLegacySubcategories,
+} = require("./services/taxonomy");
+const { installDefaultRate } = require("./services/delivery");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -117,13 +129,66 @@ mongoose
       useUnifiedTopology: true,
     }
   )
-  .then(() => console.log("✅ Connected to MongoDB"))
+  .then(() => {
+    console.log("✅ Connected to MongoDB");
+    installDefaultRate()
+      .then((installed) => {
+        if (installed > 0) {
+          console.log("Installed the default delivery rate");
+        }
+      })
+      .catch((err) => console.error("Delivery rate install error:", err));
+    installDefaultCategories()
+      .then((installed) => {
+        if (installed > 0) {
+          console.log(`Installed ${installed} product categories`);
+        }
+        return migrateLegacySubcategories();
+      })
+      .then((migrated) => {
+        if (migrated > 0) {
+          console.log(`Moved ${migrated} product(s) to subcategory slugs`);
+        }
+      })
+      .catch((err) => console.error("Category install error:", err));
+    installDefaultTemplates()
+      .then((installed) => {
+        if (installed > 0) {
+          console.log(`Installed ${installed} specification template(s)`);
+        }
+      })
+      .catch((err) =>
+        console.error("Specification template install error:", err)
+      );
+    startScheduler();
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
+// Background jobs
+registerJob("Escrow auto-release", 15 * 60 * 1000, releaseDueEscrow);
+registerJob("Dispute escalation", 15 * 60 * 1000, escalateOverdueDisputes);
+registerJob("Subscription orders", 5 * 60 * 1000, runDueSubscriptions);
+registerJob("Offer expiry", 15 * 60 * 1000, expireOffers);
+registerJob("Stock alerts", 5 * 60 * 1000, sendStockAlerts);
+
 // Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/products", require("./routes/products"));
+app.use("/api/categories", require("./routes/categories"));
+app.use("/api/specifications", require("./routes/specifications"));
+app.use("/api/inventory", require("./routes/inventory"));
 app.use("/api/orders", require("./routes/orders"));
+app.use("/api/cart", require("./routes/cart"));
+app.use("/api/delivery", require("./routes/delivery"));
+app.use("/api/payments", require("./routes/payments"));
+app.use("/api/payouts", require("./routes/payouts"));
+app.use("/api/returns", require("./routes/returns"));
+app.use("/api/disputes", require("./routes/disputes"));
+app.use("/api/subscriptions", require("./routes/subscriptions"));
+app.use("/api/preorders", require("./routes/preOrders"));
+app.use("/api/offers", require("./routes/offers"));
+app.use("/api/coupons", require("./routes/coupons"));
+app.use("/api/notifications", require("./routes/notifications"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/admin", require("./routes/admin"));
 
@@ -0,0 +1,280 @@
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const { resolveVariant } = require("./inventory");
+const { roundAmount } = require("./ledger");
+const { ServiceError } = require("../utils/errors");
+
+// Whether a checkout request asks for the saved cart instead of items.
+// Form-encoded requests send useCart as the string "true" or "false".
+const usesCart = (req) =>
+  req.body.useCart === true || req.body.useCart === "true";
+
+// Load the user's cart, creating an empty one on first use
+const getCart = async (userId) =>
+  Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+
+const isPurchasable = (product) =>
+  Boolean(
+    product && product.isActive && product.isApproved && product.isAvailable
+  );
+
+// A line can be bought while its product is sold and, for a product sold
+// in variants, its variant still exists and is sold too
+const isLineAvailable = (product, item, variant) => {
+  if (!isPurchasable(product)) return false;
+  if (variant) return variant.isAvailable;
+  return !item.variant && !(product.variants && product.variants.length > 0);
+};
+
+// Re-price a cart against current products, at the price tier for each
+// line's quantity or the price of its variant. Each line is flagged when
+// the product or variant is no longer sold (`unavailable`, with a null
+// price once the product is deleted), has less stock than the line asks
+// for (`insufficient_stock`) or its price differs from what the buyer last saw
+// (`price_changed`). The new prices are then remembered, so a change is
+// only flagged once.
+const priceCart = async (cart) => {
+  const products = await Product.find({
+    _id: { $in: cart.items.map((item) => item.product) },
+  })
+    .select(
+      "name images unit price priceTiers variants quantity farmer isActive isApproved isAvailable"
+    )
+    .populate("farmer", "firstName lastName")
+    .lean();
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  let repriced = false;
+  const lines = cart.items.map((item) => {
+    const product = productsById.get(item.product.toString());
+    const variant = product && Product.findVariant(product, item.variant);
+    const price =
+      product && Product.getUnitPrice(product, item.quantity, item.variant);
+    const available = isLineAvailable(product, item, variant);
+    const stock = variant || product;
+    const issues = [];
+
+    if (!available) {
+      issues.push("unavailable");
+    } else if (item.quantity > stock.quantity) {
+      issues.push("insufficient_stock");
+    }
+    if (product && item.price !== undefined && item.price !== price) {
+      issues.push("price_changed");
+    }
+
+    const line = {
+      productId: item.product,
+      variantId: item.variant,
+      name: product
+        ? Product.getItemName(product, variant)
+        : "Product no longer available",
+      sku: variant ? variant.sku : undefined,
+      image: product && product.images.length > 0 ? product.images[0] : null,
+      unit: product ? product.unit : null,
+      farmer: product ? product.farmer : null,
+      quantity: item.quantity,
+      // A deleted product has no price to show
+      price: product ? price : null,
+      previousPrice: issues.includes("price_changed") ? item.price : undefined,
+      availableQuantity: available ? stock.quantity : 0,
+      lineTotal: product ? roundAmount(price * item.quantity) : 0,
+      issues,
+    };
+
+    if (product && item.price !== price) {
+      item.price = price;
+      repriced = true;
+    }
+    return line;
+  });
+
+  if (repriced) {
+    await cart.save();
+  }
+
+  const orderable = lines.filter(
+    (line) =>
+      !line.issues.includes("unavailable") &&
+      !line.issues.includes("insufficient_stock")
+  );
+
+  return {
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: roundAmount(
+      orderable.reduce((sum, line) => sum + line.lineTotal, 0)
+    ),
+    hasIssues: orderable.length !== lines.length,
+    hasPriceChanges: lines.some((line) =>
+      line.issues.includes("price_changed")
+    ),
+    updatedAt: cart.updatedAt,
+  };
+};
+
+// Change a line's quantity. Moving into another price tier is expected, so
+// the remembered price follows the tier unless the product's price changed
+// since the buyer last saw it, which priceCart still flags.
+const setLineQuantity = (item, product, quantity) => {
+  if (
+    product &&
+    item.price === Product.getUnitPrice(product, item.quantity, item.variant)
+  ) {
+    item.price = Product.getUnitPrice(product, quantity, item.variant);
+  }
+  item.quantity = quantity;
+};
+
+// Add to a product's (or variant's) quantity in the cart, or start a new
+// line. A product sold in variants needs the `variantId` chosen.
+const addCartItem = async (userId, productId, quantity, variantId) => {
+  const product = await Product.findById(productId).select(
+    "name price priceTiers variants isActive isApproved isAvailable"
+  );
+  if (!isPurchasable(product)) {
+    throw new ServiceError("Product is not available", 404);
+  }
+  const variant = resolveVariant(product, variantId);
+  if (variant && !variant.isAvailable) {
+    throw new ServiceError(
+      `${Product.getItemName(product, variant)} is not available`,
+      404
+    );
+  }
+
+  const cart = await getCart(userId);
+  const item = cart.getItem(productId, variantId);
+  if (item) {
+    setLineQuantity(item, product, item.quantity + quantity);
+  } else {
+    cart.items.push({
+      product: productId,
+      variant: variant ? variant._id : undefined,
+      quantity,
+      price: Product.getUnitPrice(product, quantity, variantId),
+    });
+  }
+
+  await cart.save();
+  return cart;
+};
+
+// Set a line's quantity; zero removes the line
+const setCartItemQuantity = async (userId, productId, quantity, variantId) => {
+  const cart = await getCart(userId);
+  const item = cart.getItem(productId, variantId);
+  if (!item) {
+    throw new ServiceError("Product is not in your cart", 404);
+  }
+
+  if (quantity > 0) {
+    const product = await Product.findById(productId).select(
+      "price priceTiers variants"
+    );
+    setLineQuantity(item, product, quantity);
+  } else {
+    cart.items.pull(item);
+  }
+
+  await cart.save();
+  return cart;
+};
+
+const removeCartItem = async (userId, productId, variantId) => {
+  const cart = await getCart(userId);
+  const item = cart.getItem(productId, variantId);
+  if (item) {
+    cart.items.pull(item);
+  }
+  await cart.save();
+  return cart;
+};
+
+const clearCart = async (userId) => {
+  const cart = await getCart(userId);
+  cart.items = [];
+  await cart.save();
+  return cart;
+};
+
+// Fold a browser (localStorage) cart into the saved one after login. A
+// line in both keeps the larger quantity, so syncing the same device
+// twice does not double it. Local prices are kept as the last price seen,
+// so changes since the item was added are flagged when the cart is priced.
+const mergeCart = async (userId, localItems) => {
+  const cart = await getCart(userId);
+
+  for (const localItem of localItems) {
+    const quantity = parseInt(localItem.quantity);
+    const item = cart.getItem(localItem.productId, localItem.variantId);
+
+    if (item) {
+      item.quantity = Math.max(item.quantity, quantity);
+    } else {
+      cart.items.push({
+        product: localItem.productId,
+        variant: localItem.variantId,
+        quantity,
+        price:
+          localItem.price !== undefined
+            ? parseFloat(localItem.price)
+            : undefined,
+      });
+    }
+  }
+
+  await cart.save();
+  return cart;
+};
+
+// Items to order from the cart. Checkout is refused while any line is
+// unavailable or short, or a price changed since the buyer last saw it.
+const getCheckoutItems = async (userId) => {
+  const cart = await getCart(userId);
+  if (cart.items.length === 0) {
+    throw new ServiceError("Your cart is empty");
+  }
+
+  const priced = await priceCart(cart);
+  if (priced.hasIssues) {
+    throw new ServiceError(
+      "Some items in your cart are unavailable or short on stock",
+      409,
+      { cart: priced }
+    );
+  }
+  if (priced.hasPriceChanges) {
+    throw new ServiceError(
+      "Prices in your cart have changed. Please review it before ordering.",
+      409,
+      { cart: priced }
+    );
+  }
+
+  return priced.items.map((line) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    quantity: line.quantity,
+  }));
+};
+
+module.exports = {
+  usesCart,
+  isPurchasable,
+  isLineAvailable,
+  getCart,
+  priceCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  getCheckoutItems,
+};
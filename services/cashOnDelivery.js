@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const Order = require("../models/Order");
+const { recordStatusChange } = require("./orderLifecycle");
+const { recordOrderEarnings, roundAmount } = require("./ledger");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Wrong codes allowed before the buyer has to generate a new one
+const MAX_CODE_ATTEMPTS = 5;
+
+const getCodeTtlHours = () => {
+  const hours = parseInt(process.env.DELIVERY_CODE_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 72;
+};
+
+// Codes are stored as an HMAC keyed by the server secret, so the six
+// digits cannot be recovered from the order by a farmer or a data leak
+const hashCode = (subOrder, code) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "fallback_secret")
+    .update(`${subOrder._id}:${code}`)
+    .digest("hex");
+
+const codesMatch = (expected, received) =>
+  expected.length === received.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+
+// What the farmer should collect for a sub-order: goods less the coupon
+// discount and refunds, plus delivery, less any pre-order deposit already paid
+const getAmountDue = (subOrder) =>
+  roundAmount(
+    subOrder.subtotal -
+      subOrder.discount -
+      subOrder.refundedAmount +
+      subOrder.deliveryFee -
+      subOrder.depositPaid
+  );
+
+// Whether the cash for a sub-order has been recorded
+const isCollected = (order, subOrder) =>
+  order.cashCollections.some((collection) =>
+    collection.subOrder.equals(subOrder._id)
+  );
+
+// Generate the buyer's handover codes for a cash order: one per sub-order
+// still awaiting delivery (or just `subOrderId`). Generating again replaces
+// the previous code.
+const generateDeliveryCodes = async ({ orderId, user, subOrderId }) => {
+  const order = await Order.findOne({ _id: orderId, isActive: true });
+
+  if (!order) {
+    throw new ServiceError("Order not found", 404);
+  }
+  if (order.buyer.toString() !== user._id.toString()) {
+    throw new ServiceError(
+      "Access denied. Only the buyer can get delivery codes.",
+      403
+    );
+  }
+  if (order.paymentMethod !== "cash") {
+    throw new ServiceError("Delivery codes are only used for cash orders");
+  }
+
+  const targets = order.subOrders.filter(
+    (subOrder) =>
+      (!subOrderId || subOrder._id.toString() === subOrderId.toString()) &&
+      ["confirmed", "processing", "shipped"].includes(subOrder.status) &&
+      !isCollected(order, subOrder)
+  );
+  if (targets.length === 0) {
+    throw new ServiceError(
+      "No part of this order is awaiting a cash delivery",
+      409
+    );
+  }
+
+  const expiresAt = new Date(Date.now() + getCodeTtlHours() * 60 * 60 * 1000);
+  const codes = targets.map((subOrder) => {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+    subOrder.deliveryCode = {
+      hash: hashCode(subOrder, code),
+      generatedAt: new Date(),
+      expiresAt,
+      failedAttempts: 0,
+    };
+    return {
+      subOrderId: subOrder._id,
+      farmer: subOrder.farmer,
+      code,
+      amountDue: getAmountDue(subOrder),
+      expiresAt,
+    };
+  });
+
+  await order.save();
+  return codes;
+};
+
+// The farmer (or an admin on their behalf) enters the buyer's code at
+// handover: the sub-order is marked delivered, the cash is recorded against
+// it and, once every sub-order's cash is in, the order is paid.
+const confirmCashDelivery = async ({
+  orderId,
+  user,
+  code,
+  amount,
+  note,
+  subOrderId,
+}) => {
+  // A wrong code aborts the transaction, so the failed attempt is counted
+  // separately afterwards
+  let wrongCodeFor = null;
+
+  try {
+    return await withTransaction(async (session) => {
+      wrongCodeFor = null;
+      const order = await Order.findOne({
+        _id: orderId,
+        isActive: true,
+      }).session(session);
+
+      if (!order) {
+        throw new ServiceError("Order not found", 404);
+      }
+      if (order.paymentMethod !== "cash") {
+        throw new ServiceError("This order is not a cash on delivery order");
+      }
+
+      const subOrder =
+        user.role === "admin"
+          ? subOrderId && order.subOrders.id(subOrderId)
+          : order.getSubOrder(user._id);
+      if (!subOrder) {
+        throw new ServiceError(
+          user.role === "admin"
+            ? "subOrderId is required to confirm a delivery as admin"
+            : "Access denied. You can only confirm your own deliveries.",
+          user.role === "admin" ? 400 : 403
+        );
+      }
+      if (isCollected(order, subOrder)) {
+        throw new ServiceError(
+          "Cash for this delivery is already recorded",
+          409
+        );
+      }
+      if (!["shipped", "delivered"].includes(subOrder.status)) {
+        throw new ServiceError(
+          `Only shipped orders can be handed over (this one is ${subOrder.status})`
+        );
+      }
+
+      const deliveryCode = subOrder.deliveryCode || {};
+      if (!deliveryCode.hash) {
+        throw new ServiceError(
+          "The buyer has not generated a delivery code yet",
+          409
+        );
+      }
+      if (deliveryCode.expiresAt < new Date()) {
+        throw new ServiceError(
+          "The delivery code has expired. Ask the buyer to generate a new one.",
+          409
+        );
+      }
+      if (deliveryCode.failedAttempts >= MAX_CODE_ATTEMPTS) {
+        throw new ServiceError(
+          "Too many wrong codes. Ask the buyer to generate a new one.",
+          429
+        );
+      }
+      if (!codesMatch(deliveryCode.hash, hashCode(subOrder, code))) {
+        wrongCodeFor = subOrder._id;
+        throw new ServiceError("Incorrect delivery code");
+      }
+
+      const amountDue = getAmountDue(subOrder);
+      if (amount !== undefined && roundAmount(amount) !== amountDue) {
+        throw new ServiceError(
+          `Collected amount must be KSh ${amountDue} for this delivery`
+        );
+      }
+
+      const role = user.role === "admin" ? "admin" : "farmer";
+      const previousStatus = order.status;
+
+      if (subOrder.status !== "delivered") {
+        recordStatusChange(order, {
+          subOrder,
+          from: subOrder.status,
+          to: "delivered",
+          actor: user,
+          actorRole: role,
+          note: "Handed over; buyer confirmed with their delivery code",
+        });
+        subOrder.status = "delivered";
+      }
+      subOrder.deliveryCode = undefined;
+
+      order.cashCollections.push({
+        subOrder: subOrder._id,
+        farmer: subOrder.farmer,
+        amount: amountDue,
+        collectedBy: user._id,
+        collectedAt: new Date(),
+        note,
+      });
+
+      if (order.syncStatusFromSubOrders() !== previousStatus) {
+        recordStatusChange(order, {
+          from: previousStatus,
+          to: order.status,
+          actor: user,
+          actorRole: role,
+        });
+      }
+
+      const outstanding = order.subOrders.some(
+        (other) => other.status !== "cancelled" && !isCollected(order, other)
+      );
+      if (!outstanding && order.paymentStatus === "pending") {
+        order.paymentStatus = "paid";
+        order.paymentReference = `CASH-${order.orderNumber}`;
+      }
+
+      await order.save({ session });
+      await recordOrderEarnings(order, session);
+      return order;
+    });
+  } catch (error) {
+    if (wrongCodeFor) {
+      await Order.updateOne(
+        { _id: orderId, "subOrders._id": wrongCodeFor },
+        { $inc: { "subOrders.$.deliveryCode.failedAttempts": 1 } }
+      );
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  isCollected,
+  generateDeliveryCodes,
+  confirmCashDelivery,
+};
@@ -0,0 +1,267 @@
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const { resolveVariant } = require("./inventory");
+const { roundAmount } = require("./ledger");
+const { ServiceError } = require("../utils/errors");
+
+const normalizeCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+// Refuse a coupon that is switched off, outside its dates, used up, or
+// already used by this buyer as often as allowed. Orders that were
+// cancelled do not count against the buyer.
+const checkCouponUsable = async (coupon, buyer, session) => {
+  const now = new Date();
+  if (!coupon || !coupon.isActive) {
+    throw new ServiceError("Coupon code is not valid", 404);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new ServiceError(`Coupon ${coupon.code} is not active yet`);
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new ServiceError(`Coupon ${coupon.code} has expired`);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new ServiceError(
+      `Coupon ${coupon.code} has been fully redeemed`,
+      409
+    );
+  }
+
+  const used = await Order.countDocuments({
+    "coupon.coupon": coupon._id,
+    buyer,
+    status: { $ne: "cancelled" },
+  }).session(session);
+  if (used >= coupon.perUserLimit) {
+    throw new ServiceError(`You have already used coupon ${coupon.code}`, 409);
+  }
+};
+
+// Discount a coupon gives on order lines ({ product, price, quantity }) and
+// each farmer's share of it, in proportion to their eligible items. Throws
+// if no item qualifies or the eligible items fall short of minOrderValue.
+const calculateDiscount = (coupon, lines) => {
+  const eligibleByFarmer = new Map();
+  let eligibleTotal = 0;
+
+  for (const { product, price, quantity } of lines) {
+    const farmer = product.farmer._id || product.farmer;
+    if (!coupon.appliesTo(product, farmer)) continue;
+
+    const amount = price * quantity;
+    const key = farmer.toString();
+    eligibleByFarmer.set(key, (eligibleByFarmer.get(key) || 0) + amount);
+    eligibleTotal += amount;
+  }
+
+  eligibleTotal = roundAmount(eligibleTotal);
+  if (eligibleTotal === 0) {
+    throw new ServiceError(
+      `Coupon ${coupon.code} does not apply to any item in this order`
+    );
+  }
+  if (eligibleTotal < coupon.minOrderValue) {
+    throw new ServiceError(
+      `Coupon ${coupon.code} needs at least KSh ${coupon.minOrderValue} of eligible items`
+    );
+  }
+
+  let discount =
+    coupon.discountType === "percentage"
+      ? (eligibleTotal * coupon.value) / 100
+      : coupon.value;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundAmount(Math.min(discount, eligibleTotal));
+
+  // The last farmer takes the rounding remainder so the shares add up
+  const shares = new Map();
+  const entries = [...eligibleByFarmer];
+  let allocated = 0;
+  entries.forEach(([farmer, amount], index) => {
+    const share =
+      index === entries.length - 1
+        ? roundAmount(discount - allocated)
+        : roundAmount((discount * amount) / eligibleTotal);
+    shares.set(farmer, share);
+    allocated += share;
+  });
+
+  return { eligibleTotal, discount, shares };
+};
+
+// Checkout: apply a coupon to the order's lines and count the use. Runs in
+// the order's transaction, so a failed order gives the use back.
+const redeemCoupon = async ({ code, buyer, lines }, session) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(
+    session
+  );
+  await checkCouponUsable(coupon, buyer, session);
+  const { discount, shares } = calculateDiscount(coupon, lines);
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!claimed) {
+    throw new ServiceError(
+      `Coupon ${coupon.code} has been fully redeemed`,
+      409
+    );
+  }
+
+  return { coupon: claimed, discount, shares };
+};
+
+// Give a coupon use back when its order is cancelled (change -1), or take
+// it again when the order is reopened (+1)
+const adjustCouponUsage = async (order, change, session) => {
+  if (!order.coupon || !order.coupon.coupon) return;
+
+  await Coupon.updateOne(
+    { _id: order.coupon.coupon },
+    { $inc: { usedCount: change } },
+    { session }
+  );
+};
+
+// Check a code against prospective order items ({ productId, variantId,
+// quantity }) without using it, priced as checkout would
+const previewCoupon = async ({ code, buyer, items }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  await checkCouponUsable(coupon, buyer);
+
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.productId) },
+    isActive: true,
+  })
+    .select("name price priceTiers variants farmer category")
+    .lean();
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const lines = items.map((item) => {
+    const product = productsById.get(item.productId.toString());
+    if (!product) {
+      throw new ServiceError(`Product ${item.productId} is not available`);
+    }
+    const variant = resolveVariant(product, item.variantId);
+    const quantity = parseInt(item.quantity);
+    return {
+      product,
+      quantity,
+      price: Product.getUnitPrice(product, quantity, variant && variant._id),
+    };
+  });
+
+  const { eligibleTotal, discount } = calculateDiscount(coupon, lines);
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    discountType: coupon.discountType,
+    value: coupon.value,
+    eligibleTotal,
+    discount,
+  };
+};
+
+// Farmers only ever discount their own products, at their own cost; admins
+// set any scope, and the coupons they create are funded by the platform
+const applyCouponOwner = async (coupon, user) => {
+  if (user.role !== "admin") {
+    coupon.scope = "farmer";
+    coupon.farmer = user._id;
+    coupon.category = undefined;
+    coupon.fundedBy = "farmer";
+    return;
+  }
+
+  if (coupon.isNew) {
+    coupon.fundedBy = "platform";
+  }
+  if (coupon.scope === "farmer" && coupon.isModified("farmer")) {
+    const farmer = await User.exists({ _id: coupon.farmer, role: "farmer" });
+    if (!farmer) {
+      throw new ServiceError("Farmer not found", 404);
+    }
+  }
+};
+
+// Load a coupon the user may manage: admins any, farmers their own
+const findManagedCoupon = async (couponId, user) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw new ServiceError("Coupon not found", 404);
+  }
+  if (
+    user.role !== "admin" &&
+    !(coupon.fundedBy === "farmer" && coupon.farmer.equals(user._id))
+  ) {
+    throw new ServiceError(
+      "Access denied. You can only manage your own coupons.",
+      403
+    );
+  }
+  return coupon;
+};
+
+const saveCoupon = async (coupon) => {
+  try {
+    return await coupon.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError("A coupon with this code already exists", 409);
+    }
+    throw error;
+  }
+};
+
+const createCoupon = async ({ user, fields }) => {
+  const coupon = new Coupon({ ...fields, createdBy: user._id });
+  await applyCouponOwner(coupon, user);
+  return saveCoupon(coupon);
+};
+
+const updateCoupon = async ({ couponId, user, fields }) => {
+  const coupon = await findManagedCoupon(couponId, user);
+  coupon.set(fields);
+  await applyCouponOwner(coupon, user);
+  return saveCoupon(coupon);
+};
+
+// Coupons already used on orders can only be switched off
+const deleteCoupon = async ({ couponId, user }) => {
+  const coupon = await findManagedCoupon(couponId, user);
+  if (coupon.usedCount > 0) {
+    throw new ServiceError(
+      "This coupon has been used. Deactivate it instead.",
+      409
+    );
+  }
+  await coupon.deleteOne();
+};
+
+module.exports = {
+  redeemCoupon,
+  adjustCouponUsage,
+  previewCoupon,
+  findManagedCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
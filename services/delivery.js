@@ -0,0 +1,160 @@
+const DeliveryRate = require("../models/DeliveryRate");
+const Product = require("../models/Product");
+const { resolveVariant } = require("./inventory");
+const { roundAmount } = require("./ledger");
+const { ServiceError } = require("../utils/errors");
+
+// Installed the first time the server starts so checkout works before an
+// admin sets up rates: any county to any county at DEFAULT_DELIVERY_FEE
+// (free unless set). Admins change or deactivate it like any other rate; a
+// deleted default comes back on the next start.
+const DEFAULT_RATE = {
+  originCounty: "*",
+  destinationCounty: "*",
+  destinationSubCounty: "",
+};
+
+const installDefaultRate = async () => {
+  const result = await DeliveryRate.updateOne(
+    DEFAULT_RATE,
+    {
+      $setOnInsert: {
+        ...DEFAULT_RATE,
+        baseFee: parseFloat(process.env.DEFAULT_DELIVERY_FEE) || 0,
+        isActive: true,
+      },
+    },
+    { upsert: true, collation: DeliveryRate.COLLATION }
+  );
+  return result.upsertedCount;
+};
+
+// Most specific active rate from a farmer's county to the buyer's address.
+// A sub-county match beats a county match, which beats a '*' wildcard; an
+// exact origin county breaks ties.
+const findRate = async (originCounty, { county, subCounty }, session) => {
+  const rates = await DeliveryRate.find({
+    isActive: true,
+    originCounty: { $in: [originCounty, "*"] },
+    destinationCounty: { $in: [county, "*"] },
+    destinationSubCounty: { $in: [subCounty || "", ""] },
+  })
+    .collation(DeliveryRate.COLLATION)
+    .session(session);
+
+  const specificity = (rate) =>
+    (rate.destinationSubCounty ? 4 : 0) +
+    (rate.destinationCounty !== "*" ? 2 : 0) +
+    (rate.originCounty !== "*" ? 1 : 0);
+
+  return rates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+// Delivery fee for order lines ({ product, quantity }, with product's farmer,
+// unit and location loaded). Each farmer ships separately, so every farmer
+// is charged their route's base fee plus per-unit surcharges for their items.
+const calculateDelivery = async (lines, destination, session) => {
+  const groups = new Map();
+
+  for (const { product, quantity } of lines) {
+    const farmerId = (product.farmer._id || product.farmer).toString();
+    if (!groups.has(farmerId)) {
+      groups.set(farmerId, {
+        farmer: product.farmer._id || product.farmer,
+        originCounty: (product.location && product.location.county) || "*",
+        lines: [],
+      });
+    }
+    groups.get(farmerId).lines.push({ product, quantity });
+  }
+
+  const quotes = [];
+  for (const group of groups.values()) {
+    const rate = await findRate(group.originCounty, destination, session);
+    if (!rate) {
+      throw new ServiceError(
+        `Delivery from ${group.originCounty} to ${destination.county} is not available yet`
+      );
+    }
+
+    const surcharge = group.lines.reduce(
+      (sum, { product, quantity }) =>
+        sum + (rate.unitSurcharges.get(product.unit) || 0) * quantity,
+      0
+    );
+
+    quotes.push({
+      farmer: group.farmer,
+      originCounty: group.originCounty,
+      rate: rate._id,
+      baseFee: rate.baseFee,
+      surcharge: roundAmount(surcharge),
+      fee: roundAmount(rate.baseFee + surcharge),
+      estimatedDays: rate.estimatedDays,
+    });
+  }
+
+  return {
+    deliveryFee: roundAmount(quotes.reduce((sum, quote) => sum + quote.fee, 0)),
+    farmers: quotes,
+  };
+};
+
+// Price a prospective order ({ productId, variantId, quantity } items) for
+// checkout
+const quoteDelivery = async ({ items, shippingAddress }) => {
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.productId) },
+    isActive: true,
+    isApproved: true,
+    isAvailable: true,
+  })
+    .select("name price priceTiers variants unit farmer location")
+    .lean();
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const lines = items.map((item) => {
+    const product = productsById.get(item.productId.toString());
+    if (!product) {
+      throw new ServiceError(`Product ${item.productId} is not available`);
+    }
+    const variant = resolveVariant(product, item.variantId);
+    if (variant && !variant.isAvailable) {
+      throw new ServiceError(
+        `${Product.getItemName(product, variant)} is not available`
+      );
+    }
+    return {
+      product,
+      quantity: parseInt(item.quantity),
+      variantId: variant ? variant._id : undefined,
+    };
+  });
+
+  const delivery = await calculateDelivery(lines, shippingAddress);
+  const itemsTotal = roundAmount(
+    lines.reduce(
+      (sum, line) =>
+        sum +
+        Product.getUnitPrice(line.product, line.quantity, line.variantId) *
+          line.quantity,
+      0
+    )
+  );
+
+  return {
+    itemsTotal,
+    deliveryFee: delivery.deliveryFee,
+    totalAmount: roundAmount(itemsTotal + delivery.deliveryFee),
+    farmers: delivery.farmers,
+  };
+};
+
+module.exports = {
+  installDefaultRate,
+  findRate,
+  calculateDelivery,
+  quoteDelivery,
+};
@@ -0,0 +1,402 @@
+const Dispute = require("../models/Dispute");
+const Order = require("../models/Order");
+const { recordStatusChange } = require("./orderLifecycle");
+const { roundAmount, recordOrderEarnings, recordRefund } = require("./ledger");
+const { freezeSubOrderEscrow, unfreezeSubOrderEscrow } = require("./escrow");
+const { isCollected } = require("./cashOnDelivery");
+const { getReturnWindowDays, getDeliveredAt } = require("./returns");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+const ACTIVE_STATUSES = ["open", "escalated"];
+
+// Hours the farmer has to answer before the dispute goes to an admin
+const getResponseHours = () => {
+  const hours = parseInt(process.env.DISPUTE_RESPONSE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 48;
+};
+
+// Days an admin has to resolve a dispute once it is opened
+const getResolutionDays = () => {
+  const days = parseInt(process.env.DISPUTE_RESOLUTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 5;
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Role a user plays in a dispute, or null if not involved
+const getDisputeRole = (dispute, user) => {
+  if (user.role === "admin") return "admin";
+  if (dispute.buyer.equals(user._id)) return "buyer";
+  if (dispute.farmer.equals(user._id)) return "farmer";
+  return null;
+};
+
+// Load a dispute that is still in one of the given statuses
+const findDispute = async (disputeId, statuses, session) => {
+  const dispute = await Dispute.findById(disputeId).session(session);
+  if (!dispute) {
+    throw new ServiceError("Dispute not found", 404);
+  }
+  if (!statuses.includes(dispute.status)) {
+    throw new ServiceError(`Dispute is already ${dispute.status}`, 409);
+  }
+  return dispute;
+};
+
+const loadSubOrder = async (dispute, session) => {
+  const order = await Order.findById(dispute.order).session(session);
+  const subOrder = order && order.subOrders.id(dispute.subOrder);
+  if (!subOrder) {
+    throw new ServiceError("Order for this dispute no longer exists", 404);
+  }
+  return { order, subOrder };
+};
+
+// Open a dispute on one farmer's shipped or recently delivered sub-order.
+// Funds still held in escrow for it are frozen until the dispute closes.
+const createDispute = async ({
+  orderId,
+  subOrderId,
+  user,
+  reason,
+  description,
+  requestedAmount,
+  images = [],
+}) => {
+  try {
+    return await withTransaction(async (session) => {
+      const order = await Order.findOne({
+        _id: orderId,
+        isActive: true,
+      }).session(session);
+
+      if (!order) {
+        throw new ServiceError("Order not found", 404);
+      }
+      if (!order.buyer.equals(user._id)) {
+        throw new ServiceError(
+          "Access denied. You can only dispute your own orders.",
+          403
+        );
+      }
+
+      let subOrder;
+      if (subOrderId) {
+        subOrder = order.subOrders.id(subOrderId);
+      } else if (order.subOrders.length === 1) {
+        subOrder = order.subOrders[0];
+      } else {
+        throw new ServiceError(
+          "This order has several farmers. Choose which part to dispute with subOrderId."
+        );
+      }
+      if (!subOrder) {
+        throw new ServiceError("Sub-order not found", 404);
+      }
+
+      if (!["shipped", "delivered"].includes(subOrder.status)) {
+        throw new ServiceError(
+          "Only shipped or delivered orders can be disputed"
+        );
+      }
+      if (subOrder.status === "delivered") {
+        const windowDays = getReturnWindowDays();
+        const deliveredAt = getDeliveredAt(order, subOrder);
+        if (Date.now() - deliveredAt > windowDays * 24 * HOUR_MS) {
+          throw new ServiceError(
+            `Disputes must be raised within ${windowDays} days of delivery`
+          );
+        }
+      }
+
+      const disputable = roundAmount(
+        subOrder.subtotal - subOrder.discount - subOrder.refundedAmount
+      );
+      if (requestedAmount !== undefined && requestedAmount > disputable) {
+        throw new ServiceError(
+          `You can claim at most KSh ${disputable} for this part of the order`
+        );
+      }
+
+      const escrowFrozen = subOrder.escrow.status === "held";
+      if (escrowFrozen) {
+        freezeSubOrderEscrow(subOrder, `Dispute: ${reason}`);
+        await order.save({ session });
+        await recordOrderEarnings(order, session);
+      }
+
+      const now = Date.now();
+      const [dispute] = await Dispute.create(
+        [
+          {
+            order: order._id,
+            subOrder: subOrder._id,
+            buyer: order.buyer,
+            farmer: subOrder.farmer,
+            reason,
+            requestedAmount:
+              requestedAmount !== undefined
+                ? roundAmount(requestedAmount)
+                : undefined,
+            messages: [
+              {
+                author: user._id,
+                authorRole: "buyer",
+                body: description,
+                images,
+              },
+            ],
+            responseDueAt: new Date(now + getResponseHours() * HOUR_MS),
+            resolutionDueAt: new Date(now + getResolutionDays() * 24 * HOUR_MS),
+            escrowFrozen,
+          },
+        ],
+        { session }
+      );
+      return dispute;
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError(
+        "There is already an open dispute for this part of the order",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+// Post to a dispute's thread. The farmer's first reply stops the response
+// clock.
+const addDisputeMessage = async ({ disputeId, user, body, images = [] }) => {
+  const dispute = await findDispute(disputeId, ACTIVE_STATUSES);
+  const role = getDisputeRole(dispute, user);
+  if (!role) {
+    throw new ServiceError(
+      "Access denied. You are not part of this dispute.",
+      403
+    );
+  }
+  if (!body && images.length === 0) {
+    throw new ServiceError("A message or at least one image is required");
+  }
+
+  dispute.messages.push({ author: user._id, authorRole: role, body, images });
+  if (role === "farmer" && !dispute.farmerRespondedAt) {
+    dispute.farmerRespondedAt = new Date();
+  }
+
+  await dispute.save();
+  return dispute;
+};
+
+// The buyer or farmer asks an admin to step in before the response deadline
+const escalateDispute = async ({ disputeId, user }) => {
+  const dispute = await findDispute(disputeId, ["open"]);
+  const role = getDisputeRole(dispute, user);
+  if (!["buyer", "farmer"].includes(role)) {
+    throw new ServiceError(
+      "Access denied. Only the buyer or farmer can escalate this dispute.",
+      403
+    );
+  }
+
+  dispute.status = "escalated";
+  dispute.escalatedAt = new Date();
+  dispute.messages.push({
+    authorRole: "system",
+    body: `Escalated to an admin by the ${role}`,
+  });
+
+  await dispute.save();
+  return dispute;
+};
+
+// The buyer drops the dispute; frozen funds go back into escrow (or to the
+// farmer if the goods have been delivered)
+const withdrawDispute = async ({ disputeId, user }) =>
+  withTransaction(async (session) => {
+    const dispute = await findDispute(disputeId, ACTIVE_STATUSES, session);
+    if (getDisputeRole(dispute, user) !== "buyer") {
+      throw new ServiceError(
+        "Access denied. Only the buyer can withdraw this dispute.",
+        403
+      );
+    }
+
+    const { order, subOrder } = await loadSubOrder(dispute, session);
+    if (dispute.escrowFrozen && subOrder.escrow.status === "frozen") {
+      unfreezeSubOrderEscrow(subOrder, "buyer");
+      await order.save({ session });
+      await recordOrderEarnings(order, session);
+    }
+
+    dispute.status = "withdrawn";
+    dispute.messages.push({
+      authorRole: "system",
+      body: "Withdrawn by the buyer",
+    });
+    await dispute.save({ session });
+    return dispute;
+  });
+
+// Admin decision. A refund (the rest of the sub-order's goods value) or a
+// partial refund is recorded on the order, its payment status and the
+// farmer's ledger; a rejection refunds nothing. Either way the goods count
+// as delivered and frozen funds are released to the farmer. A shipped cash
+// on delivery order must have its handover confirmed first.
+const resolveDispute = async ({
+  disputeId,
+  user,
+  outcome,
+  refundAmount,
+  refundReference,
+  note,
+}) =>
+  withTransaction(async (session) => {
+    const dispute = await findDispute(disputeId, ACTIVE_STATUSES, session);
+    const { order, subOrder } = await loadSubOrder(dispute, session);
+
+    const refundable = roundAmount(
+      subOrder.subtotal - subOrder.discount - subOrder.refundedAmount
+    );
+    let amount = 0;
+    if (outcome !== "rejected" && refundable <= 0) {
+      throw new ServiceError(
+        "The goods on this part of the order are already fully refunded"
+      );
+    }
+    if (outcome === "refund") {
+      amount = refundable;
+    } else if (outcome === "partial_refund") {
+      amount = roundAmount(refundAmount);
+      if (!(amount > 0) || amount > refundable) {
+        throw new ServiceError(
+          `Partial refund must be between KSh 0 and KSh ${refundable}`
+        );
+      }
+    }
+
+    // A cash delivery is only closed at handover, when the cash is recorded
+    if (
+      order.paymentMethod === "cash" &&
+      subOrder.status === "shipped" &&
+      !isCollected(order, subOrder)
+    ) {
+      throw new ServiceError(
+        "The cash for this delivery has not been collected. Confirm the handover before resolving the dispute.",
+        409
+      );
+    }
+
+    const previousStatus = order.status;
+    if (subOrder.status === "shipped") {
+      recordStatusChange(order, {
+        subOrder,
+        from: subOrder.status,
+        to: "delivered",
+        actor: user,
+        actorRole: "admin",
+        note: "Closed by dispute resolution",
+      });
+      subOrder.status = "delivered";
+    }
+    if (order.syncStatusFromSubOrders() !== previousStatus) {
+      recordStatusChange(order, {
+        from: previousStatus,
+        to: order.status,
+        actor: user,
+        actorRole: "admin",
+      });
+    }
+
+    if (subOrder.escrow.status === "frozen") {
+      unfreezeSubOrderEscrow(subOrder, "admin");
+    }
+
+    const wasPaid = ["paid", "partially_refunded"].includes(
+      order.paymentStatus
+    );
+    if (amount > 0) {
+      subOrder.refundedAmount = roundAmount(subOrder.refundedAmount + amount);
+      order.refundedAmount = roundAmount(order.refundedAmount + amount);
+      // Delivery fees are not refunded, as with returns
+      if (wasPaid) {
+        order.paymentStatus =
+          order.refundedAmount >= order.totalAmount - order.deliveryFee
+            ? "refunded"
+            : "partially_refunded";
+      }
+    }
+
+    await order.save({ session });
+    await recordOrderEarnings(order, session);
+    if (amount > 0) {
+      await recordRefund(
+        order,
+        subOrder,
+        { refundAmount: amount, dispute: dispute._id, createdBy: user._id },
+        session
+      );
+    }
+
+    dispute.status = "resolved";
+    dispute.resolution = {
+      outcome,
+      refundAmount: amount,
+      // Nothing was paid yet, so the refund only lowers what the buyer owes
+      refundReference:
+        amount > 0 && !wasPaid ? "Deducted from amount due" : refundReference,
+      note,
+      resolvedBy: user._id,
+      resolvedAt: new Date(),
+    };
+    dispute.messages.push({
+      author: user._id,
+      authorRole: "admin",
+      body:
+        outcome === "rejected"
+          ? `Dispute rejected${note ? `: ${note}` : ""}`
+          : `Refund of KSh ${amount} approved${note ? `: ${note}` : ""}`,
+    });
+    await dispute.save({ session });
+    return dispute;
+  });
+
+// Scheduled job: open disputes the farmer has not answered in time go to an
+// admin
+const escalateOverdueDisputes = async () => {
+  const now = new Date();
+  const result = await Dispute.updateMany(
+    {
+      status: "open",
+      farmerRespondedAt: null,
+      responseDueAt: { $lte: now },
+    },
+    {
+      $set: { status: "escalated", escalatedAt: now },
+      $push: {
+        messages: {
+          authorRole: "system",
+          body: "Escalated to an admin: the farmer did not respond in time",
+          createdAt: now,
+        },
+      },
+    }
+  );
+
+  return result.modifiedCount > 0
+    ? `escalated ${result.modifiedCount} dispute(s)`
+    : null;
+};
+
+module.exports = {
+  getDisputeRole,
+  createDispute,
+  addDisputeMessage,
+  escalateDispute,
+  withdrawDispute,
+  resolveDispute,
+  escalateOverdueDisputes,
+};
@@ -0,0 +1,156 @@
+const Order = require("../models/Order");
+const { recordStatusChange } = require("./orderLifecycle");
+const { recordOrderEarnings } = require("./ledger");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Orders handled per auto-release run; the rest wait for the next run
+const RELEASE_BATCH_SIZE = 50;
+
+const releaseEscrow = (escrow, releasedBy) => {
+  escrow.status = "released";
+  escrow.releasedAt = new Date();
+  escrow.releasedBy = releasedBy;
+};
+
+// Freeze a sub-order's held funds, e.g. while a dispute is open. Changes the
+// loaded order only; the caller saves it and records earnings.
+const freezeSubOrderEscrow = (subOrder, reason) => {
+  const escrow = subOrder.escrow;
+  if (escrow.status !== "held") {
+    throw new ServiceError(
+      escrow.status
+        ? `Funds for this part of the order are already ${escrow.status}`
+        : "No funds are held for this part of the order",
+      409
+    );
+  }
+
+  escrow.status = "frozen";
+  escrow.frozenAt = new Date();
+  escrow.frozenReason = reason;
+};
+
+// Lift a freeze: the funds are released if the goods were delivered
+// meanwhile, otherwise held again. Changes the loaded order only.
+const unfreezeSubOrderEscrow = (subOrder, releasedBy) => {
+  const escrow = subOrder.escrow;
+  if (escrow.status !== "frozen") {
+    throw new ServiceError(
+      "Funds for this part of the order are not frozen",
+      409
+    );
+  }
+
+  if (subOrder.status === "delivered") {
+    releaseEscrow(escrow, releasedBy);
+  } else {
+    escrow.status = "held";
+  }
+};
+
+// Admin actions on a sub-order's escrow: freeze held funds, unfreeze them
+// (releasing them if the goods were delivered meanwhile), or release early
+const updateEscrow = async ({ orderId, subOrderId, action, reason }) =>
+  withTransaction(async (session) => {
+    const order = await Order.findOne({
+      _id: orderId,
+      isActive: true,
+    }).session(session);
+    const subOrder = order && order.subOrders.id(subOrderId);
+
+    if (!subOrder) {
+      throw new ServiceError("Sub-order not found", 404);
+    }
+
+    const escrow = subOrder.escrow;
+    if (action === "freeze") {
+      freezeSubOrderEscrow(subOrder, reason);
+    } else if (action === "unfreeze") {
+      unfreezeSubOrderEscrow(subOrder, "admin");
+    } else {
+      if (!["held", "frozen"].includes(escrow.status)) {
+        throw new ServiceError(
+          escrow.status
+            ? `Funds for this sub-order are already ${escrow.status}`
+            : "No funds are held for this sub-order",
+          409
+        );
+      }
+      releaseEscrow(escrow, "admin");
+    }
+
+    await order.save({ session });
+    await recordOrderEarnings(order, session);
+    return order;
+  });
+
+// Scheduled job: shipped sub-orders whose buyer neither confirmed delivery
+// nor raised a problem within the release window are marked delivered,
+// which releases their funds to the farmer.
+const releaseDueEscrow = async () => {
+  const now = new Date();
+  const isDue = (subOrder) =>
+    subOrder.status === "shipped" &&
+    subOrder.escrow.status === "held" &&
+    subOrder.escrow.releaseAfter <= now;
+
+  const orders = await Order.find({
+    isActive: true,
+    subOrders: {
+      $elemMatch: {
+        status: "shipped",
+        "escrow.status": "held",
+        "escrow.releaseAfter": { $lte: now },
+      },
+    },
+  })
+    .select("_id")
+    .limit(RELEASE_BATCH_SIZE)
+    .lean();
+
+  let released = 0;
+  for (const { _id } of orders) {
+    try {
+      released += await withTransaction(async (session) => {
+        const order = await Order.findById(_id).session(session);
+        const previousStatus = order.status;
+        const due = order.subOrders.filter(isDue);
+
+        due.forEach((subOrder) => {
+          recordStatusChange(order, {
+            subOrder,
+            from: subOrder.status,
+            to: "delivered",
+            actorRole: "system",
+            note: "Marked delivered automatically; the buyer did not confirm or report a problem in time",
+          });
+          subOrder.status = "delivered";
+        });
+
+        if (order.syncStatusFromSubOrders() !== previousStatus) {
+          recordStatusChange(order, {
+            from: previousStatus,
+            to: order.status,
+            actorRole: "system",
+          });
+        }
+
+        await order.save({ session });
+        await recordOrderEarnings(order, session);
+        return due.length;
+      });
+    } catch (error) {
+      console.error(`Escrow auto-release failed for order ${_id}:`, error);
+    }
+  }
+
+  return released > 0 ? `released escrow on ${released} sub-order(s)` : null;
+};
+
+module.exports = {
+  freezeSubOrderEscrow,
+  unfreezeSubOrderEscrow,
+  updateEscrow,
+  releaseDueEscrow,
+};
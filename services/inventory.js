@@ -0,0 +1,493 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { notify } = require("./notifications");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Record a change to a product's stock. `product` is the product as it is
+// right after the change.
+const recordStockMovement = async (
+  product,
+  { type, change, variant, order, returnRequest, reason, user },
+  session
+) => {
+  const variantAfter = Product.findVariant(product, variant);
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: product._id,
+        farmer: product.farmer,
+        type,
+        change,
+        quantityAfter: product.quantity,
+        variant: variantAfter ? variantAfter._id : undefined,
+        variantQuantityAfter: variantAfter ? variantAfter.quantity : undefined,
+        order,
+        returnRequest,
+        reason,
+        createdBy: user ? user._id : undefined,
+      },
+    ],
+    { session }
+  );
+  return movement;
+};
+
+// Save a product's availability after its stock changed, see
+// Product#syncStockStatus. Only the stock fields are written, so concurrent
+// stock updates are not overwritten.
+const saveStockStatus = async (product, session) => {
+  if (product && product.syncStockStatus()) {
+    await product.save({ session, validateModifiedOnly: true });
+  }
+  return product;
+};
+
+// Re-check a product's availability after its quantity was changed directly
+const syncStockStatus = async (productId, session) => {
+  const product = await Product.findById(productId)
+    .select("quantity isAvailable lowStockThreshold stockStatus")
+    .session(session);
+  return saveStockStatus(product, session);
+};
+
+// The variant a buyer picked of a product. A product with variants is only
+// sold as one of them, and one without cannot be given a variant.
+const resolveVariant = (product, variantId) => {
+  const hasVariants = Boolean(product.variants && product.variants.length > 0);
+  if (!variantId) {
+    if (hasVariants) {
+      throw new ServiceError(`Choose a variant of ${product.name}`);
+    }
+    return null;
+  }
+
+  const variant = Product.findVariant(product, variantId);
+  if (!variant) {
+    throw new ServiceError(`Variant ${variantId} of ${product.name} not found`);
+  }
+  return variant;
+};
+
+// Filter and $inc update for changing the stock of a product, or of one of
+// its variants together with the product's total
+const stockChange = (productId, variantId, change, variantMatch = {}) =>
+  variantId
+    ? {
+        filter: {
+          _id: productId,
+          variants: { $elemMatch: { _id: variantId, ...variantMatch } },
+        },
+        update: { $inc: { quantity: change, "variants.$.quantity": change } },
+      }
+    : {
+        filter: { _id: productId, "variants.0": { $exists: false } },
+        update: { $inc: { quantity: change } },
+      };
+
+// Once a harvest is in, the stock still reserved by pre-orders waiting to
+// be converted is held back from other buyers
+const notHeldForPreOrders = (quantity) => ({
+  $or: [
+    { "preOrder.harvestedAt": null },
+    {
+      $expr: {
+        $gte: [
+          {
+            $subtract: [
+              "$quantity",
+              { $ifNull: ["$preOrder.reservedQuantity", 0] },
+            ],
+          },
+          quantity,
+        ],
+      },
+    },
+  ],
+});
+
+// Atomically take `quantity` units of a product (or of `movement.variant`)
+// out of stock. The decrement only matches while enough stock remains, so
+// concurrent buyers can never oversell; a failed match raises a
+// ServiceError that aborts the transaction. Taking the last units hides the
+// listing until it is restocked. The movement is recorded as
+// `movement.type` (an order by default). Only the order converting a
+// pre-order (`movement.preOrder`) may take stock held for reservations.
+const reserveStock = async (productId, quantity, session, movement = {}) => {
+  const { preOrder, ...stockMovement } = movement;
+  const { filter, update } = stockChange(
+    productId,
+    stockMovement.variant,
+    -quantity,
+    { isAvailable: true, quantity: { $gte: quantity } }
+  );
+  const product = await Product.findOneAndUpdate(
+    {
+      ...filter,
+      ...(preOrder ? {} : notHeldForPreOrders(quantity)),
+      isActive: true,
+      isApproved: true,
+      isAvailable: true,
+      quantity: { $gte: quantity },
+    },
+    update,
+    { new: true, session }
+  );
+
+  if (product) {
+    await recordStockMovement(
+      product,
+      { type: "order", ...stockMovement, change: -quantity },
+      session
+    );
+    return saveStockStatus(product, session);
+  }
+
+  const existing = await Product.findById(productId)
+    .select("name quantity variants isActive isApproved isAvailable")
+    .session(session);
+
+  if (
+    !existing ||
+    !existing.isActive ||
+    !existing.isApproved ||
+    !existing.isAvailable
+  ) {
+    throw new ServiceError(`Product ${productId} is not available`);
+  }
+
+  const variant = resolveVariant(existing, stockMovement.variant);
+  const name = Product.getItemName(existing, variant);
+  if (variant && !variant.isAvailable) {
+    throw new ServiceError(`${name} is not available`);
+  }
+
+  throw new ServiceError(`Insufficient quantity for product: ${name}`);
+};
+
+// Add `quantity` units to a product's stock (or to `movement.variant`),
+// recorded as `movement.type`. Returns null when the product or variant
+// no longer exists.
+const addStock = async (productId, quantity, movement, session) => {
+  const { filter, update } = stockChange(productId, movement.variant, quantity);
+  const product = await Product.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+  });
+  if (!product) {
+    return null;
+  }
+
+  await recordStockMovement(
+    product,
+    { ...movement, change: quantity },
+    session
+  );
+  return saveStockStatus(product, session);
+};
+
+// Put the quantities of the given order items back into stock, recorded as
+// `movement.type` (a cancellation or a return)
+const restockItems = async (items, session, movement) => {
+  for (const item of items) {
+    await addStock(
+      item.product._id || item.product,
+      item.quantity,
+      { ...movement, variant: item.variant },
+      session
+    );
+  }
+};
+
+// Apply a farmer's stock change inside `session`, see adjustStock
+const applyStockAdjustment = async (
+  { productId, variantId, user, type, quantity, reason },
+  session
+) => {
+  const product = await Product.findOne({ _id: productId, isActive: true })
+    .select("name unit quantity variants farmer")
+    .session(session);
+  if (!product) {
+    throw new ServiceError("Product not found", 404);
+  }
+  if (!product.farmer.equals(user._id)) {
+    throw new ServiceError(
+      "Access denied. You can only adjust stock of your own products.",
+      403
+    );
+  }
+
+  const variant = resolveVariant(product, variantId);
+  const stock = variant || product;
+
+  let change = quantity;
+  if (type === "spoilage") change = -quantity;
+  if (type === "count") change = quantity - stock.quantity;
+  if (change === 0 && type !== "count") {
+    throw new ServiceError("The stock change cannot be zero");
+  }
+  if (stock.quantity + change < 0) {
+    throw new ServiceError(
+      `Only ${stock.quantity} ${product.unit} of ${Product.getItemName(
+        product,
+        variant
+      )} is in stock`
+    );
+  }
+
+  // Only matches if no order took stock since it was read
+  const { filter, update } = stockChange(
+    product._id,
+    variant && variant._id,
+    change,
+    { quantity: stock.quantity }
+  );
+  const updated = await Product.findOneAndUpdate(
+    variant ? filter : { ...filter, quantity: product.quantity },
+    update,
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new ServiceError(
+      "Stock changed while saving. Please try again.",
+      409
+    );
+  }
+
+  const movement = await recordStockMovement(
+    updated,
+    { type, change, variant: variant && variant._id, reason, user },
+    session
+  );
+  await saveStockStatus(updated, session);
+  return { product: updated, movement };
+};
+
+// A farmer's own change to a product's stock: `intake` adds `quantity`
+// units, `spoilage` removes them, `adjustment` adds a signed `quantity` and
+// `count` sets stock to what was counted on the ground. The movement
+// records the difference. A product with variants is adjusted one variant
+// at a time. Runs in its own transaction unless given the caller's
+// `session`, so it can be saved together with other changes.
+const adjustStock = async (adjustment, session) =>
+  session
+    ? applyStockAdjustment(adjustment, session)
+    : withTransaction((ownSession) =>
+        applyStockAdjustment(adjustment, ownSession)
+      );
+
+// Stock report for a farmer's products over a period: opening stock, the
+// movements in the period by type, and closing stock. Opening and closing
+// are worked back from today's quantity, so they hold even for stock that
+// predates the movement history.
+const getStockReport = async (farmerId, { from, to } = {}) => {
+  const farmer = new mongoose.Types.ObjectId(farmerId);
+  const products = await Product.find({ farmer, isActive: true })
+    .select("name unit quantity")
+    .sort({ name: 1 })
+    .lean();
+
+  const match = { farmer };
+  if (from) match.createdAt = { $gte: from };
+  const totals = await StockMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { product: "$product", type: "$type" },
+        inPeriod: {
+          $sum: {
+            $cond: [to ? { $lte: ["$createdAt", to] } : true, "$change", 0],
+          },
+        },
+        afterPeriod: {
+          $sum: {
+            $cond: [to ? { $gt: ["$createdAt", to] } : false, "$change", 0],
+          },
+        },
+      },
+    },
+  ]);
+
+  const rows = products.map((product) => ({
+    product: product._id,
+    name: product.name,
+    unit: product.unit,
+    currentQuantity: product.quantity,
+    movements: {},
+    netChange: 0,
+    afterPeriod: 0,
+  }));
+  const rowsById = new Map(rows.map((row) => [row.product.toString(), row]));
+  totals.forEach((total) => {
+    const row = rowsById.get(total._id.product.toString());
+    if (!row) return;
+    if (total.inPeriod !== 0) row.movements[total._id.type] = total.inPeriod;
+    row.netChange += total.inPeriod;
+    row.afterPeriod += total.afterPeriod;
+  });
+
+  return rows.map(({ afterPeriod, ...row }) => {
+    const closing = row.currentQuantity - afterPeriod;
+    return {
+      ...row,
+      openingQuantity: closing - row.netChange,
+      closingQuantity: closing,
+    };
+  });
+};
+
+// Aggregation condition for a product with a variant on sale that sold out
+// or fell to the product's low-stock threshold without being alerted yet
+const variantAlertDue = (threshold) => ({
+  $anyElementTrue: [
+    {
+      $map: {
+        input: { $ifNull: ["$variants", []] },
+        as: "variant",
+        in: {
+          $and: [
+            { $ne: ["$$variant.isAvailable", false] },
+            {
+              $or: [
+                {
+                  $and: [
+                    { $lte: ["$$variant.quantity", 0] },
+                    { $not: ["$$variant.stockStatus.soldOutAlertedAt"] },
+                  ],
+                },
+                {
+                  $and: [
+                    { $gt: ["$$variant.quantity", 0] },
+                    { $lte: ["$$variant.quantity", threshold] },
+                    { $not: ["$$variant.stockStatus.lowStockAlertedAt"] },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+  ],
+});
+
+// Scheduled job: tell farmers about listings that sold out or fell to their
+// low-stock threshold, once per drop. A product with variants is alerted
+// per variant, so one size or breed selling out is reported while the
+// others still sell. Products on pre-order have no stock yet and are left
+// out.
+const sendStockAlerts = async () => {
+  const threshold = {
+    $ifNull: ["$lowStockThreshold", Product.getDefaultLowStockThreshold()],
+  };
+  const products = await Product.find({
+    isActive: true,
+    "preOrder.isEnabled": { $ne: true },
+    "variants.0": { $exists: false },
+    $or: [
+      {
+        "stockStatus.soldOutAt": { $ne: null },
+        "stockStatus.soldOutAlertedAt": null,
+      },
+      {
+        quantity: { $gt: 0 },
+        "stockStatus.lowStockAlertedAt": null,
+        $expr: { $lte: ["$quantity", threshold] },
+      },
+    ],
+  }).select("name unit quantity farmer lowStockThreshold stockStatus");
+
+  let soldOut = 0;
+  let low = 0;
+  for (const product of products) {
+    const now = new Date();
+    if (product.quantity <= 0) {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { "stockStatus.soldOutAlertedAt": now } }
+      );
+      await notify(product.farmer, {
+        type: "stock_out",
+        title: `${product.name} is sold out`,
+        message:
+          "The listing is hidden from buyers until you add stock, and shows again automatically once you do.",
+        product: product._id,
+      });
+      soldOut += 1;
+    } else {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { "stockStatus.lowStockAlertedAt": now } }
+      );
+      await notify(product.farmer, {
+        type: "stock_low",
+        title: `${product.name} is running low`,
+        message: `Only ${product.quantity} ${product.unit} left in stock.`,
+        product: product._id,
+      });
+      low += 1;
+    }
+  }
+
+  const withVariants = await Product.find({
+    isActive: true,
+    $expr: variantAlertDue(threshold),
+  }).select("name unit farmer lowStockThreshold variants");
+
+  for (const product of withVariants) {
+    const lowStockThreshold = Product.getLowStockThreshold(product);
+    for (const variant of product.variants) {
+      if (!variant.isAvailable) continue;
+      const status = variant.stockStatus || {};
+      const name = Product.getItemName(product, variant);
+      const alerted = (field) =>
+        Product.updateOne(
+          { _id: product._id, "variants._id": variant._id },
+          { $set: { [`variants.$.stockStatus.${field}`]: new Date() } }
+        );
+
+      if (variant.quantity <= 0 && !status.soldOutAlertedAt) {
+        await alerted("soldOutAlertedAt");
+        await notify(product.farmer, {
+          type: "stock_out",
+          title: `${name} is sold out`,
+          message:
+            "Buyers cannot order this variant until you add stock to it.",
+          product: product._id,
+        });
+        soldOut += 1;
+      } else if (
+        variant.quantity > 0 &&
+        variant.quantity <= lowStockThreshold &&
+        !status.lowStockAlertedAt
+      ) {
+        await alerted("lowStockAlertedAt");
+        await notify(product.farmer, {
+          type: "stock_low",
+          title: `${name} is running low`,
+          message: `Only ${variant.quantity} ${product.unit} left in stock.`,
+          product: product._id,
+        });
+        low += 1;
+      }
+    }
+  }
+
+  return soldOut + low > 0
+    ? `sent ${soldOut} sold-out and ${low} low-stock alert(s)`
+    : null;
+};
+
+module.exports = {
+  resolveVariant,
+  recordStockMovement,
+  reserveStock,
+  addStock,
+  restockItems,
+  adjustStock,
+  getStockReport,
+  saveStockStatus,
+  syncStockStatus,
+  sendStockAlerts,
+};
@@ -0,0 +1,221 @@
+const PDFDocument = require("pdfkit");
+
+const TITLES = {
+  invoice: "INVOICE",
+  receipt: "RECEIPT",
+};
+
+const PAYMENT_METHODS = {
+  mpesa: "M-Pesa",
+  cash: "Cash",
+  bank_transfer: "Bank transfer",
+  other: "Other",
+};
+
+const formatMoney = (amount) =>
+  `KSh ${Number(amount).toLocaleString("en-KE", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-KE", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// Table column positions (x, width) on an A4 page with 50pt margins
+const COLUMNS = {
+  description: [50, 235],
+  quantity: [285, 60],
+  unitPrice: [345, 100],
+  amount: [445, 100],
+};
+
+const writeParty = (doc, heading, party, x, y) => {
+  doc.font("Helvetica-Bold").fontSize(10).text(heading, x, y);
+  doc.font("Helvetica").fontSize(9);
+  [
+    party.name,
+    party.address,
+    party.phone,
+    party.email,
+    party.kraPin ? `KRA PIN: ${party.kraPin}` : null,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, x, doc.y, { width: 230 }));
+};
+
+const writeRow = (doc, row, y, font = "Helvetica") => {
+  doc.font(font).fontSize(9);
+  doc.text(row.description, COLUMNS.description[0], y, {
+    width: COLUMNS.description[1] - 10,
+  });
+  const rowBottom = doc.y;
+  ["quantity", "unitPrice", "amount"].forEach((column) => {
+    doc.text(row[column], COLUMNS[column][0], y, {
+      width: COLUMNS[column][1],
+      align: "right",
+    });
+  });
+  return Math.max(rowBottom, doc.y) + 4;
+};
+
+const writeTotal = (doc, label, value, y, bold = false) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 11 : 9);
+  doc.text(label, COLUMNS.unitPrice[0] - 60, y, {
+    width: COLUMNS.unitPrice[1] + 60,
+    align: "right",
+  });
+  doc.text(value, COLUMNS.amount[0], y, {
+    width: COLUMNS.amount[1],
+    align: "right",
+  });
+  return doc.y + 4;
+};
+
+// Render an issued invoice or receipt as a PDF into a writable stream
+const renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  doc.info.Title = `${TITLES[invoice.type]} ${invoice.number}`;
+
+  // Header
+  doc.font("Helvetica-Bold").fontSize(18).text(TITLES[invoice.type], 50, 50);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`No: ${invoice.number}`, 350, 50, { width: 195, align: "right" });
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`, 350, doc.y, {
+    width: 195,
+    align: "right",
+  });
+  doc.text(`Order: ${invoice.orderNumber}`, 350, doc.y, {
+    width: 195,
+    align: "right",
+  });
+
+  // Parties
+  const partiesTop = 120;
+  writeParty(doc, "From", invoice.seller, 50, partiesTop);
+  const sellerBottom = doc.y;
+  writeParty(doc, "Bill to", invoice.buyer, 315, partiesTop);
+  const buyerBottom = doc.y;
+
+  let y = Math.max(sellerBottom, buyerBottom) + 15;
+  const address = invoice.shippingAddress || {};
+  doc.font("Helvetica-Bold").fontSize(10).text("Deliver to", 50, y);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(
+      [
+        address.specificLocation,
+        address.ward,
+        address.subCounty,
+        address.county,
+      ]
+        .filter(Boolean)
+        .join(", "),
+      50,
+      doc.y,
+      { width: 495 }
+    );
+  if (address.contactPhone) {
+    doc.text(`Contact: ${address.contactPhone}`, 50, doc.y);
+  }
+
+  // Items
+  y = doc.y + 20;
+  y = writeRow(
+    doc,
+    {
+      description: "Description",
+      quantity: "Qty",
+      unitPrice: "Unit price",
+      amount: "Amount",
+    },
+    y,
+    "Helvetica-Bold"
+  );
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 6;
+
+  invoice.lines.forEach((line) => {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    y = writeRow(
+      doc,
+      {
+        description: line.description,
+        quantity: line.unit ? `${line.quantity} ${line.unit}` : line.quantity,
+        unitPrice: formatMoney(line.unitPrice),
+        amount: formatMoney(line.amount),
+      },
+      y
+    );
+  });
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 8;
+
+  // Keep totals and payment details together above the footer
+  if (y > 640) {
+    doc.addPage();
+    y = 50;
+  }
+
+  // Totals
+  y = writeTotal(doc, "Items", formatMoney(invoice.itemsTotal), y);
+  if (invoice.discount > 0) {
+    y = writeTotal(
+      doc,
+      `Discount (${invoice.couponCode})`,
+      `-${formatMoney(invoice.discount)}`,
+      y
+    );
+  }
+  y = writeTotal(doc, "Delivery", formatMoney(invoice.deliveryFee), y);
+  y = writeTotal(doc, "Total", formatMoney(invoice.totalAmount), y + 2, true);
+
+  // Payment
+  y += 20;
+  doc.font("Helvetica-Bold").fontSize(10).text("Payment", 50, y);
+  doc.font("Helvetica").fontSize(9);
+  doc.text(
+    `Method: ${
+      PAYMENT_METHODS[invoice.paymentMethod] || invoice.paymentMethod
+    }`,
+    50,
+    doc.y
+  );
+  if (invoice.paymentReference) {
+    doc.text(`Reference: ${invoice.paymentReference}`, 50, doc.y);
+  }
+  doc.text(
+    invoice.type === "receipt"
+      ? `Received with thanks: ${formatMoney(invoice.totalAmount)}`
+      : `Status: ${invoice.paymentStatus}`,
+    50,
+    doc.y
+  );
+
+  doc
+    .fontSize(8)
+    .fillColor("#666666")
+    .text(
+      "All amounts are in Kenya Shillings. This document was generated electronically and is valid without a signature.",
+      50,
+      770,
+      { width: 495, align: "center" }
+    );
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderInvoicePdf,
+};
@@ -0,0 +1,160 @@
+const Counter = require("../models/Counter");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const { roundAmount } = require("./ledger");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+const DOCUMENT_PREFIXES = {
+  invoice: "INV",
+  receipt: "RCT",
+};
+
+const PAID_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+// The platform's details, shown as the seller on whole-order documents
+const getBusinessDetails = () => ({
+  name: process.env.BUSINESS_NAME || "FarmConnect Kenya",
+  kraPin: process.env.BUSINESS_KRA_PIN || "",
+  address: process.env.BUSINESS_ADDRESS || "",
+  phone: process.env.BUSINESS_PHONE || "",
+  email: process.env.BUSINESS_EMAIL || "",
+});
+
+// Invoices and receipts are numbered separately and restart each year,
+// e.g. INV-2026-000042
+const formatDocumentNumber = (type, year, seq) =>
+  `${DOCUMENT_PREFIXES[type]}-${year}-${String(seq).padStart(6, "0")}`;
+
+const formatLocation = (location) =>
+  location
+    ? [location.ward, location.subCounty, location.county]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+const toParty = (user) => ({
+  name: `${user.firstName} ${user.lastName}`,
+  phone: user.phone,
+  email: user.email,
+  address: formatLocation(user.location),
+});
+
+// Snapshot of what a document covers: the whole order, or one farmer's
+// items, coupon discount and delivery fee
+const buildDocumentContent = (order, farmerId) => {
+  const subOrder = farmerId ? order.getSubOrder(farmerId) : null;
+  if (farmerId && !subOrder) {
+    throw new ServiceError("This farmer has no items on the order", 404);
+  }
+  if ((subOrder || order).status === "cancelled") {
+    throw new ServiceError("Cannot issue documents for a cancelled order");
+  }
+
+  const items = subOrder ? order.getSubOrderItems(subOrder) : order.items;
+  const showFarmer = !subOrder && order.subOrders.length > 1;
+
+  const lines = items.map((item) => {
+    const product = item.product || {};
+    const name = item.variantName
+      ? `${product.name || "Product"} - ${item.variantName}`
+      : product.name || "Product";
+    return {
+      description:
+        showFarmer && item.farmer.firstName
+          ? `${name} (${item.farmer.firstName} ${item.farmer.lastName})`
+          : name,
+      farmer: item.farmer._id || item.farmer,
+      quantity: item.quantity,
+      unit: product.unit,
+      unitPrice: item.price,
+      amount: roundAmount(item.price * item.quantity),
+    };
+  });
+
+  const itemsTotal = roundAmount(
+    lines.reduce((sum, line) => sum + line.amount, 0)
+  );
+  const deliveryFee = subOrder ? subOrder.deliveryFee : order.deliveryFee;
+  const discount = subOrder ? subOrder.discount : order.discountAmount;
+
+  return {
+    seller: subOrder ? toParty(items[0].farmer) : getBusinessDetails(),
+    lines,
+    itemsTotal,
+    discount,
+    couponCode: discount > 0 ? order.coupon.code : undefined,
+    deliveryFee,
+    totalAmount: roundAmount(itemsTotal - discount + deliveryFee),
+  };
+};
+
+// Issue (or fetch the already issued) invoice or receipt for an order, or
+// for one farmer's slice of it. The number is taken from a yearly counter
+// in the same transaction as the document, so numbers have no gaps.
+const issueDocument = async ({ orderId, type, farmerId = null, user }) => {
+  const key = { order: orderId, farmer: farmerId, type };
+
+  const existing = await Invoice.findOne(key);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await withTransaction(async (session) => {
+      const order = await Order.findOne({ _id: orderId, isActive: true })
+        .populate("buyer", "firstName lastName phone email location")
+        .populate("items.product", "name unit")
+        .populate("items.farmer", "firstName lastName phone email location")
+        .session(session);
+
+      if (!order) {
+        throw new ServiceError("Order not found", 404);
+      }
+      if (type === "receipt" && !PAID_STATUSES.includes(order.paymentStatus)) {
+        throw new ServiceError(
+          "A receipt is only available once the order is paid",
+          409
+        );
+      }
+
+      const content = buildDocumentContent(order, farmerId);
+      const issuedAt = new Date();
+      const year = issuedAt.getFullYear();
+      const seq = await Counter.next(`${type}-${year}`, session);
+
+      const [invoice] = await Invoice.create(
+        [
+          {
+            ...key,
+            ...content,
+            number: formatDocumentNumber(type, year, seq),
+            orderNumber: order.orderNumber,
+            buyer: toParty(order.buyer),
+            shippingAddress: order.shippingAddress,
+            paymentMethod: order.paymentMethod,
+            paymentReference: order.paymentReference,
+            paymentStatus: order.paymentStatus,
+            issuedBy: user._id,
+            issuedAt,
+          },
+        ],
+        { session }
+      );
+      return invoice;
+    });
+  } catch (error) {
+    // Issued concurrently by another request; return that one
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne(key);
+      if (issued) return issued;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getBusinessDetails,
+  formatDocumentNumber,
+  issueDocument,
+};
@@ -0,0 +1,315 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+
+// Share of each sale kept by the platform, e.g. 0.05 for 5%
+const getCommissionRate = () => {
+  const rate = parseFloat(process.env.PLATFORM_COMMISSION_RATE);
+  return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : 0.05;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const ESCROWED = ["held", "frozen"];
+
+// Credit farmers for every delivered sub-order of a paid order, minus the
+// platform commission. Safe to call repeatedly: each sub-order is only
+// credited once. Refunds approved before crediting are left out of the sale.
+// Farmers deliver their own sub-orders, so the delivery fee is credited to
+// them too; commission is only charged on the goods. Cash a farmer collected
+// on delivery is debited, so they only owe the commission on it.
+// Prepaid sub-orders are credited as soon as they are paid, with the entries
+// following the sub-order's escrow; held entries of a cancelled sub-order
+// were never the farmer's and are removed. A coupon discount the farmer
+// funded comes off their sale; one the platform funded does not.
+const recordOrderEarnings = async (order, session) => {
+  if (
+    !["paid", "partially_refunded", "refunded"].includes(order.paymentStatus)
+  ) {
+    return;
+  }
+
+  const rate = getCommissionRate();
+  const farmerFunded = Boolean(
+    order.coupon && order.coupon.fundedBy === "farmer"
+  );
+
+  for (const subOrder of order.subOrders) {
+    const key = { order: order._id, subOrder: subOrder._id };
+    const escrow = subOrder.escrow || {};
+
+    if (escrow.status === "cancelled") {
+      await LedgerEntry.deleteMany(
+        {
+          ...key,
+          type: { $in: ["sale", "commission"] },
+          escrow: { $in: ESCROWED },
+        },
+        { session }
+      );
+      continue;
+    }
+    if (!escrow.status && subOrder.status !== "delivered") continue;
+
+    const goods = roundAmount(
+      subOrder.subtotal -
+        (farmerFunded ? subOrder.discount : 0) -
+        subOrder.refundedAmount
+    );
+    const commission = roundAmount(goods * rate);
+    const escrowUpdate = escrow.status
+      ? {
+          $set: {
+            escrow: escrow.status,
+            releasedAt: escrow.releasedAt || null,
+          },
+        }
+      : {};
+
+    await LedgerEntry.updateOne(
+      { ...key, type: "sale" },
+      {
+        ...escrowUpdate,
+        $setOnInsert: {
+          farmer: subOrder.farmer,
+          amount: roundAmount(goods + subOrder.deliveryFee),
+          description: subOrder.deliveryFee
+            ? `Sale on order ${order.orderNumber} (incl. KSh ${subOrder.deliveryFee} delivery)`
+            : `Sale on order ${order.orderNumber}`,
+        },
+      },
+      { upsert: true, session }
+    );
+
+    await LedgerEntry.updateOne(
+      { ...key, type: "commission" },
+      {
+        ...escrowUpdate,
+        $setOnInsert: {
+          farmer: subOrder.farmer,
+          amount: -commission,
+          commissionRate: rate,
+          description: `Platform commission (${roundAmount(
+            rate * 100
+          )}%) on order ${order.orderNumber}`,
+        },
+      },
+      { upsert: true, session }
+    );
+
+    const cash = (order.cashCollections || []).find((collection) =>
+      collection.subOrder.equals(subOrder._id)
+    );
+    if (cash) {
+      await LedgerEntry.updateOne(
+        { ...key, type: "cash_collection" },
+        {
+          $setOnInsert: {
+            farmer: subOrder.farmer,
+            amount: -roundAmount(cash.amount),
+            description: `Cash collected on delivery of order ${order.orderNumber}`,
+            createdBy: cash.collectedBy,
+          },
+        },
+        { upsert: true, session }
+      );
+    }
+  }
+};
+
+// Take a refund (from an approved return or a resolved dispute) back out of
+// the farmer's earnings, net of the commission charged on it. Only
+// sub-orders that were already credited need this; later credits leave the
+// refund out themselves.
+const recordRefund = async (
+  order,
+  subOrder,
+  { refundAmount, returnRequest, dispute, createdBy },
+  session
+) => {
+  const commission = await LedgerEntry.findOne({
+    order: order._id,
+    subOrder: subOrder._id,
+    type: "commission",
+  }).session(session);
+  if (!commission) {
+    return null;
+  }
+
+  const rate = commission.commissionRate || 0;
+  const refund = roundAmount(refundAmount);
+  const amount = roundAmount(refund - roundAmount(refund * rate));
+
+  const [entry] = await LedgerEntry.create(
+    [
+      {
+        farmer: subOrder.farmer,
+        type: "refund",
+        amount: -amount,
+        order: order._id,
+        subOrder: subOrder._id,
+        returnRequest,
+        dispute,
+        commissionRate: rate,
+        description: `Refund of KSh ${refund} on order ${order.orderNumber}, less commission`,
+        createdBy,
+      },
+    ],
+    { session }
+  );
+  return entry;
+};
+
+// Balance summary for a farmer (cashCollected is cash they kept on delivery):
+//   available     - earnings not yet claimed by a payout batch
+//   pendingPayout - earnings claimed by a batch that has not paid out yet
+//   paidOut       - total paid out to the farmer
+//   balance       - everything still owed (available + pendingPayout)
+//   held, frozen  - net sales in escrow, not yet part of the balance
+const getFarmerBalance = async (farmerId) => {
+  const farmer = new mongoose.Types.ObjectId(farmerId);
+
+  const inEscrow = await LedgerEntry.aggregate([
+    { $match: { farmer, escrow: { $in: ESCROWED } } },
+    { $group: { _id: "$escrow", total: { $sum: "$amount" } } },
+  ]);
+  const escrowTotal = (status) => {
+    const group = inEscrow.find((item) => item._id === status);
+    return group ? roundAmount(group.total) : 0;
+  };
+
+  const [summary] = await LedgerEntry.aggregate([
+    { $match: { farmer, escrow: { $nin: ESCROWED } } },
+    {
+      $group: {
+        _id: null,
+        earned: {
+          $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$amount", 0] },
+        },
+        commission: {
+          $sum: { $cond: [{ $eq: ["$type", "commission"] }, "$amount", 0] },
+        },
+        refunded: {
+          $sum: { $cond: [{ $eq: ["$type", "refund"] }, "$amount", 0] },
+        },
+        cashCollected: {
+          $sum: {
+            $cond: [{ $eq: ["$type", "cash_collection"] }, "$amount", 0],
+          },
+        },
+        paidOut: {
+          $sum: { $cond: [{ $eq: ["$type", "payout"] }, "$amount", 0] },
+        },
+        available: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ["$type", "payout"] },
+                  { $eq: ["$payout", null] },
+                ],
+              },
+              "$amount",
+              0,
+            ],
+          },
+        },
+        balance: { $sum: "$amount" },
+      },
+    },
+  ]);
+
+  if (!summary) {
+    return {
+      earned: 0,
+      commission: 0,
+      refunded: 0,
+      cashCollected: 0,
+      paidOut: 0,
+      available: 0,
+      pendingPayout: 0,
+      balance: 0,
+      held: escrowTotal("held"),
+      frozen: escrowTotal("frozen"),
+    };
+  }
+
+  return {
+    earned: roundAmount(summary.earned),
+    commission: roundAmount(-summary.commission),
+    refunded: roundAmount(-summary.refunded),
+    cashCollected: roundAmount(-summary.cashCollected),
+    paidOut: roundAmount(-summary.paidOut),
+    available: roundAmount(summary.available),
+    pendingPayout: roundAmount(summary.balance - summary.available),
+    balance: roundAmount(summary.balance),
+    held: escrowTotal("held"),
+    frozen: escrowTotal("frozen"),
+  };
+};
+
+// Ledger entries for a farmer in a date range with running balance,
+// oldest first, plus the balance brought forward from before `from`.
+// Escrowed sales are left out until released, and dated by their release.
+const getStatement = async (farmerId, { from, to } = {}) => {
+  const farmer = new mongoose.Types.ObjectId(farmerId);
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+
+  const postedWithin = (dates) => ({
+    $or: [{ releasedAt: dates }, { releasedAt: null, createdAt: dates }],
+  });
+  const postedAt = (entry) => entry.releasedAt || entry.createdAt;
+
+  let openingBalance = 0;
+  if (from) {
+    const [opening] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          farmer,
+          escrow: { $nin: ESCROWED },
+          ...postedWithin({ $lt: from }),
+        },
+      },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    openingBalance = opening ? roundAmount(opening.total) : 0;
+  }
+
+  const filter = { farmer, escrow: { $nin: ESCROWED } };
+  if (from || to) Object.assign(filter, postedWithin(range));
+
+  const entries = await LedgerEntry.find(filter)
+    .populate("order", "orderNumber")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  entries.sort((a, b) => postedAt(a) - postedAt(b));
+
+  let running = openingBalance;
+  const lines = entries.map((entry) => {
+    running = roundAmount(running + entry.amount);
+    return {
+      date: postedAt(entry),
+      type: entry.type,
+      description: entry.description,
+      orderNumber: entry.order ? entry.order.orderNumber : "",
+      amount: entry.amount,
+      balance: running,
+    };
+  });
+
+  return {
+    openingBalance,
+    closingBalance: running,
+    lines,
+  };
+};
+
+module.exports = {
+  getCommissionRate,
+  roundAmount,
+  recordOrderEarnings,
+  recordRefund,
+  getFarmerBalance,
+  getStatement,
+};
@@ -0,0 +1,444 @@
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+const { ServiceError } = require("../utils/errors");
+
+const DARAJA_URLS = {
+  sandbox: "https://sandbox.safaricom.co.ke",
+  production: "https://api.safaricom.co.ke",
+};
+
+// Raised when Daraja rejects a request or cannot be reached
+class MpesaError extends ServiceError {
+  constructor(message, statusCode = 502, details) {
+    super(message, statusCode, details);
+    this.name = "MpesaError";
+  }
+}
+
+// Convert 07XXXXXXXX / +2547XXXXXXXX into the 2547XXXXXXXX format Daraja expects
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+  if (/^0[17]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^[17]\d{8}$/.test(digits)) return `254${digits}`;
+  return null;
+};
+
+// Daraja timestamps are YYYYMMDDHHmmss in East Africa Time (UTC+3)
+const getTimestamp = (date = new Date()) => {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[^0-9]/g, "").slice(0, 14);
+};
+
+// Parse the yyyyMMddHHmmss transaction date Daraja sends in callbacks
+const parseTransactionDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(
+    String(value || "")
+  );
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`
+  );
+};
+
+// Minimal JSON over HTTP(S) helper so the adapter has no extra dependencies
+const requestJson = (method, url, { headers = {}, body, timeout } = {}) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "http:" ? http : https;
+    const payload = body ? JSON.stringify(body) : null;
+
+    const req = transport.request(
+      target,
+      {
+        method,
+        timeout,
+        headers: {
+          Accept: "application/json",
+          ...(payload
+            ? {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(payload),
+              }
+            : {}),
+          ...headers,
+        },
+      },
+      (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => {
+          let parsed;
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (error) {
+            parsed = { raw: data };
+          }
+
+          if (res.statusCode >= 400) {
+            return reject(
+              new MpesaError(
+                parsed.errorMessage ||
+                  `Daraja request failed with status ${res.statusCode}`,
+                502,
+                parsed
+              )
+            );
+          }
+          resolve(parsed);
+        });
+      }
+    );
+
+    req.on("timeout", () => {
+      req.destroy(new MpesaError("Daraja request timed out", 504));
+    });
+    req.on("error", (error) => {
+      reject(
+        error instanceof MpesaError
+          ? error
+          : new MpesaError(`Unable to reach Daraja: ${error.message}`)
+      );
+    });
+
+    if (payload) req.write(payload);
+    req.end();
+  });
+
+// Safaricom Daraja adapter. Every call the payment flow needs goes through
+// this class, so pointing `baseUrl` at a mock server exercises the full flow.
+class DarajaProvider {
+  constructor(config = {}) {
+    this.name = "daraja";
+    this.baseUrl = (
+      config.baseUrl ||
+      DARAJA_URLS[config.environment] ||
+      DARAJA_URLS.sandbox
+    ).replace(/\/$/, "");
+    this.consumerKey = config.consumerKey;
+    this.consumerSecret = config.consumerSecret;
+    this.shortcode = config.shortcode;
+    this.passkey = config.passkey;
+    this.callbackUrl = config.callbackUrl;
+    this.transactionType = config.transactionType || "CustomerPayBillOnline";
+    this.b2cShortcode = config.b2cShortcode || config.shortcode;
+    this.initiatorName = config.initiatorName;
+    this.securityCredential = config.securityCredential;
+    this.b2cResultUrl = config.b2cResultUrl;
+    this.b2cTimeoutUrl = config.b2cTimeoutUrl || config.b2cResultUrl;
+    this.timeout = config.timeout || 30000;
+    this.cachedToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return Boolean(
+      this.consumerKey &&
+        this.consumerSecret &&
+        this.shortcode &&
+        this.passkey &&
+        this.callbackUrl
+    );
+  }
+
+  isB2CConfigured() {
+    return Boolean(
+      this.consumerKey &&
+        this.consumerSecret &&
+        this.b2cShortcode &&
+        this.initiatorName &&
+        this.securityCredential &&
+        this.b2cResultUrl
+    );
+  }
+
+  async getAccessToken() {
+    if (this.cachedToken && Date.now() < this.tokenExpiresAt) {
+      return this.cachedToken;
+    }
+
+    const credentials = Buffer.from(
+      `${this.consumerKey}:${this.consumerSecret}`
+    ).toString("base64");
+
+    const response = await requestJson(
+      "GET",
+      `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      {
+        headers: { Authorization: `Basic ${credentials}` },
+        timeout: this.timeout,
+      }
+    );
+
+    if (!response.access_token) {
+      throw new MpesaError("Daraja did not return an access token");
+    }
+
+    // Refresh a minute before Daraja expires the token
+    const expiresIn = parseInt(response.expires_in) || 3599;
+    this.cachedToken = response.access_token;
+    this.tokenExpiresAt = Date.now() + (expiresIn - 60) * 1000;
+    return this.cachedToken;
+  }
+
+  async authorizedRequest(path, body) {
+    const token = await this.getAccessToken();
+    return requestJson("POST", `${this.baseUrl}${path}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      body,
+      timeout: this.timeout,
+    });
+  }
+
+  buildPassword(timestamp) {
+    return Buffer.from(
+      `${this.shortcode}${this.passkey}${timestamp}`
+    ).toString("base64");
+  }
+
+  // Send an STK Push prompt to the customer's phone
+  async initiateStkPush({ phone, amount, accountReference, description }) {
+    if (!this.isConfigured()) {
+      throw new MpesaError("M-Pesa is not configured on this server", 503);
+    }
+
+    const msisdn = normalizePhone(phone);
+    if (!msisdn) {
+      throw new ServiceError("A valid Safaricom phone number is required");
+    }
+
+    const timestamp = getTimestamp();
+    const response = await this.authorizedRequest(
+      "/mpesa/stkpush/v1/processrequest",
+      {
+        BusinessShortCode: this.shortcode,
+        Password: this.buildPassword(timestamp),
+        Timestamp: timestamp,
+        TransactionType: this.transactionType,
+        Amount: Math.ceil(amount),
+        PartyA: msisdn,
+        PartyB: this.shortcode,
+        PhoneNumber: msisdn,
+        CallBackURL: this.callbackUrl,
+        AccountReference: String(accountReference).slice(0, 12),
+        TransactionDesc: String(description || "Payment").slice(0, 13),
+      }
+    );
+
+    if (String(response.ResponseCode) !== "0") {
+      throw new MpesaError(
+        response.ResponseDescription || "STK Push request was rejected",
+        502,
+        response
+      );
+    }
+
+    return {
+      merchantRequestId: response.MerchantRequestID,
+      checkoutRequestId: response.CheckoutRequestID,
+      customerMessage: response.CustomerMessage,
+      phone: msisdn,
+    };
+  }
+
+  // Ask Daraja for the outcome of an STK Push (used when no callback arrives)
+  async queryStkPush(checkoutRequestId) {
+    const timestamp = getTimestamp();
+    let response;
+
+    try {
+      response = await this.authorizedRequest(
+        "/mpesa/stkpushquery/v1/query",
+        {
+          BusinessShortCode: this.shortcode,
+          Password: this.buildPassword(timestamp),
+          Timestamp: timestamp,
+          CheckoutRequestID: checkoutRequestId,
+        }
+      );
+    } catch (error) {
+      // Daraja answers 500.001.1001 while the customer has not responded yet
+      if (
+        error instanceof MpesaError &&
+        error.details &&
+        error.details.errorCode === "500.001.1001"
+      ) {
+        return { checkoutRequestId, isPending: true };
+      }
+      throw error;
+    }
+
+    return {
+      checkoutRequestId: response.CheckoutRequestID || checkoutRequestId,
+      merchantRequestId: response.MerchantRequestID,
+      isPending: false,
+      resultCode: parseInt(response.ResultCode),
+      resultDesc: response.ResultDesc,
+    };
+  }
+
+  // Send money from the business shortcode to a customer (B2C), used for
+  // farmer payouts. The outcome arrives later on the result URL.
+  async initiateB2CPayment({ phone, amount, remarks, occasion, reference }) {
+    if (!this.isB2CConfigured()) {
+      throw new MpesaError("M-Pesa B2C is not configured on this server", 503);
+    }
+
+    const msisdn = normalizePhone(phone);
+    if (!msisdn) {
+      throw new ServiceError(`Invalid payout phone number: ${phone}`);
+    }
+    // M-Pesa pays whole shillings; rounding here would pay out a different
+    // amount than the ledger records
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new ServiceError(
+        `Payout amount must be a whole number of shillings: ${amount}`
+      );
+    }
+
+    const response = await this.authorizedRequest(
+      "/mpesa/b2c/v3/paymentrequest",
+      {
+        OriginatorConversationID: reference,
+        InitiatorName: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: "BusinessPayment",
+        Amount: amount,
+        PartyA: this.b2cShortcode,
+        PartyB: msisdn,
+        Remarks: String(remarks || "Payout").slice(0, 100),
+        QueueTimeOutURL: this.b2cTimeoutUrl,
+        ResultURL: this.b2cResultUrl,
+        Occasion: String(occasion || "").slice(0, 100),
+      }
+    );
+
+    if (String(response.ResponseCode) !== "0") {
+      throw new MpesaError(
+        response.ResponseDescription || "B2C request was rejected",
+        502,
+        response
+      );
+    }
+
+    return {
+      conversationId: response.ConversationID,
+      originatorConversationId: response.OriginatorConversationID,
+      phone: msisdn,
+    };
+  }
+
+  // Normalise the body Daraja posts to the B2C result or timeout URL
+  parseB2CResult(body) {
+    const result = body && body.Result;
+    if (!result || !result.ConversationID || result.ResultCode === undefined) {
+      return null;
+    }
+
+    const parameters = {};
+    const items =
+      (result.ResultParameters && result.ResultParameters.ResultParameter) ||
+      [];
+    (Array.isArray(items) ? items : [items]).forEach((item) => {
+      parameters[item.Key] = item.Value;
+    });
+
+    return {
+      conversationId: result.ConversationID,
+      originatorConversationId: result.OriginatorConversationID,
+      resultCode: parseInt(result.ResultCode),
+      resultDesc: result.ResultDesc,
+      transactionId: result.TransactionID || parameters.TransactionReceipt,
+      amount:
+        parameters.TransactionAmount !== undefined
+          ? Number(parameters.TransactionAmount)
+          : null,
+    };
+  }
+
+  // Normalise the body Daraja posts to the callback URL
+  parseStkCallback(body) {
+    const callback = body && body.Body && body.Body.stkCallback;
+    if (
+      !callback ||
+      !callback.CheckoutRequestID ||
+      callback.ResultCode === undefined
+    ) {
+      return null;
+    }
+
+    const metadata = {};
+    const items =
+      (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+    items.forEach((item) => {
+      metadata[item.Name] = item.Value;
+    });
+
+    return {
+      merchantRequestId: callback.MerchantRequestID,
+      checkoutRequestId: callback.CheckoutRequestID,
+      resultCode: parseInt(callback.ResultCode),
+      resultDesc: callback.ResultDesc,
+      amount: metadata.Amount !== undefined ? Number(metadata.Amount) : null,
+      receiptNumber: metadata.MpesaReceiptNumber || null,
+      transactionDate: parseTransactionDate(metadata.TransactionDate),
+      phone: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+    };
+  }
+}
+
+let provider = null;
+
+// Provider used by the payment service, built from environment variables
+const getMpesaProvider = () => {
+  if (!provider) {
+    const callbackUrl =
+      process.env.MPESA_CALLBACK_URL && process.env.MPESA_CALLBACK_SECRET
+        ? `${process.env.MPESA_CALLBACK_URL}?token=${encodeURIComponent(
+            process.env.MPESA_CALLBACK_SECRET
+          )}`
+        : process.env.MPESA_CALLBACK_URL;
+
+    const b2cResultUrl =
+      process.env.MPESA_B2C_RESULT_URL && process.env.MPESA_CALLBACK_SECRET
+        ? `${process.env.MPESA_B2C_RESULT_URL}?token=${encodeURIComponent(
+            process.env.MPESA_CALLBACK_SECRET
+          )}`
+        : process.env.MPESA_B2C_RESULT_URL;
+
+    provider = new DarajaProvider({
+      environment: process.env.MPESA_ENVIRONMENT,
+      baseUrl: process.env.MPESA_BASE_URL,
+      consumerKey: process.env.MPESA_CONSUMER_KEY,
+      consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+      shortcode: process.env.MPESA_SHORTCODE,
+      passkey: process.env.MPESA_PASSKEY,
+      callbackUrl,
+      transactionType: process.env.MPESA_TRANSACTION_TYPE,
+      b2cShortcode: process.env.MPESA_B2C_SHORTCODE,
+      initiatorName: process.env.MPESA_B2C_INITIATOR_NAME,
+      securityCredential: process.env.MPESA_B2C_SECURITY_CREDENTIAL,
+      b2cResultUrl,
+    });
+  }
+  return provider;
+};
+
+// Swap the provider (e.g. for a stub when exercising the flow locally)
+const setMpesaProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  DarajaProvider,
+  MpesaError,
+  getMpesaProvider,
+  setMpesaProvider,
+  normalizePhone,
+  getTimestamp,
+};
@@ -0,0 +1,28 @@
+const Notification = require("../models/Notification");
+
+// Leave an in-app notification for a user. Failing to notify never undoes
+// the work it reports on, so errors are logged rather than thrown.
+const notify = async (
+  userId,
+  { type, title, message, order, subscription, offer, product }
+) => {
+  try {
+    return await Notification.create({
+      user: userId,
+      type,
+      title,
+      message,
+      order,
+      subscription,
+      offer,
+      product,
+    });
+  } catch (error) {
+    console.error(`Notification for user ${userId} failed:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  notify,
+};
@@ -0,0 +1,296 @@
+const Offer = require("../models/Offer");
+const Product = require("../models/Product");
+const { isPurchasable } = require("./cart");
+const { resolveVariant } = require("./inventory");
+const { notify } = require("./notifications");
+const { roundAmount } = require("./ledger");
+const { ServiceError } = require("../utils/errors");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours the other side has to answer an offer or counter-offer
+const getResponseHours = () => {
+  const hours = parseInt(process.env.OFFER_RESPONSE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 48;
+};
+
+// Hours an accepted price stays locked for the buyer's checkout
+const getLockHours = () => {
+  const hours = parseInt(process.env.OFFER_LOCK_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+};
+
+// Role a user plays in an offer, or null if not involved
+const getOfferRole = (offer, user) => {
+  if (user.role === "admin") return "admin";
+  if (offer.buyer.equals(user._id)) return "buyer";
+  if (offer.farmer.equals(user._id)) return "farmer";
+  return null;
+};
+
+const describeTerms = (offer, unit) =>
+  `${offer.quantity} ${unit} at KSh ${offer.price} each`;
+
+// Tell the other side about a move in the negotiation
+const notifyOther = async (offer, role, type, title) => {
+  const product = await Product.findById(offer.product).select(
+    "name unit variants"
+  );
+  const name = product
+    ? Product.getItemName(product, Product.findVariant(product, offer.variant))
+    : "product";
+  await notify(role === "buyer" ? offer.farmer : offer.buyer, {
+    type,
+    title: `${title}: ${name}`,
+    message: product ? describeTerms(offer, product.unit) : undefined,
+    offer: offer._id,
+  });
+};
+
+// Load an open offer the user may answer now
+const findOfferAwaiting = async (offerId, user) => {
+  const offer = await Offer.findById(offerId);
+  if (!offer) {
+    throw new ServiceError("Offer not found", 404);
+  }
+  const role = getOfferRole(offer, user);
+  if (!role || role === "admin") {
+    throw new ServiceError(
+      "Access denied. You are not part of this offer.",
+      403
+    );
+  }
+  if (!Offer.OPEN_STATUSES.includes(offer.status)) {
+    throw new ServiceError(`Offer is already ${offer.status}`, 409);
+  }
+  if (offer.expiresAt <= new Date()) {
+    throw new ServiceError("Offer has expired", 409);
+  }
+  return { offer, role };
+};
+
+// Load a product (and the variant of it) that can still be bought in the
+// given quantity
+const findOfferableProduct = async (productId, quantity, variantId) => {
+  const product = await Product.findById(productId).select(
+    "name unit price quantity variants farmer isActive isApproved isAvailable"
+  );
+  if (!isPurchasable(product)) {
+    throw new ServiceError("Product is not available", 404);
+  }
+  const variant = resolveVariant(product, variantId);
+  const name = Product.getItemName(product, variant);
+  if (variant && !variant.isAvailable) {
+    throw new ServiceError(`${name} is not available`, 404);
+  }
+  const stock = variant || product;
+  if (quantity > stock.quantity) {
+    throw new ServiceError(
+      `Only ${stock.quantity} ${product.unit} of ${name} is in stock`
+    );
+  }
+  return { product, variant };
+};
+
+// A buyer proposes a unit price and quantity on a product, or on one of its
+// variants
+const createOffer = async ({
+  productId,
+  variantId,
+  user,
+  price,
+  quantity,
+  message,
+}) => {
+  const { product, variant } = await findOfferableProduct(
+    productId,
+    quantity,
+    variantId
+  );
+  if (product.farmer.equals(user._id)) {
+    throw new ServiceError("You cannot make an offer on your own product");
+  }
+
+  try {
+    const offer = await Offer.create({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      farmer: product.farmer,
+      buyer: user._id,
+      price: roundAmount(price),
+      quantity,
+      expiresAt: new Date(Date.now() + getResponseHours() * HOUR_MS),
+      history: [
+        {
+          by: "buyer",
+          action: "proposed",
+          price: roundAmount(price),
+          quantity,
+          message,
+        },
+      ],
+    });
+    await notifyOther(offer, "buyer", "offer_received", "New offer");
+    return offer;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError(
+        "You already have an open offer on this product",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+// The side whose turn it is answers with new terms; the turn passes over
+const counterOffer = async ({ offerId, user, price, quantity, message }) => {
+  const { offer, role } = await findOfferAwaiting(offerId, user);
+  if (role !== offer.getAwaitingRole()) {
+    throw new ServiceError("Wait for the other side to answer", 409);
+  }
+
+  const newQuantity = quantity || offer.quantity;
+  await findOfferableProduct(offer.product, newQuantity, offer.variant);
+
+  offer.price = roundAmount(price);
+  offer.quantity = newQuantity;
+  offer.status = role === "farmer" ? "countered" : "pending";
+  offer.expiresAt = new Date(Date.now() + getResponseHours() * HOUR_MS);
+  offer.history.push({
+    by: role,
+    action: "countered",
+    price: offer.price,
+    quantity: offer.quantity,
+    message,
+  });
+
+  await offer.save();
+  await notifyOther(offer, role, "offer_countered", "Counter-offer");
+  return offer;
+};
+
+// Accept the terms on the table: the price is locked for the buyer to check
+// out with until lockedUntil. Stock is not set aside meanwhile.
+const acceptOffer = async ({ offerId, user, message }) => {
+  const { offer, role } = await findOfferAwaiting(offerId, user);
+  if (role !== offer.getAwaitingRole()) {
+    throw new ServiceError("Wait for the other side to answer", 409);
+  }
+  await findOfferableProduct(offer.product, offer.quantity, offer.variant);
+
+  const now = new Date();
+  offer.status = "accepted";
+  offer.acceptedAt = now;
+  offer.lockedUntil = new Date(now.getTime() + getLockHours() * HOUR_MS);
+  offer.history.push({ by: role, action: "accepted", message });
+
+  await offer.save();
+  await notifyOther(offer, role, "offer_accepted", "Offer accepted");
+  return offer;
+};
+
+// The side whose turn it is turns the offer down, or the buyer withdraws it
+const closeOffer = async ({ offerId, user, action, message }) => {
+  const { offer, role } = await findOfferAwaiting(offerId, user);
+  if (action === "withdrawn" && role !== "buyer") {
+    throw new ServiceError("Only the buyer can withdraw an offer", 403);
+  }
+  if (action === "rejected" && role !== offer.getAwaitingRole()) {
+    throw new ServiceError("Wait for the other side to answer", 409);
+  }
+
+  offer.status = action;
+  offer.history.push({ by: role, action, message });
+
+  await offer.save();
+  await notifyOther(
+    offer,
+    role,
+    `offer_${action}`,
+    action === "rejected" ? "Offer rejected" : "Offer withdrawn"
+  );
+  return offer;
+};
+
+// Checkout: claim the buyer's accepted offer for an order line and return
+// its locked unit price. Runs in the order's transaction, so a failed order
+// leaves the offer usable.
+const redeemOffer = async (
+  offerId,
+  { buyer, productId, variantId, quantity },
+  session
+) => {
+  const now = new Date();
+  const offer = await Offer.findOneAndUpdate(
+    {
+      _id: offerId,
+      buyer,
+      product: productId,
+      variant: variantId || null,
+      status: "accepted",
+      lockedUntil: { $gt: now },
+    },
+    {
+      $set: { status: "used", usedAt: now },
+      $push: { history: { by: "buyer", action: "used", at: now } },
+    },
+    { new: true, session }
+  );
+
+  if (!offer) {
+    throw new ServiceError(
+      "Offer is not accepted, has expired or is for another product"
+    );
+  }
+  if (offer.quantity !== Number(quantity)) {
+    throw new ServiceError(
+      `The agreed price is for exactly ${offer.quantity} units`
+    );
+  }
+  return offer;
+};
+
+// Record the order that used up each offer on its lines
+const linkOffersToOrder = async (order, session) => {
+  const offerIds = order.items.map((item) => item.offer).filter(Boolean);
+  if (offerIds.length === 0) return;
+
+  await Offer.updateMany(
+    { _id: { $in: offerIds } },
+    { $set: { order: order._id } },
+    { session }
+  );
+};
+
+// Scheduled job: open offers nobody answered in time, and accepted prices
+// whose lock ran out, expire
+const expireOffers = async () => {
+  const now = new Date();
+  const expired = { by: "system", action: "expired", at: now };
+
+  const [unanswered, unused] = await Promise.all([
+    Offer.updateMany(
+      { status: { $in: Offer.OPEN_STATUSES }, expiresAt: { $lte: now } },
+      { $set: { status: "expired" }, $push: { history: expired } }
+    ),
+    Offer.updateMany(
+      { status: "accepted", lockedUntil: { $lte: now } },
+      { $set: { status: "expired" }, $push: { history: expired } }
+    ),
+  ]);
+
+  const count = unanswered.modifiedCount + unused.modifiedCount;
+  return count > 0 ? `expired ${count} offer(s)` : null;
+};
+
+module.exports = {
+  getOfferRole,
+  createOffer,
+  counterOffer,
+  acceptOffer,
+  closeOffer,
+  redeemOffer,
+  linkOffersToOrder,
+  expireOffers,
+};
@@ -0,0 +1,267 @@
+const Order = require("../models/Order");
+const { reserveStock, restockItems } = require("./inventory");
+const { adjustCouponUsage } = require("./coupons");
+const { recordOrderEarnings } = require("./ledger");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Who may move a sub-order between statuses. Farmers run fulfilment, the
+// buyer confirms receipt and may cancel before processing starts. Admins may
+// perform any of these and, as an override, set any other status.
+const TRANSITIONS = {
+  pending: { confirmed: ["farmer"], cancelled: ["buyer", "farmer"] },
+  confirmed: { processing: ["farmer"], cancelled: ["buyer", "farmer"] },
+  processing: { shipped: ["farmer"], cancelled: ["farmer"] },
+  shipped: { delivered: ["buyer"] },
+  delivered: {},
+  cancelled: {},
+};
+
+const isTerminal = (status) => Object.keys(TRANSITIONS[status]).length === 0;
+
+// Role a user plays on a given sub-order, or null if not involved
+const getActorRole = (order, subOrder, user) => {
+  if (user.role === "admin") return "admin";
+  if (subOrder.farmer.toString() === user._id.toString()) return "farmer";
+  if (order.buyer.toString() === user._id.toString()) return "buyer";
+  return null;
+};
+
+// Statuses the actor may move a sub-order to, and whether each is an override
+const getAllowedTransitions = (from, role) => {
+  const regular = Object.keys(TRANSITIONS[from]).filter(
+    (to) => role === "admin" || TRANSITIONS[from][to].includes(role)
+  );
+  if (role !== "admin") {
+    return regular.map((to) => ({ status: to, isOverride: false }));
+  }
+
+  return Order.STATUSES.filter((to) => to !== from).map((to) => ({
+    status: to,
+    isOverride: !regular.includes(to),
+  }));
+};
+
+// Append an entry to the order's status history
+const recordStatusChange = (
+  order,
+  { subOrder, from, to, actor, actorRole, note, isOverride = false }
+) => {
+  order.statusHistory.push({
+    subOrder: subOrder ? subOrder._id : undefined,
+    farmer: subOrder ? subOrder.farmer : undefined,
+    from,
+    to,
+    actor: actor ? actor._id : undefined,
+    actorRole,
+    note,
+    isOverride,
+    at: new Date(),
+  });
+};
+
+// Pick the sub-orders a status change applies to. Farmers act on their own
+// sub-order; buyers and admins on one (`subOrderId`) or every open one.
+const resolveTargets = (order, user, subOrderId) => {
+  if (subOrderId) {
+    const subOrder = order.subOrders.id(subOrderId);
+    if (!subOrder) {
+      throw new ServiceError("Sub-order not found", 404);
+    }
+    return [subOrder];
+  }
+
+  const ownSubOrder = order.getSubOrder(user._id);
+  if (ownSubOrder && user.role !== "admin") {
+    return [ownSubOrder];
+  }
+
+  const open = order.subOrders.filter(
+    (subOrder) => !isTerminal(subOrder.status)
+  );
+  if (open.length === 0) {
+    throw new ServiceError(`Order is already ${order.status}`);
+  }
+  return open;
+};
+
+// Move sub-orders of an order to a new status, enforcing who may do what,
+// adjusting stock on cancel/reopen and recording every change.
+const transitionOrder = async ({
+  orderId,
+  user,
+  status,
+  note,
+  deliveryDate,
+  subOrderId,
+}) =>
+  withTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+
+    if (!order || !order.isActive) {
+      throw new ServiceError("Order not found", 404);
+    }
+
+    const involved = order.subOrders.some((subOrder) =>
+      getActorRole(order, subOrder, user)
+    );
+    if (!involved) {
+      throw new ServiceError(
+        "Access denied. You can only update orders you are involved in.",
+        403
+      );
+    }
+
+    const targets = resolveTargets(order, user, subOrderId);
+    const previousStatus = order.status;
+    let lastRole;
+
+    for (const subOrder of targets) {
+      const role = getActorRole(order, subOrder, user);
+      if (!role) {
+        throw new ServiceError(
+          "Access denied. You can only update your own part of this order.",
+          403
+        );
+      }
+
+      const transition = getAllowedTransitions(subOrder.status, role).find(
+        (allowed) => allowed.status === status
+      );
+      if (!transition) {
+        const permittedRoles = TRANSITIONS[subOrder.status][status];
+        if (!permittedRoles) {
+          throw new ServiceError(
+            `Cannot change status from ${subOrder.status} to ${status}`
+          );
+        }
+        throw new ServiceError(
+          `Only the ${permittedRoles.join(" or ")} can change status from ${subOrder.status} to ${status}`,
+          403
+        );
+      }
+
+      // Returned units were already restocked or written off with the
+      // return, so only the rest moves with a cancellation
+      const items = order
+        .getSubOrderItems(subOrder)
+        .map((item) => ({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity - (item.returnedQuantity || 0),
+        }))
+        .filter((item) => item.quantity > 0);
+      if (status === "cancelled") {
+        await restockItems(items, session, {
+          type: "cancellation",
+          order: order._id,
+          user,
+        });
+      } else if (subOrder.status === "cancelled") {
+        // Reopening a cancelled sub-order takes its stock back out
+        for (const item of items) {
+          await reserveStock(item.product, item.quantity, session, {
+            variant: item.variant,
+            order: order._id,
+            user,
+            reason: "Cancelled order reopened",
+          });
+        }
+      }
+
+      recordStatusChange(order, {
+        subOrder,
+        from: subOrder.status,
+        to: status,
+        actor: user,
+        actorRole: role,
+        note,
+        isOverride: transition.isOverride,
+      });
+
+      subOrder.status = status;
+      if (role === "farmer") {
+        if (note) subOrder.farmerNotes = note;
+        if (deliveryDate) subOrder.deliveryDate = deliveryDate;
+      }
+      lastRole = role;
+    }
+
+    if (note && lastRole === "buyer") {
+      order.deliveryNotes = note;
+    }
+
+    if (order.syncStatusFromSubOrders() !== previousStatus) {
+      recordStatusChange(order, {
+        from: previousStatus,
+        to: order.status,
+        actor: user,
+        actorRole: lastRole,
+      });
+
+      // A cancelled order gives its coupon use back
+      if (order.status === "cancelled") {
+        await adjustCouponUsage(order, -1, session);
+      } else if (previousStatus === "cancelled") {
+        await adjustCouponUsage(order, 1, session);
+      }
+    }
+
+    await order.save({ session });
+    await recordOrderEarnings(order, session);
+    return order;
+  });
+
+// Chronological timeline of an order as seen by the given user. Farmers see
+// their own sub-order and order-level entries only.
+const getOrderTimeline = (order, user) => {
+  const isFarmerView =
+    user.role !== "admin" &&
+    order.buyer.toString() !== user._id.toString();
+
+  const entries = order.statusHistory
+    .filter(
+      (entry) =>
+        !isFarmerView ||
+        !entry.farmer ||
+        entry.farmer.toString() === user._id.toString()
+    )
+    .sort((a, b) => a.at - b.at);
+
+  const subOrders = order.subOrders
+    .filter(
+      (subOrder) =>
+        !isFarmerView || subOrder.farmer.toString() === user._id.toString()
+    )
+    .map((subOrder) => {
+      const role = getActorRole(order, subOrder, user);
+      return {
+        _id: subOrder._id,
+        farmer: subOrder.farmer,
+        status: subOrder.status,
+        deliveryDate: subOrder.deliveryDate,
+        escrow: subOrder.escrow,
+        availableActions: role
+          ? getAllowedTransitions(subOrder.status, role)
+          : [],
+      };
+    });
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    createdAt: order.createdAt,
+    subOrders,
+    history: entries,
+  };
+};
+
+module.exports = {
+  TRANSITIONS,
+  getActorRole,
+  getAllowedTransitions,
+  recordStatusChange,
+  transitionOrder,
+  getOrderTimeline,
+};
@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { reserveStock } = require("./inventory");
+const { calculateDelivery } = require("./delivery");
+const { roundAmount } = require("./ledger");
+const { recordStatusChange } = require("./orderLifecycle");
+const { redeemOffer, linkOffersToOrder } = require("./offers");
+const { redeemCoupon } = require("./coupons");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Attempts at saving an order before a duplicate order number is reported
+const MAX_ORDER_NUMBER_ATTEMPTS = 3;
+
+const isDuplicateOrderNumber = (error) =>
+  error.code === 11000 &&
+  Boolean(error.keyPattern && error.keyPattern.orderNumber);
+
+// Create an order and reserve its stock in one transaction. Any item that
+// is unavailable or short rolls back every decrement made before it. Items
+// are priced at the product's tier for the quantity ordered (or at the
+// price of the `variantId` bought), or at the locked price of the accepted
+// offer given as `offerId`, which is used up.
+// Each farmer's delivery fee is added to their sub-order and to the total.
+// A `couponCode` takes its discount off the total, split between the
+// farmers whose items it covers.
+// Orders placed by the subscription scheduler pass the `subscription`.
+// A converted pre-order passes the `preOrder`, its agreed item `price` and
+// the `depositPaid` already collected.
+const createOrderOnce = async ({
+  buyer,
+  items,
+  paymentMethod,
+  shippingAddress,
+  deliveryNotes,
+  subscription,
+  preOrder,
+  depositPaid = 0,
+  couponCode,
+}) =>
+  withTransaction(async (session) => {
+    // Known upfront so stock movements can point at the order
+    const orderId = new mongoose.Types.ObjectId();
+    const orderItems = [];
+    const lines = [];
+    let itemsTotal = 0;
+
+    for (const item of items) {
+      const product = await reserveStock(
+        item.productId,
+        item.quantity,
+        session,
+        {
+          variant: item.variantId,
+          order: orderId,
+          preOrder,
+          user: subscription ? undefined : { _id: buyer },
+        }
+      );
+      const variant = Product.findVariant(product, item.variantId);
+
+      const offer =
+        item.offerId &&
+        (await redeemOffer(
+          item.offerId,
+          {
+            buyer,
+            productId: product._id,
+            variantId: item.variantId,
+            quantity: item.quantity,
+          },
+          session
+        ));
+      let price = Product.getUnitPrice(product, item.quantity, item.variantId);
+      if (offer) {
+        price = offer.price;
+      } else if (item.price !== undefined) {
+        price = item.price;
+      }
+      itemsTotal += price * item.quantity;
+      lines.push({ product, quantity: item.quantity, price });
+
+      orderItems.push({
+        product: product._id,
+        variant: variant ? variant._id : undefined,
+        variantName: variant ? variant.name : undefined,
+        sku: variant ? variant.sku : undefined,
+        quantity: item.quantity,
+        price,
+        farmer: product.farmer,
+        offer: offer ? offer._id : undefined,
+      });
+    }
+
+    const delivery = await calculateDelivery(lines, shippingAddress, session);
+    const redemption = couponCode
+      ? await redeemCoupon({ code: couponCode, buyer, lines }, session)
+      : { discount: 0, shares: new Map() };
+
+    const subOrders = delivery.farmers.map((quote) => ({
+      farmer: quote.farmer,
+      subtotal: roundAmount(
+        orderItems
+          .filter((item) => item.farmer.toString() === quote.farmer.toString())
+          .reduce((sum, item) => sum + item.price * item.quantity, 0)
+      ),
+      deliveryFee: quote.fee,
+      discount: redemption.shares.get(quote.farmer.toString()) || 0,
+    }));
+    // A pre-order is for a single product, so one farmer's sub-order
+    if (depositPaid > 0) {
+      subOrders[0].depositPaid = depositPaid;
+    }
+
+    const order = new Order({
+      _id: orderId,
+      buyer,
+      items: orderItems,
+      subOrders,
+      deliveryFee: delivery.deliveryFee,
+      coupon: redemption.coupon && {
+        coupon: redemption.coupon._id,
+        code: redemption.coupon.code,
+        discountType: redemption.coupon.discountType,
+        value: redemption.coupon.value,
+        fundedBy: redemption.coupon.fundedBy,
+      },
+      discountAmount: redemption.discount,
+      totalAmount: roundAmount(
+        itemsTotal - redemption.discount + delivery.deliveryFee
+      ),
+      paymentMethod,
+      shippingAddress,
+      deliveryNotes,
+      subscription,
+      preOrder,
+    });
+    recordStatusChange(order, {
+      to: "pending",
+      actor: subscription ? undefined : { _id: buyer },
+      actorRole: subscription ? "system" : "buyer",
+      note: subscription
+        ? "Placed automatically for a subscription"
+        : preOrder
+        ? "Converted from a pre-order"
+        : undefined,
+    });
+
+    await order.save({ session });
+    await linkOffersToOrder(order, session);
+    return order;
+  });
+
+// The order counter only falls behind existing numbers if it was reset, so
+// a duplicate number resyncs it and the whole order is retried
+const createOrder = async (input) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await createOrderOnce(input);
+    } catch (error) {
+      if (!isDuplicateOrderNumber(error)) {
+        throw error;
+      }
+      if (attempt >= MAX_ORDER_NUMBER_ATTEMPTS) {
+        throw new ServiceError(
+          "Could not assign an order number. Please try again.",
+          503
+        );
+      }
+      console.warn(
+        `Duplicate order number on attempt ${attempt}; resyncing counter`
+      );
+      await Order.syncOrderCounter();
+    }
+  }
+};
+
+module.exports = {
+  createOrder,
+};
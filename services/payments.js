@@ -0,0 +1,452 @@
+const Order = require("../models/Order");
+const PreOrder = require("../models/PreOrder");
+const { getMpesaProvider } = require("./mpesa");
+const { recordOrderEarnings } = require("./ledger");
+const { ServiceError } = require("../utils/errors");
+
+// A buyer must wait this long before re-sending a prompt that is still open
+const STK_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Give Daraja this long to deliver the callback before querying it directly
+const STK_QUERY_GRACE_MS = 30 * 1000;
+
+// Returns approved before payment and pre-order deposits are deducted from
+// the amount due
+const getAmountDue = (order) =>
+  order.totalAmount -
+  order.refundedAmount -
+  order.subOrders.reduce((sum, subOrder) => sum + subOrder.depositPaid, 0);
+
+// Record a confirmed payment on the order
+const markOrderPaid = (order, reference) => {
+  order.paymentStatus = "paid";
+  order.paymentReference = reference;
+};
+
+// Apply a Daraja result (from the callback or a status query) to a pending
+// STK request. Returns false when the request had already been resolved.
+const applyStkResult = (order, request, result, source) => {
+  if (request.status !== "pending") {
+    return false;
+  }
+
+  request.resultCode = result.resultCode;
+  request.resultDesc = result.resultDesc;
+  request.resolvedBy = source;
+  request.resolvedAt = new Date();
+
+  if (result.resultCode === 0) {
+    request.status = "success";
+    request.receiptNumber = result.receiptNumber || undefined;
+    request.transactionDate = result.transactionDate || undefined;
+    // The status query does not return a receipt; the callback fills it in later
+    markOrderPaid(order, request.receiptNumber || request.checkoutRequestId);
+  } else {
+    request.status = "failed";
+    const stillPending = order.mpesaRequests.some(
+      (other) => other.status === "pending"
+    );
+    if (order.paymentStatus === "pending" && !stillPending) {
+      order.paymentStatus = "failed";
+    }
+  }
+
+  return true;
+};
+
+// Send an STK Push for the order's outstanding amount
+const initiateMpesaPayment = async (order, phone) => {
+  if (order.paymentMethod !== "mpesa") {
+    throw new ServiceError("This order is not set up for M-Pesa payment");
+  }
+  if (order.status === "cancelled") {
+    throw new ServiceError("Cannot pay for a cancelled order");
+  }
+  if (!["pending", "failed"].includes(order.paymentStatus)) {
+    throw new ServiceError(
+      `Order payment is already ${order.paymentStatus}`,
+      409
+    );
+  }
+
+  const recentRequest = order.mpesaRequests.find(
+    (request) =>
+      request.status === "pending" &&
+      Date.now() - request.initiatedAt.getTime() < STK_RESEND_INTERVAL_MS
+  );
+  if (recentRequest) {
+    throw new ServiceError(
+      "A payment prompt was just sent to your phone. Complete it or try again in a minute.",
+      409
+    );
+  }
+
+  const amountDue = getAmountDue(order);
+
+  const push = await getMpesaProvider().initiateStkPush({
+    phone,
+    amount: amountDue,
+    accountReference: order.orderNumber,
+    description: "Farm order",
+  });
+
+  order.mpesaRequests.push({
+    merchantRequestId: push.merchantRequestId,
+    checkoutRequestId: push.checkoutRequestId,
+    phone: push.phone,
+    amount: Math.ceil(amountDue),
+  });
+  order.paymentStatus = "pending";
+  await order.save();
+
+  return {
+    order,
+    request: order.mpesaRequests[order.mpesaRequests.length - 1],
+    customerMessage: push.customerMessage,
+  };
+};
+
+// Send an STK Push for a pre-order reservation's deposit
+const initiateDepositPayment = async (preOrder, phone) => {
+  const { deposit } = preOrder;
+  if (preOrder.status !== "reserved") {
+    throw new ServiceError(`Pre-order is already ${preOrder.status}`, 409);
+  }
+  if (deposit.status !== "pending") {
+    throw new ServiceError(
+      deposit.status === "none"
+        ? "This pre-order needs no deposit"
+        : `Deposit is already ${deposit.status}`,
+      409
+    );
+  }
+
+  const recentRequest = deposit.mpesaRequests.find(
+    (request) =>
+      request.status === "pending" &&
+      Date.now() - request.initiatedAt.getTime() < STK_RESEND_INTERVAL_MS
+  );
+  if (recentRequest) {
+    throw new ServiceError(
+      "A payment prompt was just sent to your phone. Complete it or try again in a minute.",
+      409
+    );
+  }
+
+  const push = await getMpesaProvider().initiateStkPush({
+    phone,
+    amount: deposit.amount,
+    // Daraja allows 12 characters
+    accountReference: `PRE-${preOrder._id.toString().slice(-8).toUpperCase()}`,
+    description: "Pre-order deposit",
+  });
+
+  deposit.mpesaRequests.push({
+    merchantRequestId: push.merchantRequestId,
+    checkoutRequestId: push.checkoutRequestId,
+    phone: push.phone,
+    amount: Math.ceil(deposit.amount),
+  });
+  await preOrder.save();
+
+  return {
+    preOrder,
+    request: deposit.mpesaRequests[deposit.mpesaRequests.length - 1],
+    customerMessage: push.customerMessage,
+  };
+};
+
+// Callback for a deposit prompt. A deposit that arrives after the
+// reservation was closed is owed back to the buyer.
+const handleDepositCallback = async (result) => {
+  const preOrder = await PreOrder.findOne({
+    "deposit.mpesaRequests.checkoutRequestId": result.checkoutRequestId,
+  });
+  if (!preOrder) {
+    throw new ServiceError("Unknown CheckoutRequestID", 404);
+  }
+
+  const { deposit } = preOrder;
+  const request = deposit.mpesaRequests.find(
+    (item) => item.checkoutRequestId === result.checkoutRequestId
+  );
+  if (
+    request.merchantRequestId &&
+    result.merchantRequestId &&
+    request.merchantRequestId !== result.merchantRequestId
+  ) {
+    throw new ServiceError("MerchantRequestID does not match the request");
+  }
+  if (request.status !== "pending") {
+    return { preOrder, request, alreadyProcessed: true };
+  }
+
+  if (
+    result.resultCode === 0 &&
+    (result.amount === null || result.amount < request.amount)
+  ) {
+    console.warn(
+      `M-Pesa deposit mismatch on pre-order ${preOrder._id}: expected ${request.amount}, received ${result.amount}`
+    );
+    result.resultCode = -1;
+    result.resultDesc = `Paid amount ${result.amount} does not match expected ${request.amount}`;
+  }
+
+  request.resultCode = result.resultCode;
+  request.resultDesc = result.resultDesc;
+  request.resolvedAt = new Date();
+  request.status = result.resultCode === 0 ? "success" : "failed";
+
+  if (request.status === "success") {
+    request.receiptNumber = result.receiptNumber || undefined;
+    if (deposit.status === "pending") {
+      deposit.status = preOrder.status === "reserved" ? "paid" : "refund_due";
+      deposit.reference = request.receiptNumber || request.checkoutRequestId;
+      deposit.paidAt = new Date();
+    }
+  }
+
+  await preOrder.save();
+  return { preOrder, request, alreadyProcessed: false };
+};
+
+// Reconcile the result Daraja posts to the callback URL
+const handleStkCallback = async (body) => {
+  const result = getMpesaProvider().parseStkCallback(body);
+  if (!result) {
+    throw new ServiceError("Malformed STK callback payload");
+  }
+
+  const order = await Order.findOne({
+    "mpesaRequests.checkoutRequestId": result.checkoutRequestId,
+  });
+  if (!order) {
+    return handleDepositCallback(result);
+  }
+
+  const request = order.mpesaRequests.find(
+    (item) => item.checkoutRequestId === result.checkoutRequestId
+  );
+
+  if (
+    request.merchantRequestId &&
+    result.merchantRequestId &&
+    request.merchantRequestId !== result.merchantRequestId
+  ) {
+    throw new ServiceError("MerchantRequestID does not match the request");
+  }
+
+  if (result.resultCode === 0) {
+    if (result.amount === null || result.amount < request.amount) {
+      console.warn(
+        `M-Pesa amount mismatch on order ${order.orderNumber}: expected ${request.amount}, received ${result.amount}`
+      );
+      result.resultCode = -1;
+      result.resultDesc = `Paid amount ${result.amount} does not match expected ${request.amount}`;
+    } else if (result.receiptNumber) {
+      const receiptUsed = await Order.exists({
+        _id: { $ne: order._id },
+        "mpesaRequests.receiptNumber": result.receiptNumber,
+      });
+      if (receiptUsed) {
+        throw new ServiceError(
+          `Receipt ${result.receiptNumber} is already recorded on another order`,
+          409
+        );
+      }
+    }
+  }
+
+  if (!applyStkResult(order, request, result, "callback")) {
+    // Already settled by a status query; keep the receipt the query lacked
+    if (
+      request.status === "success" &&
+      !request.receiptNumber &&
+      result.resultCode === 0 &&
+      result.receiptNumber
+    ) {
+      request.receiptNumber = result.receiptNumber;
+      request.transactionDate = result.transactionDate;
+      if (order.paymentReference === request.checkoutRequestId) {
+        order.paymentReference = result.receiptNumber;
+      }
+      await order.save();
+    }
+    return { order, request, alreadyProcessed: true };
+  }
+
+  await order.save();
+  await recordOrderEarnings(order);
+  return { order, request, alreadyProcessed: false };
+};
+
+// Status query fallback: resolve a pending request directly with Daraja
+// when the callback is late or lost.
+const reconcileMpesaPayment = async (order) => {
+  const pendingRequests = order.mpesaRequests.filter(
+    (request) =>
+      request.status === "pending" &&
+      Date.now() - request.initiatedAt.getTime() >= STK_QUERY_GRACE_MS
+  );
+
+  let changed = false;
+  for (const request of pendingRequests) {
+    const result = await getMpesaProvider().queryStkPush(
+      request.checkoutRequestId
+    );
+    if (!result.isPending) {
+      changed = applyStkResult(order, request, result, "query") || changed;
+    }
+  }
+
+  if (changed) {
+    await order.save();
+    await recordOrderEarnings(order);
+  }
+  return order;
+};
+
+// Attach a bank transfer slip to the buyer's order for an admin to verify.
+// The order stays unpaid until then.
+const submitPaymentProof = async ({
+  orderId,
+  user,
+  image,
+  transferReference,
+  amount,
+  bankName,
+  note,
+}) => {
+  const order = await Order.findOne({ _id: orderId, isActive: true });
+
+  if (!order) {
+    throw new ServiceError("Order not found", 404);
+  }
+  if (order.buyer.toString() !== user._id.toString()) {
+    throw new ServiceError(
+      "Access denied. You can only pay for your own orders.",
+      403
+    );
+  }
+  if (order.paymentMethod !== "bank_transfer") {
+    throw new ServiceError("This order is not set up for bank transfer");
+  }
+  if (order.status === "cancelled") {
+    throw new ServiceError("Cannot pay for a cancelled order");
+  }
+  if (!["pending", "failed"].includes(order.paymentStatus)) {
+    throw new ServiceError(
+      `Order payment is already ${order.paymentStatus}`,
+      409
+    );
+  }
+  if (order.paymentProofs.some((proof) => proof.status === "pending")) {
+    throw new ServiceError(
+      "A transfer slip for this order is already awaiting verification",
+      409
+    );
+  }
+
+  order.paymentProofs.push({
+    image,
+    transferReference,
+    amount,
+    bankName,
+    note,
+    submittedBy: user._id,
+  });
+  await order.save();
+
+  return {
+    order,
+    proof: order.paymentProofs[order.paymentProofs.length - 1],
+  };
+};
+
+const findPendingProof = async (orderId, proofId) => {
+  const order = await Order.findOne({ _id: orderId, isActive: true });
+  const proof = order && order.paymentProofs.id(proofId);
+
+  if (!proof) {
+    throw new ServiceError("Payment proof not found", 404);
+  }
+  if (proof.status !== "pending") {
+    throw new ServiceError(`Payment proof is already ${proof.status}`, 409);
+  }
+  return { order, proof };
+};
+
+// Admin confirms the transfer reached the account: the order is paid with
+// the bank's reference (the buyer's one unless corrected)
+const verifyPaymentProof = async ({
+  orderId,
+  proofId,
+  user,
+  reference,
+  note,
+}) => {
+  const { order, proof } = await findPendingProof(orderId, proofId);
+
+  if (!["pending", "failed"].includes(order.paymentStatus)) {
+    throw new ServiceError(
+      `Order payment is already ${order.paymentStatus}`,
+      409
+    );
+  }
+  if (proof.amount < getAmountDue(order)) {
+    throw new ServiceError(
+      `Transfer of KSh ${proof.amount} is less than the KSh ${getAmountDue(
+        order
+      )} due`,
+      409
+    );
+  }
+
+  const paymentReference = reference || proof.transferReference;
+  const referenceUsed = await Order.exists({
+    _id: { $ne: order._id },
+    paymentMethod: "bank_transfer",
+    paymentReference,
+  });
+  if (referenceUsed) {
+    throw new ServiceError(
+      `Transfer ${paymentReference} is already recorded on another order`,
+      409
+    );
+  }
+
+  proof.status = "verified";
+  proof.reviewedBy = user._id;
+  proof.reviewedAt = new Date();
+  proof.reviewNote = note;
+  markOrderPaid(order, paymentReference);
+
+  await order.save();
+  await recordOrderEarnings(order);
+  return { order, proof };
+};
+
+// Admin turns down a slip; the buyer can upload another
+const rejectPaymentProof = async ({ orderId, proofId, user, note }) => {
+  const { order, proof } = await findPendingProof(orderId, proofId);
+
+  proof.status = "rejected";
+  proof.reviewedBy = user._id;
+  proof.reviewedAt = new Date();
+  proof.reviewNote = note;
+
+  await order.save();
+  return { order, proof };
+};
+
+module.exports = {
+  initiateMpesaPayment,
+  handleStkCallback,
+  reconcileMpesaPayment,
+  initiateDepositPayment,
+  getAmountDue,
+  markOrderPaid,
+  submitPaymentProof,
+  verifyPaymentProof,
+  rejectPaymentProof,
+};
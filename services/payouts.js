@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const LedgerEntry = require("../models/LedgerEntry");
+const Payout = require("../models/Payout");
+const User = require("../models/User");
+const { getMpesaProvider } = require("./mpesa");
+const { roundAmount } = require("./ledger");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Payout providers move money to farmers. `send` returns the item's new
+// status: "processing" when the outcome is reported later (via a callback
+// or an admin confirming it), "paid" when settled immediately.
+const PAYOUT_PROVIDERS = {
+  mpesa_b2c: {
+    async send(item, payout) {
+      const result = await getMpesaProvider().initiateB2CPayment({
+        phone: item.phone,
+        amount: item.amount,
+        remarks: `FarmConnect payout ${payout.reference}`,
+        occasion: payout.reference,
+        reference: `${payout.reference}-${item._id}`,
+      });
+      return { status: "processing", conversationId: result.conversationId };
+    },
+  },
+  // Paid outside the platform (bank transfer, cash); an admin confirms each item
+  manual: {
+    async send() {
+      return { status: "processing" };
+    },
+  },
+};
+
+const registerPayoutProvider = (name, provider) => {
+  PAYOUT_PROVIDERS[name] = provider;
+};
+
+const getPayoutProviderNames = () => Object.keys(PAYOUT_PROVIDERS);
+
+const generatePayoutReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const suffix = crypto.randomBytes(3).toString("hex").toUpperCase();
+  return `PO-${date}-${suffix}`;
+};
+
+// Ledger entries a payout may claim: unclaimed earnings and adjustments,
+// leaving out sales still in escrow
+const unclaimedFilter = (farmerId) => ({
+  farmer: farmerId,
+  payout: null,
+  type: { $ne: "payout" },
+  escrow: { $nin: ["held", "frozen"] },
+});
+
+// Create a payout batch from farmers' available balances. Each farmer's
+// unclaimed ledger entries are claimed by the batch so they cannot be paid
+// twice; payouts are in whole shillings and any cents carry forward.
+const createPayoutBatch = async ({
+  admin,
+  provider,
+  farmerIds,
+  minimumAmount = 0,
+  notes,
+}) => {
+  if (!PAYOUT_PROVIDERS[provider]) {
+    throw new ServiceError(`Unknown payout provider: ${provider}`);
+  }
+
+  return withTransaction(async (session) => {
+    const candidates =
+      farmerIds && farmerIds.length > 0
+        ? farmerIds
+        : await LedgerEntry.distinct(
+            "farmer",
+            unclaimedFilter({ $exists: true }),
+            { session }
+          );
+
+    const payout = new Payout({
+      reference: generatePayoutReference(),
+      provider,
+      createdBy: admin._id,
+      notes,
+      items: [],
+      totalAmount: 0,
+    });
+
+    for (const farmerId of candidates) {
+      const entries = await LedgerEntry.find(unclaimedFilter(farmerId))
+        .select("amount")
+        .session(session);
+
+      const available = roundAmount(
+        entries.reduce((sum, entry) => sum + entry.amount, 0)
+      );
+      const amount = Math.floor(available);
+      if (amount <= 0 || amount < minimumAmount) continue;
+
+      const farmer = await User.findById(farmerId)
+        .select("phone")
+        .session(session);
+      if (!farmer) continue;
+
+      const claimed = await LedgerEntry.updateMany(
+        { _id: { $in: entries.map((entry) => entry._id) }, payout: null },
+        { payout: payout._id },
+        { session }
+      );
+      if (claimed.modifiedCount !== entries.length) {
+        throw new ServiceError(
+          "Farmer balances changed while creating the batch. Please retry.",
+          409
+        );
+      }
+
+      const remainder = roundAmount(available - amount);
+      if (remainder > 0) {
+        await LedgerEntry.create(
+          [
+            {
+              farmer: farmerId,
+              type: "adjustment",
+              amount: -remainder,
+              payout: payout._id,
+              description: `Carried forward from payout ${payout.reference}`,
+              createdBy: admin._id,
+            },
+            {
+              farmer: farmerId,
+              type: "adjustment",
+              amount: remainder,
+              description: `Brought forward from payout ${payout.reference}`,
+              createdBy: admin._id,
+            },
+          ],
+          { session, ordered: true }
+        );
+      }
+
+      payout.items.push({
+        farmer: farmerId,
+        phone: farmer.phone,
+        amount,
+        entryCount: entries.length,
+      });
+      payout.totalAmount += amount;
+    }
+
+    if (payout.items.length === 0) {
+      throw new ServiceError("No farmer balances are due for payout");
+    }
+
+    await payout.save({ session });
+    return payout;
+  });
+};
+
+// Record the outcome of one payout item. A paid item adds a payout debit to
+// the farmer's ledger; a failed item releases its claimed entries so the
+// balance is available for the next batch.
+const settlePayoutItem = async (
+  payoutId,
+  itemId,
+  { success, reference, reason }
+) =>
+  withTransaction(async (session) => {
+    const payout = await Payout.findById(payoutId).session(session);
+    const item = payout && payout.items.id(itemId);
+
+    if (!item) {
+      throw new ServiceError("Payout item not found", 404);
+    }
+    if (!["pending", "processing"].includes(item.status)) {
+      throw new ServiceError(`Payout item is already ${item.status}`, 409);
+    }
+
+    if (success) {
+      item.status = "paid";
+      item.providerReference = reference;
+      item.paidAt = new Date();
+      await LedgerEntry.create(
+        [
+          {
+            farmer: item.farmer,
+            type: "payout",
+            amount: -item.amount,
+            payout: payout._id,
+            description: `Payout ${payout.reference}${
+              reference ? ` (${reference})` : ""
+            }`,
+          },
+        ],
+        { session }
+      );
+    } else {
+      item.status = "failed";
+      item.failureReason = reason;
+      await LedgerEntry.updateMany(
+        {
+          farmer: item.farmer,
+          payout: payout._id,
+          type: { $ne: "payout" },
+        },
+        { payout: null },
+        { session }
+      );
+    }
+
+    payout.syncStatus();
+    await payout.save({ session });
+    return payout;
+  });
+
+// Send every pending item of a batch through its provider
+const processPayoutBatch = async (payoutId) => {
+  // Claim the batch atomically so it can only be sent once
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: "pending" },
+    { status: "processing", processedAt: new Date() },
+    { new: true }
+  );
+
+  if (!payout) {
+    const existing = await Payout.findById(payoutId).select("status");
+    if (!existing) {
+      throw new ServiceError("Payout batch not found", 404);
+    }
+    throw new ServiceError(`Payout batch is already ${existing.status}`, 409);
+  }
+
+  const provider = PAYOUT_PROVIDERS[payout.provider];
+
+  for (const item of payout.items) {
+    if (item.status !== "pending") continue;
+
+    let result;
+    try {
+      result = await provider.send(item, payout);
+    } catch (error) {
+      console.error(`Payout ${payout.reference} item ${item._id}:`, error);
+      await settlePayoutItem(payout._id, item._id, {
+        success: false,
+        reason: error.message,
+      });
+      continue;
+    }
+
+    await Payout.updateOne(
+      { _id: payout._id, "items._id": item._id },
+      {
+        $set: {
+          "items.$.status": "processing",
+          "items.$.conversationId": result.conversationId,
+          "items.$.processedAt": new Date(),
+        },
+      }
+    );
+
+    if (result.status === "paid") {
+      await settlePayoutItem(payout._id, item._id, {
+        success: true,
+        reference: result.providerReference,
+      });
+    }
+  }
+
+  return Payout.findById(payout._id);
+};
+
+// Cancel a batch that has not been processed, releasing its claimed entries
+const cancelPayoutBatch = async (payoutId) =>
+  withTransaction(async (session) => {
+    const payout = await Payout.findById(payoutId).session(session);
+
+    if (!payout) {
+      throw new ServiceError("Payout batch not found", 404);
+    }
+    if (payout.status !== "pending") {
+      throw new ServiceError(
+        `Only pending batches can be cancelled (this one is ${payout.status})`,
+        409
+      );
+    }
+
+    // Released carry-forward pairs net to zero, so nothing else to undo
+    await LedgerEntry.updateMany(
+      { payout: payout._id },
+      { payout: null },
+      { session }
+    );
+
+    payout.status = "cancelled";
+    payout.items.forEach((item) => {
+      item.status = "failed";
+      item.failureReason = "Batch cancelled";
+    });
+    await payout.save({ session });
+    return payout;
+  });
+
+// Reconcile a B2C result posted by Daraja
+const handleB2CResult = async (body) => {
+  const result = getMpesaProvider().parseB2CResult(body);
+  if (!result) {
+    throw new ServiceError("Malformed B2C result payload");
+  }
+
+  const payout = await Payout.findOne({
+    "items.conversationId": result.conversationId,
+  });
+  if (!payout) {
+    throw new ServiceError("Unknown ConversationID", 404);
+  }
+
+  const item = payout.items.find(
+    (payoutItem) => payoutItem.conversationId === result.conversationId
+  );
+  if (item.status !== "processing") {
+    return payout;
+  }
+
+  return settlePayoutItem(payout._id, item._id, {
+    success: result.resultCode === 0,
+    reference: result.transactionId,
+    reason: result.resultDesc,
+  });
+};
+
+module.exports = {
+  registerPayoutProvider,
+  getPayoutProviderNames,
+  createPayoutBatch,
+  processPayoutBatch,
+  settlePayoutItem,
+  cancelPayoutBatch,
+  handleB2CResult,
+};
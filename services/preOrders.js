@@ -0,0 +1,420 @@
+const PreOrder = require("../models/PreOrder");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { createOrder } = require("./orders");
+const { addStock, syncStockStatus } = require("./inventory");
+const { getAmountDue, markOrderPaid } = require("./payments");
+const { recordOrderEarnings } = require("./ledger");
+const { notify } = require("./notifications");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Role a user plays on a reservation, or null if not involved
+const getPreOrderRole = (preOrder, user) => {
+  if (user.role === "admin") return "admin";
+  if (preOrder.buyer.equals(user._id)) return "buyer";
+  if (preOrder.farmer.equals(user._id)) return "farmer";
+  return null;
+};
+
+// Load a product whose pre-orders the farmer manages
+const findOwnProduct = async (productId, user) => {
+  const product = await Product.findOne({ _id: productId, isActive: true });
+  if (!product) {
+    throw new ServiceError("Product not found", 404);
+  }
+  if (!product.farmer.equals(user._id)) {
+    throw new ServiceError(
+      "Access denied. You can only manage pre-orders for your own products.",
+      403
+    );
+  }
+  return product;
+};
+
+// Open, adjust or close a product's pre-order listing. The expected quantity
+// can never drop below what buyers have already reserved. Products sold in
+// variants take no pre-orders, as the harvest is not split by variant.
+const updatePreOrderSettings = async ({
+  productId,
+  user,
+  isEnabled,
+  expectedQuantity,
+  expectedHarvestDate,
+  depositPercent,
+}) => {
+  const product = await findOwnProduct(productId, user);
+  const settings = product.preOrder;
+
+  if (expectedQuantity !== undefined)
+    settings.expectedQuantity = expectedQuantity;
+  if (expectedHarvestDate !== undefined) {
+    settings.expectedHarvestDate = expectedHarvestDate;
+  }
+  if (depositPercent !== undefined) settings.depositPercent = depositPercent;
+  if (isEnabled !== undefined) settings.isEnabled = isEnabled;
+
+  if (settings.isEnabled) {
+    if (product.variants.length > 0) {
+      throw new ServiceError(
+        "Products sold in variants cannot take pre-orders"
+      );
+    }
+    if (!settings.expectedQuantity || !settings.expectedHarvestDate) {
+      throw new ServiceError(
+        "Expected quantity and harvest date are required to take pre-orders"
+      );
+    }
+    if (settings.expectedQuantity < settings.reservedQuantity) {
+      throw new ServiceError(
+        `Buyers have already reserved ${settings.reservedQuantity} ${product.unit}`,
+        409
+      );
+    }
+    // Reopening for a new season
+    settings.harvestedAt = undefined;
+  }
+
+  await product.save();
+  return product;
+};
+
+// Reserve part of the expected harvest at today's (tier) price. The reserved total
+// is raised atomically, so reservations can never exceed the expected
+// quantity. A deposit, if the farmer asks for one, is paid separately.
+const reservePreOrder = async ({
+  productId,
+  user,
+  quantity,
+  paymentMethod,
+  shippingAddress,
+  deliveryNotes,
+}) =>
+  withTransaction(async (session) => {
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        isActive: true,
+        isApproved: true,
+        "preOrder.isEnabled": true,
+        farmer: { $ne: user._id },
+        $expr: {
+          $lte: [
+            { $add: ["$preOrder.reservedQuantity", quantity] },
+            "$preOrder.expectedQuantity",
+          ],
+        },
+      },
+      { $inc: { "preOrder.reservedQuantity": quantity } },
+      { new: true, session }
+    );
+
+    if (!product) {
+      const existing = await Product.findById(productId)
+        .select("name unit farmer isActive isApproved preOrder")
+        .session(session);
+      if (
+        !existing ||
+        !existing.isActive ||
+        !existing.isApproved ||
+        !existing.preOrder.isEnabled
+      ) {
+        throw new ServiceError("This product is not open for pre-order", 404);
+      }
+      if (existing.farmer.equals(user._id)) {
+        throw new ServiceError("You cannot pre-order your own product");
+      }
+      const left =
+        existing.preOrder.expectedQuantity - existing.preOrder.reservedQuantity;
+      throw new ServiceError(
+        `Only ${left} ${existing.unit} of ${existing.name} is left to reserve`,
+        409
+      );
+    }
+
+    const price = Product.getUnitPrice(product, quantity);
+    const { depositPercent } = product.preOrder;
+    const depositAmount = Math.ceil((price * quantity * depositPercent) / 100);
+
+    const [preOrder] = await PreOrder.create(
+      [
+        {
+          product: product._id,
+          farmer: product.farmer,
+          buyer: user._id,
+          quantity,
+          price,
+          deposit: {
+            percent: depositPercent,
+            amount: depositAmount,
+            status: depositAmount > 0 ? "pending" : "none",
+          },
+          paymentMethod,
+          shippingAddress,
+          deliveryNotes,
+        },
+      ],
+      { session }
+    );
+    return preOrder;
+  });
+
+// Save a reservation that is no longer open, so it stops counting against
+// the expected harvest
+const releaseReservation = async (preOrder, session) => {
+  await preOrder.save({ session });
+  await Product.updateOne(
+    { _id: preOrder.product },
+    { $inc: { "preOrder.reservedQuantity": -preOrder.quantity } },
+    { session }
+  );
+};
+
+// Close a reservation that will not become an order; a deposit already
+// paid is owed back
+const closeReservation = async (preOrder, status, reason, session) => {
+  preOrder.status = status;
+  preOrder.closeReason = reason;
+  if (preOrder.deposit.status === "paid") {
+    preOrder.deposit.status = "refund_due";
+  }
+  await releaseReservation(preOrder, session);
+};
+
+// Buyer, farmer or admin cancels a reservation before the harvest is in
+const cancelPreOrder = async ({ preOrderId, user, reason }) => {
+  const preOrder = await withTransaction(async (session) => {
+    const found = await PreOrder.findById(preOrderId).session(session);
+    if (!found) {
+      throw new ServiceError("Pre-order not found", 404);
+    }
+    const role = getPreOrderRole(found, user);
+    if (!role) {
+      throw new ServiceError(
+        "Access denied. You can only cancel your own pre-orders.",
+        403
+      );
+    }
+    if (found.status !== "reserved") {
+      throw new ServiceError(`Pre-order is already ${found.status}`, 409);
+    }
+
+    found.cancelledAt = new Date();
+    found.cancelledBy = role;
+    await closeReservation(found, "cancelled", reason, session);
+    return found;
+  });
+
+  if (preOrder.cancelledBy !== "buyer") {
+    await notify(preOrder.buyer, {
+      type: "preorder_cancelled",
+      title: "Your pre-order was cancelled",
+      message: [
+        preOrder.closeReason,
+        preOrder.deposit.status === "refund_due" &&
+          `Your deposit of KSh ${preOrder.deposit.amount} will be refunded.`,
+      ]
+        .filter(Boolean)
+        .join(" "),
+    });
+  }
+  return preOrder;
+};
+
+// Admin records that a deposit was paid back to the buyer
+const recordDepositRefund = async ({ preOrderId, reference }) => {
+  const preOrder = await PreOrder.findById(preOrderId);
+  if (!preOrder) {
+    throw new ServiceError("Pre-order not found", 404);
+  }
+  if (preOrder.deposit.status !== "refund_due") {
+    throw new ServiceError("No deposit refund is due on this pre-order", 409);
+  }
+
+  preOrder.deposit.status = "refunded";
+  preOrder.deposit.refundReference = reference;
+  preOrder.deposit.refundedAt = new Date();
+  await preOrder.save();
+  return preOrder;
+};
+
+// Whether the harvest in stock can still cover a reservation
+const canCoverReservation = async (preOrder) => {
+  const product = await Product.findById(preOrder.product).select(
+    "quantity isActive isApproved"
+  );
+  return Boolean(
+    product &&
+      product.isActive &&
+      product.isApproved &&
+      product.quantity >= preOrder.quantity
+  );
+};
+
+// Turn a reservation into a regular order at the agreed price, crediting
+// the deposit, or return null when the harvest cannot cover it. An order
+// left by an earlier, interrupted conversion is picked up rather than
+// placed twice.
+const convertReservation = async (preOrder) => {
+  const paid = preOrder.deposit.status === "paid";
+  let order = await Order.findOne({ preOrder: preOrder._id });
+
+  if (!order) {
+    if (!(await canCoverReservation(preOrder))) {
+      return null;
+    }
+    const { shippingAddress } = preOrder.toObject();
+    order = await createOrder({
+      buyer: preOrder.buyer,
+      items: [
+        {
+          productId: preOrder.product,
+          quantity: preOrder.quantity,
+          price: preOrder.price,
+        },
+      ],
+      paymentMethod: preOrder.paymentMethod,
+      shippingAddress,
+      deliveryNotes: preOrder.deliveryNotes,
+      preOrder: preOrder._id,
+      depositPaid: paid ? preOrder.deposit.amount : 0,
+    });
+  }
+
+  // Only possible with a full deposit and free delivery
+  if (paid && order.paymentStatus === "pending" && getAmountDue(order) <= 0) {
+    markOrderPaid(order, preOrder.deposit.reference);
+    await order.save();
+    await recordOrderEarnings(order);
+  }
+  return order;
+};
+
+// The farmer brings the harvest in: it is added to stock and the
+// reservations become orders, first come first served. The listing reopens
+// at once, but the stock still reserved is held back from other buyers
+// (see reserveStock), so they cannot take it first. Reservations whose
+// deposit is still unpaid are cancelled; those the harvest cannot cover are
+// closed as unfulfilled. Any other failure, such as a missing delivery
+// rate, leaves the reservation open and counted as pending: calling it
+// again (with a quantity of 0) retries it once the problem is fixed.
+const recordHarvest = async ({ productId, user, harvestedQuantity }) => {
+  const product = await findOwnProduct(productId, user);
+  const settings = product.preOrder;
+  if (
+    !settings.isEnabled &&
+    !settings.harvestedAt &&
+    settings.reservedQuantity === 0
+  ) {
+    throw new ServiceError("This product is not on pre-order");
+  }
+
+  const harvestedAt = settings.harvestedAt || new Date();
+  await withTransaction(async (session) => {
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        $set: {
+          "preOrder.isEnabled": false,
+          "preOrder.harvestedAt": harvestedAt,
+          "specifications.harvestDate": harvestedAt,
+          isAvailable: true,
+        },
+      },
+      { session }
+    );
+    if (harvestedQuantity > 0) {
+      await addStock(
+        product._id,
+        harvestedQuantity,
+        { type: "harvest", user },
+        session
+      );
+    } else {
+      await syncStockStatus(product._id, session);
+    }
+  });
+
+  const reservations = await PreOrder.find({
+    product: product._id,
+    status: "reserved",
+  }).sort({ createdAt: 1 });
+
+  const summary = { converted: 0, unfulfilled: 0, cancelled: 0, pending: 0 };
+  for (const preOrder of reservations) {
+    try {
+      if (!preOrder.isDepositSettled()) {
+        preOrder.cancelledAt = new Date();
+        await withTransaction((session) =>
+          closeReservation(
+            preOrder,
+            "cancelled",
+            "The deposit was not paid before the harvest",
+            session
+          )
+        );
+        summary.cancelled += 1;
+        await notify(preOrder.buyer, {
+          type: "preorder_cancelled",
+          title: `Pre-order for ${product.name} cancelled`,
+          message: "The deposit was not paid before the harvest came in.",
+        });
+        continue;
+      }
+
+      const order = await convertReservation(preOrder);
+      if (!order) {
+        await withTransaction((session) =>
+          closeReservation(
+            preOrder,
+            "unfulfilled",
+            "The harvest was not enough to fill this pre-order.",
+            session
+          )
+        );
+        summary.unfulfilled += 1;
+        await notify(preOrder.buyer, {
+          type: "preorder_unfulfilled",
+          title: `Your pre-order for ${product.name} could not be filled`,
+          message: [
+            preOrder.closeReason,
+            preOrder.deposit.status === "refund_due" &&
+              `Your deposit of KSh ${preOrder.deposit.amount} will be refunded.`,
+          ]
+            .filter(Boolean)
+            .join(" "),
+        });
+        continue;
+      }
+
+      preOrder.status = "converted";
+      preOrder.order = order._id;
+      preOrder.convertedAt = new Date();
+      await withTransaction((session) => releaseReservation(preOrder, session));
+      summary.converted += 1;
+      await notify(preOrder.buyer, {
+        type: "preorder_converted",
+        title: `Your pre-order for ${product.name} is now order ${order.orderNumber}`,
+        message: `${preOrder.quantity} ${product.unit} at KSh ${
+          preOrder.price
+        } each. KSh ${getAmountDue(order)} remains to be paid.`,
+        order: order._id,
+      });
+    } catch (error) {
+      // Left reserved, with its share of the harvest still in stock
+      console.error(`Pre-order conversion failed for ${preOrder._id}:`, error);
+      summary.pending += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getPreOrderRole,
+  updatePreOrderSettings,
+  reservePreOrder,
+  cancelPreOrder,
+  recordDepositRefund,
+  recordHarvest,
+};
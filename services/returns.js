@@ -0,0 +1,330 @@
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const { restockItems } = require("./inventory");
+const { roundAmount, recordRefund } = require("./ledger");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// How long after delivery a buyer may ask for a return
+const getReturnWindowDays = () => {
+  const days = parseInt(process.env.RETURN_WINDOW_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 7;
+};
+
+// When a sub-order was delivered, from its status history
+const getDeliveredAt = (order, subOrder) => {
+  const entries = order.statusHistory.filter(
+    (entry) =>
+      entry.to === "delivered" &&
+      entry.subOrder &&
+      entry.subOrder.toString() === subOrder._id.toString()
+  );
+  return entries.length > 0
+    ? entries[entries.length - 1].at
+    : subOrder.deliveryDate || order.updatedAt;
+};
+
+const canReview = (returnRequest, user) =>
+  user.role === "admin" ||
+  returnRequest.farmer.toString() === user._id.toString();
+
+// Load a return request that is still in one of the given statuses
+const findReturn = async (returnId, statuses, session) => {
+  const returnRequest = await ReturnRequest.findById(returnId).session(session);
+  if (!returnRequest) {
+    throw new ServiceError("Return request not found", 404);
+  }
+  if (!statuses.includes(returnRequest.status)) {
+    throw new ServiceError(
+      `Return request is already ${returnRequest.status}`,
+      409
+    );
+  }
+  return returnRequest;
+};
+
+// Open a return for items of one delivered sub-order. `items` is a list of
+// { itemId, quantity } referring to the order's items.
+const createReturnRequest = async ({
+  orderId,
+  buyer,
+  items,
+  reason,
+  description,
+  images = [],
+}) =>
+  withTransaction(async (session) => {
+    const order = await Order.findOne({
+      _id: orderId,
+      isActive: true,
+    }).session(session);
+
+    if (!order) {
+      throw new ServiceError("Order not found", 404);
+    }
+    if (order.buyer.toString() !== buyer._id.toString()) {
+      throw new ServiceError(
+        "Access denied. You can only return items from your own orders.",
+        403
+      );
+    }
+
+    const orderItems = items.map((requested) => {
+      const item = order.items.id(requested.itemId);
+      if (!item) {
+        throw new ServiceError(`Order item ${requested.itemId} not found`);
+      }
+      return item;
+    });
+
+    const farmerIds = new Set(orderItems.map((item) => item.farmer.toString()));
+    if (farmerIds.size > 1) {
+      throw new ServiceError(
+        "Items from different farmers must be returned in separate requests"
+      );
+    }
+
+    const subOrder = order.getSubOrder(orderItems[0].farmer);
+    if (subOrder.status !== "delivered") {
+      throw new ServiceError("Only delivered items can be returned");
+    }
+
+    const windowDays = getReturnWindowDays();
+    const deliveredAt = getDeliveredAt(order, subOrder);
+    if (Date.now() - deliveredAt > windowDays * 24 * 60 * 60 * 1000) {
+      throw new ServiceError(
+        `Returns must be requested within ${windowDays} days of delivery`
+      );
+    }
+
+    // Quantities already returned or awaiting review cannot be claimed again
+    const openRequests = await ReturnRequest.find({
+      order: order._id,
+      subOrder: subOrder._id,
+      status: "requested",
+    })
+      .select("items")
+      .session(session);
+
+    const returnItems = orderItems.map((item, index) => {
+      const quantity = parseInt(items[index].quantity);
+      const pending = openRequests.reduce(
+        (sum, request) =>
+          sum +
+          request.items
+            .filter((returned) => returned.orderItem.equals(item._id))
+            .reduce((total, returned) => total + returned.quantity, 0),
+        0
+      );
+      const returnable = item.quantity - item.returnedQuantity - pending;
+
+      if (quantity > returnable) {
+        throw new ServiceError(
+          `Only ${returnable} of this item can still be returned`
+        );
+      }
+
+      return {
+        orderItem: item._id,
+        product: item.product,
+        variant: item.variant,
+        quantity,
+        price: item.price,
+      };
+    });
+
+    // The buyer only paid for the items net of the sub-order's coupon
+    // discount, which is spread evenly over its value
+    const paidShare =
+      subOrder.subtotal > 0 ? 1 - subOrder.discount / subOrder.subtotal : 1;
+
+    const [returnRequest] = await ReturnRequest.create(
+      [
+        {
+          order: order._id,
+          subOrder: subOrder._id,
+          buyer: buyer._id,
+          farmer: subOrder.farmer,
+          items: returnItems,
+          reason,
+          description,
+          images,
+          requestedAmount: roundAmount(
+            returnItems.reduce(
+              (sum, item) => sum + item.price * item.quantity,
+              0
+            ) * paidShare
+          ),
+        },
+      ],
+      { session }
+    );
+
+    return returnRequest;
+  });
+
+// Approve a return: refund `refundAmount` (the full value of the items by
+// default) against the sub-order, optionally put the items back in stock and
+// take the refund out of the farmer's earnings.
+const approveReturnRequest = async ({
+  returnId,
+  user,
+  refundAmount,
+  restock = false,
+  note,
+}) =>
+  withTransaction(async (session) => {
+    const returnRequest = await findReturn(returnId, ["requested"], session);
+    if (!canReview(returnRequest, user)) {
+      throw new ServiceError(
+        "Access denied. Only the farmer or an admin can review this return.",
+        403
+      );
+    }
+
+    const order = await Order.findById(returnRequest.order).session(session);
+    const subOrder = order && order.subOrders.id(returnRequest.subOrder);
+    if (!subOrder) {
+      throw new ServiceError("Order for this return no longer exists", 404);
+    }
+
+    const amount = roundAmount(
+      refundAmount === undefined ? returnRequest.requestedAmount : refundAmount
+    );
+    if (amount > returnRequest.requestedAmount) {
+      throw new ServiceError(
+        `Refund cannot exceed the value of the returned items (KSh ${returnRequest.requestedAmount})`
+      );
+    }
+    if (
+      amount >
+      roundAmount(
+        subOrder.subtotal - subOrder.discount - subOrder.refundedAmount
+      )
+    ) {
+      throw new ServiceError(
+        "Refund exceeds what remains to be refunded on this order"
+      );
+    }
+
+    for (const returned of returnRequest.items) {
+      const item = order.items.id(returned.orderItem);
+      if (item.returnedQuantity + returned.quantity > item.quantity) {
+        throw new ServiceError(
+          "These items have already been returned on another request",
+          409
+        );
+      }
+      item.returnedQuantity += returned.quantity;
+    }
+
+    subOrder.refundedAmount = roundAmount(subOrder.refundedAmount + amount);
+    order.refundedAmount = roundAmount(order.refundedAmount + amount);
+
+    if (restock) {
+      await restockItems(returnRequest.items, session, {
+        type: "return",
+        order: order._id,
+        returnRequest: returnRequest._id,
+        user,
+      });
+    }
+
+    returnRequest.status = "approved";
+    returnRequest.refundAmount = amount;
+    returnRequest.restock = restock;
+    returnRequest.reviewedBy = user._id;
+    returnRequest.reviewNote = note;
+    returnRequest.reviewedAt = new Date();
+
+    // Nothing was paid yet, so the refund only lowers what the buyer owes
+    if (!["paid", "partially_refunded"].includes(order.paymentStatus)) {
+      returnRequest.status = "refunded";
+      returnRequest.refundReference = "Deducted from amount due";
+      returnRequest.refundedAt = new Date();
+    }
+
+    await order.save({ session });
+    await recordRefund(
+      order,
+      subOrder,
+      {
+        refundAmount: amount,
+        returnRequest: returnRequest._id,
+        createdBy: user._id,
+      },
+      session
+    );
+    await returnRequest.save({ session });
+    return returnRequest;
+  });
+
+const rejectReturnRequest = async ({ returnId, user, note }) => {
+  const returnRequest = await findReturn(returnId, ["requested"]);
+  if (!canReview(returnRequest, user)) {
+    throw new ServiceError(
+      "Access denied. Only the farmer or an admin can review this return.",
+      403
+    );
+  }
+
+  returnRequest.status = "rejected";
+  returnRequest.reviewedBy = user._id;
+  returnRequest.reviewNote = note;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save();
+  return returnRequest;
+};
+
+// The buyer withdraws a return that has not been reviewed yet
+const cancelReturnRequest = async ({ returnId, user }) => {
+  const returnRequest = await findReturn(returnId, ["requested"]);
+  if (returnRequest.buyer.toString() !== user._id.toString()) {
+    throw new ServiceError(
+      "Access denied. Only the buyer can cancel this return.",
+      403
+    );
+  }
+
+  returnRequest.status = "cancelled";
+  await returnRequest.save();
+  return returnRequest;
+};
+
+// Record that an approved refund has been paid back to the buyer
+const markReturnRefunded = async ({ returnId, user, reference }) =>
+  withTransaction(async (session) => {
+    const returnRequest = await findReturn(returnId, ["approved"], session);
+    const order = await Order.findById(returnRequest.order).session(session);
+
+    returnRequest.status = "refunded";
+    returnRequest.refundReference = reference;
+    returnRequest.refundedBy = user._id;
+    returnRequest.refundedAt = new Date();
+    await returnRequest.save({ session });
+
+    const outstanding = await ReturnRequest.exists({
+      order: order._id,
+      status: "approved",
+    }).session(session);
+
+    // Delivery fees are not refunded with returned items
+    order.paymentStatus =
+      !outstanding &&
+      order.refundedAmount >= order.totalAmount - order.deliveryFee
+        ? "refunded"
+        : "partially_refunded";
+    await order.save({ session });
+
+    return returnRequest;
+  });
+
+module.exports = {
+  getReturnWindowDays,
+  getDeliveredAt,
+  createReturnRequest,
+  approveReturnRequest,
+  rejectReturnRequest,
+  cancelReturnRequest,
+  markReturnRefunded,
+};
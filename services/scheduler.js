@@ -0,0 +1,47 @@
+// Minimal in-process runner for periodic background jobs. Each job runs on
+// its own interval, and a run is skipped while the previous one is still
+// going. Jobs must be safe to run from several server instances at once.
+const jobs = [];
+
+const registerJob = (name, intervalMs, run) => {
+  jobs.push({ name, intervalMs, run, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    const result = await job.run();
+    if (result) {
+      console.log(`⏱  ${job.name}: ${result}`);
+    }
+  } catch (error) {
+    console.error(`Scheduled job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start every registered job, running each once straight away
+const startScheduler = () => {
+  jobs.forEach((job) => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Do not keep the process alive just for the jobs
+    job.timer.unref();
+    runJob(job);
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+};
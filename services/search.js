@@ -0,0 +1,367 @@
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { buildSpecificationFilter } = require("./specifications");
+const { normalizeSubcategory } = require("./taxonomy");
+const { escapeRegex, containsText } = require("../utils/regex");
+const { ServiceError } = require("../utils/errors");
+
+// Lower bounds of the price facet's bands in KSh; the last is open-ended
+const PRICE_BANDS = [0, 100, 500, 1000, 5000, 10000];
+
+// Rating facet thresholds, counted as "this many stars and up"
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const SORT_FIELDS = {
+  relevance: "relevance",
+  createdAt: "createdAt",
+  price: "price",
+  rating: "rating.average",
+  views: "views",
+  name: "name",
+};
+
+// Words of a search, without punctuation. Longer searches are cut short so
+// the fuzzy patterns stay small.
+const MAX_TERMS = 5;
+const tokenize = (search) =>
+  search
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length >= 2)
+    .slice(0, MAX_TERMS);
+
+// Regex source matching a word starting with the term or a spelling one
+// edit away: a letter wrong, missing or extra. The extra letter may be a
+// space, so "sukumawiki" finds "sukuma wiki". Short terms match exactly.
+const fuzzyPattern = (term) => {
+  const letters = [...term].map(escapeRegex);
+  const spellings = new Set([letters.join("")]);
+  if (letters.length >= 4) {
+    letters.forEach((letter, index) => {
+      const before = letters.slice(0, index).join("");
+      const after = letters.slice(index + 1).join("");
+      spellings.add(`${before}.${after}`);
+      spellings.add(`${before}${after}`);
+      if (index > 0)
+        spellings.add(`${before}.${letters.slice(index).join("")}`);
+    });
+  }
+  return `\\b(?:${[...spellings].join("|")})`;
+};
+
+// How much a term matched in each field adds to a product's relevance
+const FIELD_WEIGHTS = [
+  ["name", 3],
+  ["tags", 2],
+  ["subcategory", 1],
+  ["category", 1],
+  ["description", 1],
+];
+
+const regexMatch = (input, regex) => ({
+  $regexMatch: { input, regex, options: "i" },
+});
+
+const fieldMatches = (field, regex) =>
+  field === "tags"
+    ? {
+        $anyElementTrue: [
+          {
+            $map: {
+              input: { $ifNull: ["$tags", []] },
+              as: "tag",
+              in: regexMatch("$$tag", regex),
+            },
+          },
+        ],
+      }
+    : regexMatch({ $ifNull: [`$${field}`, ""] }, regex);
+
+// Match and score products against the search terms, for when the text
+// index finds nothing. A name starting with the whole search ranks first.
+const fuzzySearch = (search) => {
+  const patterns = tokenize(search).map(fuzzyPattern);
+  if (patterns.length === 0) {
+    return { match: { _id: null }, relevance: { $literal: 0 } };
+  }
+
+  const anyTerm = new RegExp(patterns.join("|"), "i");
+  const namePrefix = `^${escapeRegex(search.trim())}`;
+  return {
+    match: {
+      $or: FIELD_WEIGHTS.map(([field]) => ({ [field]: anyTerm })),
+    },
+    relevance: {
+      $add: [
+        { $cond: [regexMatch("$name", namePrefix), 5, 0] },
+        ...patterns.flatMap((pattern) =>
+          FIELD_WEIGHTS.map(([field, weight]) => ({
+            $cond: [fieldMatches(field, pattern), weight, 0],
+          }))
+        ),
+      ],
+    },
+  };
+};
+
+// Filters by facet. Each facet is counted under every filter but its own, so
+// buyers see what choosing another value would give them.
+const buildFacetFilters = async ({
+  category,
+  subcategory,
+  specs,
+  county,
+  subCounty,
+  minPrice,
+  maxPrice,
+  organic,
+  minRating,
+}) => {
+  const filters = {};
+  // Given by slug or by name, like on new listings
+  if (category && subcategory) {
+    subcategory = await normalizeSubcategory(category, subcategory);
+  }
+
+  if (category) {
+    filters.category = { category };
+    if (subcategory) filters.category.subcategory = subcategory;
+  }
+  // Specifications are defined per category
+  if (specs) {
+    if (!category) {
+      throw new ServiceError("Choose a category to filter by specifications");
+    }
+    Object.assign(
+      filters.category,
+      await buildSpecificationFilter(specs, { category, subcategory })
+    );
+  }
+
+  if (county || subCounty) {
+    filters.county = {};
+    if (county) filters.county["location.county"] = containsText(county);
+    if (subCounty) {
+      filters.county["location.subCounty"] = containsText(subCounty);
+    }
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = { price: {} };
+    if (minPrice !== undefined) filters.price.price.$gte = minPrice;
+    if (maxPrice !== undefined) filters.price.price.$lte = maxPrice;
+  }
+
+  if (organic !== undefined) {
+    filters.organic = {
+      "specifications.organic": organic ? true : { $ne: true },
+    };
+  }
+
+  if (minRating !== undefined) {
+    filters.rating = { "rating.average": { $gte: minRating } };
+  }
+
+  return filters;
+};
+
+// All facet filters but one, as a $match stage
+const matchExcept = (filters, facet) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => name !== facet)
+    .map(([, condition]) => condition);
+  return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+const buildSort = (sortBy, sortOrder, hasSearch) => {
+  const field = SORT_FIELDS[sortBy] || (hasSearch ? "relevance" : "createdAt");
+  if (field === "relevance") {
+    return hasSearch
+      ? { relevance: -1, createdAt: -1, _id: 1 }
+      : { createdAt: -1, _id: 1 };
+  }
+  return { [field]: sortOrder === "desc" ? -1 : 1, _id: 1 };
+};
+
+const runSearch = async ({ match, relevance, filters, sort, skip, limit }) => {
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $addFields: { relevance } },
+    {
+      $facet: {
+        products: [
+          matchExcept(filters),
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+        ],
+        total: [matchExcept(filters), { $count: "count" }],
+        categories: [
+          matchExcept(filters, "category"),
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        counties: [
+          matchExcept(filters, "county"),
+          { $group: { _id: "$location.county", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        priceBands: [
+          matchExcept(filters, "price"),
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BANDS,
+              default: PRICE_BANDS[PRICE_BANDS.length - 1],
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        organic: [
+          matchExcept(filters, "organic"),
+          {
+            $group: {
+              _id: { $eq: ["$specifications.organic", true] },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        ratings: [
+          matchExcept(filters, "rating"),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                RATING_THRESHOLDS.map((threshold) => [
+                  `atLeast${threshold}`,
+                  {
+                    $sum: {
+                      $cond: [{ $gte: ["$rating.average", threshold] }, 1, 0],
+                    },
+                  },
+                ])
+              ),
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  return result;
+};
+
+// Shape the raw facet counts for the response, listing every price band and
+// rating threshold even when nothing falls in it
+const formatFacets = async (result) => {
+  const categories = await Category.find({
+    slug: { $in: result.categories.map((entry) => entry._id) },
+  })
+    .select("slug name nameSw icon")
+    .lean();
+  const bySlug = new Map(
+    categories.map((category) => [category.slug, category])
+  );
+  const bandCounts = new Map(
+    result.priceBands.map((band) => [band._id, band.count])
+  );
+  const ratingCounts = result.ratings[0] || {};
+  const organicCount = (value) =>
+    (result.organic.find((entry) => entry._id === value) || { count: 0 }).count;
+
+  return {
+    categories: result.categories.map((entry) => {
+      const category = bySlug.get(entry._id) || {};
+      return {
+        value: entry._id,
+        name: category.name || entry._id,
+        nameSw: category.nameSw,
+        icon: category.icon,
+        count: entry.count,
+      };
+    }),
+    counties: result.counties
+      .filter((entry) => entry._id)
+      .map((entry) => ({ value: entry._id, count: entry.count })),
+    priceBands: PRICE_BANDS.map((min, index) => ({
+      min,
+      max: index + 1 < PRICE_BANDS.length ? PRICE_BANDS[index + 1] : null,
+      count: bandCounts.get(min) || 0,
+    })),
+    organic: [
+      { value: true, count: organicCount(true) },
+      { value: false, count: organicCount(false) },
+    ],
+    ratings: RATING_THRESHOLDS.map((threshold) => ({
+      minRating: threshold,
+      count: ratingCounts[`atLeast${threshold}`] || 0,
+    })),
+  };
+};
+
+// Search listed products with filters, relevance ranking and facet counts.
+// A search uses the text index first, ranked by text score; when that finds
+// nothing it falls back to prefix and typo-tolerant matching. Returns
+// { products, totalProducts, facets, matchMode } where matchMode is "text",
+// "fuzzy" or null without a search.
+const searchProducts = async ({
+  search,
+  page = 1,
+  limit = 12,
+  sortBy,
+  sortOrder = "desc",
+  ...criteria
+}) => {
+  const filters = await buildFacetFilters(criteria);
+  const listed = { isActive: true, isApproved: true, isAvailable: true };
+  const hasSearch = Boolean(search && search.trim());
+  const options = {
+    filters,
+    sort: buildSort(sortBy, sortOrder, hasSearch),
+    skip: (page - 1) * limit,
+    limit,
+  };
+
+  let matchMode = null;
+  let result;
+  if (!hasSearch) {
+    result = await runSearch({
+      ...options,
+      match: listed,
+      relevance: { $literal: 0 },
+    });
+  } else {
+    matchMode = "text";
+    result = await runSearch({
+      ...options,
+      match: { ...listed, $text: { $search: search } },
+      relevance: { $meta: "textScore" },
+    });
+    if (result.total.length === 0) {
+      matchMode = "fuzzy";
+      const fuzzy = fuzzySearch(search);
+      result = await runSearch({
+        ...options,
+        match: { ...listed, ...fuzzy.match },
+        relevance: fuzzy.relevance,
+      });
+    }
+  }
+
+  const products = await Product.populate(result.products, {
+    path: "farmer",
+    select: "firstName lastName phone location",
+  });
+
+  return {
+    products,
+    totalProducts: result.total.length > 0 ? result.total[0].count : 0,
+    facets: await formatFacets(result),
+    matchMode,
+  };
+};
+
+module.exports = {
+  PRICE_BANDS,
+  SORT_FIELDS,
+  searchProducts,
+};
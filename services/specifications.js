@@ -0,0 +1,298 @@
+const SpecificationTemplate = require("../models/SpecificationTemplate");
+const { ServiceError } = require("../utils/errors");
+
+const VACCINATION_OPTIONS = [
+  "Fully vaccinated",
+  "Partially vaccinated",
+  "Not vaccinated",
+];
+
+// Installed the first time the server starts, then managed by admins. A
+// default that is deleted comes back on the next start; switch it off with
+// isActive: false instead.
+const DEFAULT_TEMPLATES = [
+  {
+    category: "livestock",
+    fields: [
+      { key: "breed", label: "Breed", required: true, filterable: true },
+      {
+        key: "age",
+        label: "Age",
+        required: true,
+        helpText: "e.g. 18 months",
+      },
+      {
+        key: "sex",
+        label: "Sex",
+        type: "select",
+        options: ["Male", "Female", "Mixed"],
+        required: true,
+        filterable: true,
+      },
+      {
+        key: "vaccinationStatus",
+        label: "Vaccination status",
+        type: "select",
+        options: VACCINATION_OPTIONS,
+        required: true,
+        filterable: true,
+      },
+      { key: "weight", label: "Weight", type: "number", unit: "kg", min: 0 },
+    ],
+  },
+  {
+    category: "poultry",
+    fields: [
+      { key: "breed", label: "Breed", required: true, filterable: true },
+      { key: "age", label: "Age", helpText: "e.g. 3 weeks" },
+      {
+        key: "vaccinationStatus",
+        label: "Vaccination status",
+        type: "select",
+        options: VACCINATION_OPTIONS,
+        filterable: true,
+      },
+    ],
+  },
+  {
+    category: "dairy",
+    fields: [
+      {
+        key: "fatContent",
+        label: "Fat content",
+        type: "number",
+        unit: "%",
+        min: 0,
+        max: 100,
+        required: true,
+        filterable: true,
+      },
+      {
+        key: "expiryDate",
+        label: "Expiry date",
+        type: "date",
+        required: true,
+      },
+    ],
+  },
+  ...["vegetables", "fruits"].map((category) => ({
+    category,
+    fields: [
+      {
+        key: "organic",
+        label: "Organic",
+        type: "boolean",
+        filterable: true,
+      },
+      { key: "harvestDate", label: "Harvest date", type: "date" },
+      { key: "origin", label: "Origin", helpText: "Where it was grown" },
+    ],
+  })),
+  ...["cereals", "legumes"].map((category) => ({
+    category,
+    fields: [
+      {
+        key: "grade",
+        label: "Grade",
+        type: "select",
+        options: ["Grade 1", "Grade 2", "Grade 3"],
+        filterable: true,
+      },
+      {
+        key: "moistureContent",
+        label: "Moisture content",
+        type: "number",
+        unit: "%",
+        min: 0,
+        max: 100,
+      },
+      {
+        key: "organic",
+        label: "Organic",
+        type: "boolean",
+        filterable: true,
+      },
+    ],
+  })),
+];
+
+const installDefaultTemplates = async () => {
+  let installed = 0;
+  for (const template of DEFAULT_TEMPLATES) {
+    const result = await SpecificationTemplate.updateOne(
+      { category: template.category, subcategory: "" },
+      { $setOnInsert: template },
+      { upsert: true, collation: SpecificationTemplate.COLLATION }
+    );
+    installed += result.upsertedCount;
+  }
+  return installed;
+};
+
+// The fields products of a category and subcategory describe: the
+// category's, then the subcategory's, which replace any with the same key
+const getSpecificationFields = async (category, subcategory = "") => {
+  const templates = await SpecificationTemplate.find({
+    category,
+    subcategory: { $in: ["", subcategory.trim()] },
+    isActive: true,
+  })
+    .collation(SpecificationTemplate.COLLATION)
+    .lean();
+
+  const fields = new Map();
+  templates
+    .sort(
+      (a, b) => Number(Boolean(a.subcategory)) - Number(Boolean(b.subcategory))
+    )
+    .forEach((template) => {
+      template.fields.forEach((field) => fields.set(field.key, field));
+    });
+  return [...fields.values()];
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+const hasBound = (bound) => bound !== undefined && bound !== null;
+
+// Cast a submitted value to its field's type: { value } or { error }
+const castValue = (field, value) => {
+  switch (field.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : parseFloat(value);
+      if (!Number.isFinite(number)) return { error: "must be a number" };
+      if (hasBound(field.min) && number < field.min) {
+        return { error: `must be at least ${field.min}` };
+      }
+      if (hasBound(field.max) && number > field.max) {
+        return { error: `must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+    case "boolean":
+      if (value === true || value === "true") return { value: true };
+      if (value === false || value === "false") return { value: false };
+      return { error: "must be true or false" };
+    case "date": {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime())
+        ? { error: "must be a date" }
+        : { value: date };
+    }
+    case "select": {
+      const option = field.options.find(
+        (candidate) =>
+          candidate.toLowerCase() === String(value).trim().toLowerCase()
+      );
+      return option
+        ? { value: option }
+        : { error: `must be one of ${field.options.join(", ")}` };
+    }
+    default: {
+      const text = String(value).trim();
+      return text.length > 200
+        ? { error: "cannot exceed 200 characters" }
+        : { value: text };
+    }
+  }
+};
+
+// Check a product's specifications against the template for its category
+// and subcategory, and return them with values cast to the field types.
+// Keys the template does not define are kept as given. Every problem is
+// reported at once, one error per field.
+const validateSpecifications = async (
+  specifications,
+  { category, subcategory }
+) => {
+  const fields = await getSpecificationFields(category, subcategory);
+  const cleaned = { ...specifications };
+  const errors = [];
+
+  fields.forEach((field) => {
+    const value = cleaned[field.key];
+    if (isBlank(value)) {
+      delete cleaned[field.key];
+      if (field.required) {
+        errors.push({
+          field: field.key,
+          message: `${field.label} is required`,
+        });
+      }
+      return;
+    }
+
+    const result = castValue(field, value);
+    if (result.error) {
+      errors.push({
+        field: field.key,
+        message: `${field.label} ${result.error}`,
+      });
+    } else {
+      cleaned[field.key] = result.value;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ServiceError("Invalid specifications", 400, { errors });
+  }
+  return cleaned;
+};
+
+// Listing filter for ?specs[key]=value on the filterable fields of a
+// category. Several values of one key match any of them; number and date
+// fields also take specs[key][min] and specs[key][max].
+const buildSpecificationFilter = async (specs, { category, subcategory }) => {
+  const fields = await getSpecificationFields(category, subcategory);
+  const filter = {};
+
+  const cast = (field, value, label = field.label) => {
+    const result = castValue({ ...field, min: null, max: null }, value);
+    if (result.error) {
+      throw new ServiceError(`${label} ${result.error}`);
+    }
+    return result.value;
+  };
+
+  Object.entries(specs).forEach(([key, value]) => {
+    const field = fields.find(
+      (candidate) => candidate.key === key && candidate.filterable
+    );
+    if (!field) {
+      throw new ServiceError(`Products cannot be filtered by ${key}`);
+    }
+    const path = `specifications.${key}`;
+
+    if (
+      ["number", "date"].includes(field.type) &&
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value)
+    ) {
+      filter[path] = {};
+      if (!isBlank(value.min)) {
+        filter[path].$gte = cast(field, value.min, `${field.label} min`);
+      }
+      if (!isBlank(value.max)) {
+        filter[path].$lte = cast(field, value.max, `${field.label} max`);
+      }
+      return;
+    }
+
+    const values = (Array.isArray(value) ? value : [value]).map((item) =>
+      cast(field, item)
+    );
+    filter[path] = values.length === 1 ? values[0] : { $in: values };
+  });
+
+  return filter;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  installDefaultTemplates,
+  getSpecificationFields,
+  validateSpecifications,
+  buildSpecificationFilter,
+};
@@ -0,0 +1,336 @@
+const Subscription = require("../models/Subscription");
+const Product = require("../models/Product");
+const { createOrder } = require("./orders");
+const { isLineAvailable } = require("./cart");
+const { resolveVariant } = require("./inventory");
+const { notify } = require("./notifications");
+const { ServiceError } = require("../utils/errors");
+
+// Subscriptions handled per scheduler run; the rest wait for the next run
+const RUN_BATCH_SIZE = 50;
+
+// Fields a buyer may change on an existing subscription
+const EDITABLE_FIELDS = [
+  "name",
+  "schedule",
+  "startDate",
+  "endDate",
+  "paymentMethod",
+  "shippingAddress",
+  "deliveryNotes",
+];
+
+// Check the requested products (and variants) are still sold and map them
+// to subscription items. Stock is not checked here; each run checks it.
+const buildItems = async (items) => {
+  const keys = items.map((item) => `${item.productId}:${item.variantId || ""}`);
+  if (new Set(keys).size !== keys.length) {
+    throw new ServiceError("Each product can only be listed once");
+  }
+
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.productId) },
+    isActive: true,
+    isApproved: true,
+  })
+    .select("name variants")
+    .lean();
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  return items.map((item) => {
+    const product = productsById.get(item.productId.toString());
+    if (!product) {
+      throw new ServiceError("One or more products are not available", 404);
+    }
+    const variant = resolveVariant(product, item.variantId);
+    return {
+      product: item.productId,
+      variant: variant ? variant._id : undefined,
+      quantity: item.quantity,
+    };
+  });
+};
+
+// Load a subscription the user owns (admins may load any)
+const findSubscription = async (subscriptionId, user) => {
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription) {
+    throw new ServiceError("Subscription not found", 404);
+  }
+  if (user.role !== "admin" && !subscription.buyer.equals(user._id)) {
+    throw new ServiceError(
+      "Access denied. You can only manage your own subscriptions.",
+      403
+    );
+  }
+  return subscription;
+};
+
+// Reject schedules whose end date comes before their first delivery
+const scheduleOrReject = (subscription) => {
+  subscription.scheduleNextRun();
+  if (subscription.status === "ended") {
+    throw new ServiceError("No scheduled order falls before the end date");
+  }
+};
+
+const createSubscription = async ({ buyer, items, ...fields }) => {
+  const subscription = new Subscription({
+    ...fields,
+    buyer,
+    items: await buildItems(items),
+  });
+  scheduleOrReject(subscription);
+
+  await subscription.save();
+  return subscription;
+};
+
+// Change the items, schedule or delivery details of an active or paused
+// subscription. A new schedule takes effect from the next run.
+const updateSubscription = async ({ subscriptionId, user, items, updates }) => {
+  const subscription = await findSubscription(subscriptionId, user);
+  if (!["active", "paused"].includes(subscription.status)) {
+    throw new ServiceError(
+      `Subscription is already ${subscription.status}`,
+      409
+    );
+  }
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (updates[field] !== undefined) {
+      subscription.set(field, updates[field]);
+    }
+  });
+  if (items) {
+    subscription.items = await buildItems(items);
+  }
+  if (subscription.status === "active") {
+    scheduleOrReject(subscription);
+  }
+
+  await subscription.save();
+  return subscription;
+};
+
+// Pause, resume or cancel a subscription
+const setSubscriptionStatus = async ({ subscriptionId, user, action }) => {
+  const subscription = await findSubscription(subscriptionId, user);
+  const allowedFrom = {
+    pause: ["active"],
+    resume: ["paused"],
+    cancel: ["active", "paused"],
+  }[action];
+  if (!allowedFrom.includes(subscription.status)) {
+    throw new ServiceError(
+      `Cannot ${action} a subscription that is ${subscription.status}`,
+      409
+    );
+  }
+
+  if (action === "resume") {
+    subscription.status = "active";
+    subscription.scheduleNextRun();
+  } else {
+    subscription.status = action === "pause" ? "paused" : "cancelled";
+    subscription.nextRunAt = null;
+  }
+
+  await subscription.save();
+  return subscription;
+};
+
+// Order whatever the current stock allows; items that cannot be supplied in
+// full are skipped rather than holding back the rest of the order
+const placeSubscriptionOrder = async (subscription) => {
+  const products = await Product.find({
+    _id: { $in: subscription.items.map((item) => item.product) },
+  })
+    .select("name quantity variants isActive isApproved isAvailable")
+    .lean();
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const orderItems = [];
+  const skippedItems = [];
+  subscription.items.forEach((item) => {
+    const product = productsById.get(item.product.toString());
+    const variant = product && Product.findVariant(product, item.variant);
+    const skipped = {
+      product: item.product,
+      variant: item.variant,
+      name: product
+        ? Product.getItemName(product, variant)
+        : "Product no longer available",
+      quantity: item.quantity,
+    };
+    if (!isLineAvailable(product, item, variant)) {
+      skippedItems.push({ ...skipped, available: 0, reason: "unavailable" });
+    } else if ((variant || product).quantity < item.quantity) {
+      skippedItems.push({
+        ...skipped,
+        available: (variant || product).quantity,
+        reason: "insufficient_stock",
+      });
+    } else {
+      orderItems.push({
+        productId: item.product,
+        variantId: item.variant,
+        quantity: item.quantity,
+      });
+    }
+  });
+
+  if (orderItems.length === 0) {
+    return { status: "skipped", skippedItems };
+  }
+
+  try {
+    const { shippingAddress } = subscription.toObject();
+    const order = await createOrder({
+      buyer: subscription.buyer,
+      items: orderItems,
+      paymentMethod: subscription.paymentMethod,
+      shippingAddress,
+      deliveryNotes: subscription.deliveryNotes,
+      subscription: subscription._id,
+    });
+    return {
+      status: skippedItems.length > 0 ? "partial" : "created",
+      order,
+      skippedItems,
+    };
+  } catch (error) {
+    // Stock can still run out between the check above and the order
+    if (!(error instanceof ServiceError)) {
+      console.error(
+        `Subscription order failed for ${subscription._id}:`,
+        error
+      );
+    }
+    return {
+      status: "failed",
+      skippedItems,
+      message:
+        error instanceof ServiceError
+          ? error.message
+          : "The order could not be placed",
+    };
+  }
+};
+
+const describeSkipped = (skippedItems) =>
+  skippedItems
+    .map((item) =>
+      item.reason === "unavailable"
+        ? `${item.name} is not available`
+        : `${item.name}: only ${item.available} left of the ${item.quantity} you order`
+    )
+    .join("; ");
+
+// Tell the buyer what a run ordered and what it could not
+const notifyRun = (subscription, run) => {
+  const label = `"${subscription.name}"`;
+  const skipped = describeSkipped(run.skippedItems);
+
+  if (run.order) {
+    return notify(subscription.buyer, {
+      type: "subscription_order",
+      title: `Order ${run.order.orderNumber} placed for ${label}`,
+      message: [
+        `Total KSh ${run.order.totalAmount}.`,
+        skipped && `Left out this time: ${skipped}.`,
+      ]
+        .filter(Boolean)
+        .join(" "),
+      order: run.order._id,
+      subscription: subscription._id,
+    });
+  }
+
+  return notify(subscription.buyer, {
+    type:
+      run.status === "failed" ? "subscription_failed" : "subscription_skipped",
+    title: `No order could be placed for ${label}`,
+    message: run.message || skipped,
+    subscription: subscription._id,
+  });
+};
+
+// Scheduled job: place the orders of every subscription that is due. Each
+// subscription is claimed by moving its nextRunAt on, so an instance that
+// loses the race (or a buyer pausing meanwhile) skips it. Runs missed while
+// the server was down are not made up; only the latest one is placed.
+const runDueSubscriptions = async () => {
+  const now = new Date();
+  const due = await Subscription.find({
+    status: "active",
+    nextRunAt: { $lte: now },
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(RUN_BATCH_SIZE);
+
+  const counts = { placed: 0, missed: 0 };
+  for (const subscription of due) {
+    const scheduledFor = subscription.nextRunAt;
+    subscription.scheduleNextRun(now);
+    subscription.lastRunAt = now;
+
+    const claim = await Subscription.updateOne(
+      { _id: subscription._id, status: "active", nextRunAt: scheduledFor },
+      {
+        $set: {
+          status: subscription.status,
+          nextRunAt: subscription.nextRunAt,
+          lastRunAt: now,
+        },
+      }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      const result = await placeSubscriptionOrder(subscription);
+      const run = { scheduledFor, ranAt: new Date(), ...result };
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        {
+          $push: {
+            runs: {
+              $each: [{ ...run, order: run.order && run.order._id }],
+              $slice: -Subscription.MAX_RUN_HISTORY,
+            },
+          },
+        }
+      );
+
+      counts[run.order ? "placed" : "missed"] += 1;
+      await notifyRun(subscription, run);
+      if (subscription.status === "ended") {
+        await notify(subscription.buyer, {
+          type: "subscription_ended",
+          title: `"${subscription.name}" has ended`,
+          message:
+            "It has reached its end date, so no further orders will be placed.",
+          subscription: subscription._id,
+        });
+      }
+    } catch (error) {
+      console.error(`Subscription run failed for ${subscription._id}:`, error);
+    }
+  }
+
+  return counts.placed + counts.missed > 0
+    ? `placed ${counts.placed} subscription order(s), ${counts.missed} could not be placed`
+    : null;
+};
+
+module.exports = {
+  findSubscription,
+  createSubscription,
+  updateSubscription,
+  setSubscriptionStatus,
+  runDueSubscriptions,
+};
@@ -0,0 +1,357 @@
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const SpecificationTemplate = require("../models/SpecificationTemplate");
+const { ServiceError } = require("../utils/errors");
+
+// Subcategories of a default category, in display order
+const subcategories = (entries) =>
+  entries.map(([slug, name, nameSw], index) => ({
+    slug,
+    name,
+    nameSw,
+    sortOrder: index + 1,
+  }));
+
+// Installed the first time the server starts, then managed by admins. A
+// default that is deleted comes back on the next start; switch it off with
+// isActive: false instead.
+const DEFAULT_CATEGORIES = [
+  {
+    slug: "livestock",
+    name: "Livestock",
+    nameSw: "Mifugo",
+    icon: "fa-cow",
+    subcategories: subcategories([
+      ["cattle", "Cattle", "Ng'ombe"],
+      ["goats", "Goats", "Mbuzi"],
+      ["sheep", "Sheep", "Kondoo"],
+      ["pigs", "Pigs", "Nguruwe"],
+      ["rabbits", "Rabbits", "Sungura"],
+    ]),
+  },
+  {
+    slug: "poultry",
+    name: "Poultry",
+    nameSw: "Kuku",
+    icon: "fa-kiwi-bird",
+    subcategories: subcategories([
+      ["layers", "Layers", "Kuku wa mayai"],
+      ["broilers", "Broilers", "Kuku wa nyama"],
+      ["kienyeji", "Kienyeji", "Kuku wa kienyeji"],
+      ["eggs", "Eggs", "Mayai"],
+      ["chicks", "Chicks", "Vifaranga"],
+    ]),
+  },
+  {
+    slug: "dairy",
+    name: "Dairy",
+    nameSw: "Maziwa",
+    icon: "fa-cheese",
+    subcategories: subcategories([
+      ["fresh-milk", "Fresh milk", "Maziwa fresh"],
+      ["mala", "Mala", "Maziwa lala"],
+      ["yoghurt", "Yoghurt", "Mtindi"],
+      ["ghee", "Ghee", "Samli"],
+    ]),
+  },
+  {
+    slug: "vegetables",
+    name: "Vegetables",
+    nameSw: "Mboga",
+    icon: "fa-carrot",
+    subcategories: subcategories([
+      ["leafy-greens", "Leafy greens", "Mboga za majani"],
+      ["tomatoes", "Tomatoes", "Nyanya"],
+      ["onions", "Onions", "Vitunguu"],
+      ["potatoes", "Potatoes", "Viazi"],
+      ["cabbages", "Cabbages", "Kabichi"],
+    ]),
+  },
+  {
+    slug: "fruits",
+    name: "Fruits",
+    nameSw: "Matunda",
+    icon: "fa-apple-whole",
+    subcategories: subcategories([
+      ["avocados", "Avocados", "Parachichi"],
+      ["mangoes", "Mangoes", "Maembe"],
+      ["bananas", "Bananas", "Ndizi"],
+      ["citrus", "Citrus", "Machungwa"],
+      ["passion-fruit", "Passion fruit", "Karakara"],
+    ]),
+  },
+  {
+    slug: "cereals",
+    name: "Cereals",
+    nameSw: "Nafaka",
+    icon: "fa-wheat-awn",
+    subcategories: subcategories([
+      ["maize", "Maize", "Mahindi"],
+      ["rice", "Rice", "Mchele"],
+      ["sorghum", "Sorghum", "Mtama"],
+      ["millet", "Millet", "Wimbi"],
+      ["wheat", "Wheat", "Ngano"],
+    ]),
+  },
+  {
+    slug: "legumes",
+    name: "Legumes",
+    nameSw: "Kunde",
+    icon: "fa-seedling",
+    subcategories: subcategories([
+      ["beans", "Beans", "Maharagwe"],
+      ["green-grams", "Green grams", "Ndengu"],
+      ["peas", "Peas", "Njegere"],
+      ["groundnuts", "Groundnuts", "Karanga"],
+    ]),
+  },
+  { slug: "herbs", name: "Herbs", nameSw: "Mitishamba", icon: "fa-leaf" },
+  { slug: "seeds", name: "Seeds", nameSw: "Mbegu", icon: "fa-seedling" },
+  {
+    slug: "other",
+    name: "Other",
+    nameSw: "Nyingine",
+    icon: "fa-basket-shopping",
+  },
+].map((category, index) => ({ ...category, sortOrder: (index + 1) * 10 }));
+
+const installDefaultCategories = async () => {
+  let installed = 0;
+  for (const category of DEFAULT_CATEGORIES) {
+    const result = await Category.updateOne(
+      { slug: category.slug },
+      { $setOnInsert: category },
+      { upsert: true }
+    );
+    installed += result.upsertedCount;
+  }
+  return installed;
+};
+
+const byDisplayOrder = (a, b) =>
+  a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Listed products by category and subcategory, as
+// { [category]: { total, subcategories: { [subcategory]: count } } }
+const countProducts = async (match = {}) => {
+  const rows = await Product.aggregate([
+    {
+      $match: {
+        isActive: true,
+        isApproved: true,
+        isAvailable: true,
+        ...match,
+      },
+    },
+    {
+      $group: {
+        _id: { category: "$category", subcategory: "$subcategory" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = {};
+  rows.forEach(({ _id, count }) => {
+    const entry = (counts[_id.category] = counts[_id.category] || {
+      total: 0,
+      subcategories: {},
+    });
+    entry.total += count;
+    entry.subcategories[_id.subcategory] = count;
+  });
+  return counts;
+};
+
+// The taxonomy in display order with listed product counts. Buyers see only
+// active categories and subcategories; admins can ask for all of them.
+const listCategories = async ({ includeInactive = false, match } = {}) => {
+  const [categories, counts] = await Promise.all([
+    Category.find(includeInactive ? {} : { isActive: true }).lean(),
+    countProducts(match),
+  ]);
+
+  return categories.sort(byDisplayOrder).map((category) => {
+    const entry = counts[category.slug] || { total: 0, subcategories: {} };
+    return {
+      ...category,
+      productCount: entry.total,
+      subcategories: (category.subcategories || [])
+        .filter((subcategory) => includeInactive || subcategory.isActive)
+        .sort(byDisplayOrder)
+        .map((subcategory) => ({
+          ...subcategory,
+          productCount: entry.subcategories[subcategory.slug] || 0,
+        })),
+    };
+  });
+};
+
+// express-validator check that a value names a category, active or not
+const categoryExists = async (value) => {
+  const exists = await Category.exists({
+    slug: String(value).trim().toLowerCase(),
+  });
+  if (!exists) {
+    throw new Error("Invalid category");
+  }
+  return true;
+};
+
+// The subcategory a text names by slug or by English or Swahili name
+const findSubcategoryByLabel = (subcategories, text) => {
+  const normalized = String(text).trim().toLowerCase();
+  return subcategories.find((candidate) =>
+    [candidate.slug, candidate.name, candidate.nameSw]
+      .filter(Boolean)
+      .some((label) => label.toLowerCase() === normalized)
+  );
+};
+
+// Check the category and subcategory of a new listing and return their
+// slugs. A category with subcategories only takes one of its active ones,
+// given by slug or by English or Swahili name; one without takes any text.
+const resolveCategory = async (category, subcategory = "") => {
+  const found = await Category.findOne({
+    slug: String(category).trim().toLowerCase(),
+  }).lean();
+  if (!found) {
+    throw new ServiceError("Invalid category");
+  }
+  if (!found.isActive) {
+    throw new ServiceError(`${found.name} is not open for new listings`);
+  }
+
+  const text = String(subcategory).trim();
+  const options = (found.subcategories || []).filter(
+    (candidate) => candidate.isActive
+  );
+  if (options.length === 0) {
+    return { category: found.slug, subcategory: text };
+  }
+
+  const match = findSubcategoryByLabel(options, text);
+  if (!match) {
+    throw new ServiceError(
+      `Subcategory of ${found.name} must be one of ${options
+        .sort(byDisplayOrder)
+        .map((candidate) => candidate.name)
+        .join(", ")}`
+    );
+  }
+  return { category: found.slug, subcategory: match.slug };
+};
+
+// Slug of the subcategory a ?subcategory= filter names, matched like a new
+// listing's. Text naming none is kept, for categories without subcategories.
+const normalizeSubcategory = async (category, subcategory) => {
+  const found = await Category.findOne({
+    slug: String(category).trim().toLowerCase(),
+  })
+    .select("subcategories")
+    .lean();
+  const match =
+    found && findSubcategoryByLabel(found.subcategories || [], subcategory);
+  return match ? match.slug : String(subcategory).trim();
+};
+
+// Rewrite the free-text subcategories of products listed before the
+// taxonomy to the slug of the subcategory they name, so they are filtered,
+// counted and protected from deletion like new listings. Text naming no
+// subcategory is left as it is. Returns how many products changed.
+const migrateLegacySubcategories = async () => {
+  const categories = await Category.find({
+    "subcategories.0": { $exists: true },
+  }).lean();
+
+  let migrated = 0;
+  for (const category of categories) {
+    const legacy = await Product.distinct("subcategory", {
+      category: category.slug,
+      subcategory: {
+        $nin: category.subcategories.map((subcategory) => subcategory.slug),
+      },
+    });
+    for (const text of legacy) {
+      const match = findSubcategoryByLabel(category.subcategories, text);
+      if (!match) continue;
+      const result = await Product.updateMany(
+        { category: category.slug, subcategory: text },
+        { $set: { subcategory: match.slug } }
+      );
+      migrated += result.modifiedCount;
+    }
+  }
+  return migrated;
+};
+
+// Remove a category nothing refers to any more, with its specification
+// templates
+const deleteCategory = async (slug) => {
+  const category = await Category.findOne({ slug });
+  if (!category) {
+    throw new ServiceError("Category not found", 404);
+  }
+
+  const [productCount, couponCount] = await Promise.all([
+    Product.countDocuments({ category: slug }),
+    Coupon.countDocuments({ scope: "category", category: slug }),
+  ]);
+  if (productCount > 0 || couponCount > 0) {
+    throw new ServiceError(
+      `${category.name} is used by ${productCount} product(s) and ` +
+        `${couponCount} coupon(s). Deactivate it instead.`,
+      409
+    );
+  }
+
+  await SpecificationTemplate.deleteMany({ category: slug }).collation(
+    SpecificationTemplate.COLLATION
+  );
+  await category.deleteOne();
+  return category;
+};
+
+// Remove a subcategory no product is listed under
+const deleteSubcategory = async (slug, subcategorySlug) => {
+  const category = await Category.findOne({ slug });
+  const subcategory =
+    category && Category.findSubcategory(category, subcategorySlug);
+  if (!subcategory) {
+    throw new ServiceError("Subcategory not found", 404);
+  }
+
+  const productCount = await Product.countDocuments({
+    category: slug,
+    subcategory: subcategory.slug,
+  });
+  if (productCount > 0) {
+    throw new ServiceError(
+      `${subcategory.name} is used by ${productCount} product(s). Deactivate it instead.`,
+      409
+    );
+  }
+
+  await SpecificationTemplate.deleteMany({
+    category: slug,
+    subcategory: subcategory.slug,
+  }).collation(SpecificationTemplate.COLLATION);
+  category.subcategories = category.subcategories.filter(
+    (candidate) => candidate.slug !== subcategory.slug
+  );
+  await category.save();
+  return category;
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  installDefaultCategories,
+  migrateLegacySubcategories,
+  listCategories,
+  categoryExists,
+  resolveCategory,
+  normalizeSubcategory,
+  deleteCategory,
+  deleteSubcategory,
+};
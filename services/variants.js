@@ -0,0 +1,155 @@
+const Product = require("../models/Product");
+const { recordStockMovement, adjustStock } = require("./inventory");
+const { withTransaction } = require("../utils/transaction");
+const { ServiceError } = require("../utils/errors");
+
+// Load a product whose variants the farmer manages
+const findOwnProduct = async (productId, user, session) => {
+  const product = await Product.findOne({
+    _id: productId,
+    isActive: true,
+  }).session(session);
+  if (!product) {
+    throw new ServiceError("Product not found", 404);
+  }
+  if (!product.farmer.equals(user._id)) {
+    throw new ServiceError(
+      "Access denied. You can only manage variants of your own products.",
+      403
+    );
+  }
+  return product;
+};
+
+const findOwnVariant = (product, variantId) => {
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new ServiceError("Variant not found", 404);
+  }
+  return variant;
+};
+
+// A SKU clashing with one on another of the farmer's products
+const isDuplicateSku = (error) =>
+  error.code === 11000 &&
+  Boolean(error.keyPattern && error.keyPattern["variants.sku"]);
+
+const saveVariants = async (product, session) => {
+  product.syncVariantTotals();
+  product.syncStockStatus();
+  try {
+    await product.save({ session });
+  } catch (error) {
+    if (isDuplicateSku(error)) {
+      throw new ServiceError(
+        "This SKU is already used on another of your products",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+// Add a variant with its opening stock. The first variant takes over the
+// product's price and stock: price tiers are dropped, and stock held on the
+// product itself is written off, as it cannot be told apart by variant.
+const addVariant = async ({ productId, user, fields, quantity }) =>
+  withTransaction(async (session) => {
+    const product = await findOwnProduct(productId, user, session);
+    if (product.preOrder.isEnabled) {
+      throw new ServiceError("Products taking pre-orders cannot have variants");
+    }
+
+    const isFirst = product.variants.length === 0;
+    if (isFirst && product.quantity > 0) {
+      await recordStockMovement(
+        { _id: product._id, farmer: product.farmer, quantity: 0 },
+        {
+          type: "adjustment",
+          change: -product.quantity,
+          reason: "Stock moved to variants",
+          user,
+        },
+        session
+      );
+    }
+    if (isFirst) {
+      product.priceTiers = [];
+    }
+
+    product.variants.push({ ...fields, quantity });
+    const variant = product.variants[product.variants.length - 1];
+    await saveVariants(product, session);
+
+    if (quantity > 0) {
+      await recordStockMovement(
+        product,
+        { type: "initial", change: quantity, variant: variant._id, user },
+        session
+      );
+    }
+    return { product, variant };
+  });
+
+// Change a variant's details; a new quantity is recorded as a stock count
+// in the same transaction
+const updateVariant = async ({
+  productId,
+  variantId,
+  user,
+  fields,
+  quantity,
+  reason,
+}) =>
+  withTransaction(async (session) => {
+    const product = await findOwnProduct(productId, user, session);
+    const variant = findOwnVariant(product, variantId);
+    Object.entries(fields).forEach(([field, value]) => {
+      variant.set(field, value);
+    });
+    await saveVariants(product, session);
+
+    if (quantity === undefined || quantity === variant.quantity) {
+      return { product, variant };
+    }
+
+    const adjusted = await adjustStock(
+      {
+        productId,
+        variantId,
+        user,
+        type: "count",
+        quantity,
+        reason: reason || "Set on variant update",
+      },
+      session
+    );
+    return {
+      product: adjusted.product,
+      variant: adjusted.product.variants.id(variantId),
+    };
+  });
+
+// Remove a variant. Its stock must be counted down to zero first, so no
+// stock disappears without a movement.
+const deleteVariant = async ({ productId, variantId, user }) =>
+  withTransaction(async (session) => {
+    const product = await findOwnProduct(productId, user, session);
+    const variant = findOwnVariant(product, variantId);
+    if (variant.quantity > 0) {
+      throw new ServiceError(
+        `Count the ${variant.name} stock down to 0 before removing it`,
+        409
+      );
+    }
+
+    product.variants.pull(variant._id);
+    await saveVariants(product, session);
+    return product;
+  });
+
+module.exports = {
+  addVariant,
+  updateVariant,
+  deleteVariant,
+};
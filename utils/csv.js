@@ -0,0 +1,23 @@
+// Quote a value for CSV output (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows as CSV. `columns` is a list of { header, value(row) }.
+const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+  ];
+  rows.forEach((row) => {
+    lines.push(
+      columns.map((column) => escapeCsvValue(column.value(row))).join(",")
+    );
+  });
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,16 @@
+// The end of a reporting period given as ?to=. A date without a time
+// (2026-10-19) covers that whole day, up to its last millisecond (UTC).
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const parsePeriodEnd = (value) => {
+  const date = new Date(value);
+  if (DATE_ONLY.test(String(value).trim())) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+};
+
+module.exports = {
+  parsePeriodEnd,
+};
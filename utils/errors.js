@@ -0,0 +1,32 @@
+// Error raised by service modules when a request cannot be fulfilled.
+// Carries the HTTP status the route handler should respond with.
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = "ServiceError";
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+// Send a ServiceError as a JSON response; returns false for any other error
+// so the caller can fall back to its generic 500 handler.
+const sendServiceError = (res, error) => {
+  if (!(error instanceof ServiceError)) {
+    return false;
+  }
+
+  const payload = { message: error.message };
+  if (error.details !== undefined) {
+    payload.details = error.details;
+  }
+  res.status(error.statusCode).json(payload);
+  return true;
+};
+
+module.exports = {
+  ServiceError,
+  sendServiceError,
+};
@@ -0,0 +1,12 @@
+// Escape user input so it matches literally inside a regular expression
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive match of the text anywhere in a field
+const containsText = (value) =>
+  new RegExp(escapeRegex(String(value).trim()), "i");
+
+module.exports = {
+  escapeRegex,
+  containsText,
+};
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Run `work(session)` inside a MongoDB transaction and return its result.
+// The driver retries the whole callback on transient errors such as write
+// conflicts, so `work` must not have side effects outside the session.
+// Transactions need MongoDB running as a replica set (or Atlas).
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction,
+};